@@ -0,0 +1,96 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { MailCheck, Loader2 } from 'lucide-react';
+
+export default function ConfirmEmailChangePage() {
+  return (
+    <Suspense>
+      <ConfirmEmailChange />
+    </Suspense>
+  );
+}
+
+function ConfirmEmailChange() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? null : 'This confirmation link is missing its token');
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    fetch('/api/users/me/email/confirm', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token }),
+    })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Confirmation failed');
+        }
+        setStatus('verified');
+        setMessage(data.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.message);
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <div className="flex items-center justify-center mb-4">
+            <div className="h-12 w-12 rounded-full bg-blue-600 flex items-center justify-center">
+              <MailCheck className="h-6 w-6 text-white" />
+            </div>
+          </div>
+          <CardTitle className="text-2xl text-center">Change email address</CardTitle>
+          <CardDescription className="text-center">
+            Confirming your new email address
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {status === 'verifying' && (
+            <div className="flex items-center justify-center text-gray-600">
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Confirming...
+            </div>
+          )}
+          {status === 'verified' && (
+            <Alert>
+              <AlertDescription>{message}</AlertDescription>
+            </Alert>
+          )}
+          {status === 'error' && (
+            <Alert variant="destructive">
+              <AlertDescription>{message}</AlertDescription>
+            </Alert>
+          )}
+          <div className="mt-4 text-center text-sm">
+            {status === 'verified' ? (
+              <Link href="/login" className="text-blue-600 hover:underline font-medium">
+                Sign in
+              </Link>
+            ) : (
+              <Link href="/" className="text-blue-600 hover:underline font-medium">
+                Continue to the blog
+              </Link>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -1,29 +1,59 @@
 'use client';
 
-import { useState } from 'react';
-import { useRouter } from 'next/navigation';
+import { useState, useEffect, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
 import Link from 'next/link';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { toast } from 'sonner';
-import { UserPlus, Loader2 } from 'lucide-react';
+import { UserPlus, Loader2, MailCheck } from 'lucide-react';
+import { hasCapability } from '@/lib/permissions';
 
 export default function RegisterPage() {
+  return (
+    <Suspense>
+      <RegisterForm />
+    </Suspense>
+  );
+}
+
+function RegisterForm() {
   const router = useRouter();
+  const searchParams = useSearchParams();
+  const inviteToken = searchParams.get('invite');
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     password: '',
     confirmPassword: '',
-    role: 'reader',
   });
+  const [invitation, setInvitation] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  useEffect(() => {
+    if (!inviteToken) {
+      return;
+    }
+
+    // Load the invitation so the invited email and role can be shown
+    fetch(`/api/invitations/${encodeURIComponent(inviteToken)}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Invitation is invalid or has expired');
+        }
+        setInvitation(data.data);
+        setFormData(prev => ({ ...prev, email: data.data.email }));
+      })
+      .catch((err) => {
+        setError(err.message);
+      });
+  }, [inviteToken]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -33,14 +63,6 @@ export default function RegisterPage() {
     setError(null);
   };
 
-  const handleRoleChange = (value) => {
-    setFormData(prev => ({
-      ...prev,
-      role: value
-    }));
-    setError(null);
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -71,7 +93,7 @@ export default function RegisterPage() {
           name: formData.name,
           email: formData.email,
           password: formData.password,
-          role: formData.role,
+          ...(inviteToken ? { inviteToken } : {}),
         }),
       });
 
@@ -81,18 +103,17 @@ export default function RegisterPage() {
         throw new Error(data.error || 'Registration failed');
       }
 
-      // Store token in localStorage
-      localStorage.setItem('token', data.token);
-      localStorage.setItem('user', JSON.stringify(data.user));
+      // The session is kept in httpOnly cookies set by the server
 
       toast.success('Registration successful! Welcome to Blog.');
       
       // Redirect based on role
-      if (data.user.role === 'admin' || data.user.role === 'author') {
+      if (hasCapability(data.user.role, 'post:create')) {
         router.push('/dashboard');
       } else {
         router.push('/');
       }
+      router.refresh();
     } catch (err) {
       console.error('Registration error:', err);
       setError(err.message || 'An error occurred during registration');
@@ -122,6 +143,14 @@ export default function RegisterPage() {
               <AlertDescription>{error}</AlertDescription>
             </Alert>
           )}
+          {invitation && (
+            <Alert className="mb-4">
+              <MailCheck className="h-4 w-4" />
+              <AlertDescription>
+                You have been invited to join as <span className="font-medium capitalize">{invitation.role}</span>.
+              </AlertDescription>
+            </Alert>
+          )}
           <form onSubmit={handleSubmit} className="space-y-4">
             <div className="space-y-2">
               <Label htmlFor="name">Full Name</Label>
@@ -147,6 +176,7 @@ export default function RegisterPage() {
                 onChange={handleChange}
                 required
                 disabled={loading}
+                readOnly={!!invitation}
               />
             </div>
             <div className="space-y-2">
@@ -175,23 +205,6 @@ export default function RegisterPage() {
                 disabled={loading}
               />
             </div>
-            <div className="space-y-2">
-              <Label htmlFor="role">Account Type</Label>
-              <Select 
-                value={formData.role} 
-                onValueChange={handleRoleChange}
-                disabled={loading}
-              >
-                <SelectTrigger>
-                  <SelectValue placeholder="Select your role" />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="reader">Reader - Browse and comment on posts</SelectItem>
-                  <SelectItem value="author">Author - Create and publish posts</SelectItem>
-                  <SelectItem value="admin">Admin - Full access to manage blog</SelectItem>
-                </SelectContent>
-              </Select>
-            </div>
             <Button 
               type="submit" 
               className="w-full" 
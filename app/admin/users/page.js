@@ -0,0 +1,36 @@
+import { redirect } from 'next/navigation';
+import Header from '@/components/Header';
+import AdminUsersTable from '@/components/AdminUsersTable';
+import { getCurrentUser } from '@/lib/session';
+import { hasCapability } from '@/lib/permissions';
+
+export const metadata = {
+  title: 'Users - Blog',
+};
+
+export default async function AdminUsersPage() {
+  const user = await getCurrentUser();
+
+  if (!user) {
+    redirect('/login');
+  }
+
+  if (!hasCapability(user.role, 'user:manage')) {
+    redirect('/');
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Users</h1>
+          <p className="text-gray-600 mt-1">Manage roles, suspensions and accounts</p>
+        </div>
+
+        <AdminUsersTable currentUserId={user.id} />
+      </main>
+    </div>
+  );
+}
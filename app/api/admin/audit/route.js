@@ -0,0 +1,172 @@
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Query the audit log (admin only)
+ *     description: Newest entries first. Pass format=csv to download every matching entry (up to 10,000) as CSV instead of a page of JSON. Entries written after the export starts are not included.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *         description: User who performed the action
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Action such as post.delete or user.role_change
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *         description: Kind of record acted on, e.g. post, user or comment
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Page of audit entries with pagination info, or a CSV file
+ *         headers:
+ *           X-Export-Truncated:
+ *             description: true when more than 10,000 entries matched and the CSV holds only the newest 10,000
+ *             schema:
+ *               type: string
+ *               enum: ['true', 'false']
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { AUDIT_ACTIONS, listAuditLogs, exportAuditLogsCsv } from '@/lib/audit';
+
+/**
+ * Parse an optional ISO date filter
+ * @param {string|null} value - Query string value
+ * @returns {string|null|undefined} ISO string, null when absent, undefined when invalid
+ */
+function parseDateFilter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+export const GET = withAuth(async (request) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const action = searchParams.get('action');
+    const from = parseDateFilter(searchParams.get('from'));
+    const to = parseDateFilter(searchParams.get('to'));
+
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return NextResponse.json(
+        { success: false, error: `Invalid action. Must be one of: ${AUDIT_ACTIONS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (from === undefined || to === undefined) {
+      return NextResponse.json(
+        { success: false, error: 'from and to must be valid dates' },
+        { status: 400 }
+      );
+    }
+
+    const filters = {
+      actorId: searchParams.get('actorId'),
+      action,
+      targetType: searchParams.get('targetType'),
+      targetId: searchParams.get('targetId'),
+      from,
+      to,
+    };
+
+    if (searchParams.get('format') === 'csv') {
+      const result = await exportAuditLogsCsv(filters);
+
+      if (result === null) {
+        return NextResponse.json(
+          { success: false, error: 'Failed to export audit log' },
+          { status: 500 }
+        );
+      }
+
+      const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+      return new NextResponse(result.csv, {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'Cache-Control': 'no-store',
+          'X-Export-Truncated': String(result.truncated),
+        },
+      });
+    }
+
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1', 10) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(searchParams.get('pageSize') || '50', 10) || 50));
+
+    const result = await listAuditLogs({ page, pageSize, ...filters });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: result.entries,
+        pagination: {
+          page: result.page,
+          pageSize: result.pageSize,
+          total: result.total,
+          totalPages: result.totalPages,
+        },
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/admin/audit:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'audit:read', allowApiKey: false });
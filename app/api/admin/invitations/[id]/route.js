@@ -0,0 +1,59 @@
+/**
+ * @swagger
+ * /api/admin/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: No pending invitation with this ID
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { revokeInvitation } from '@/lib/invitations';
+
+export const DELETE = withAuth(async (request, { params }) => {
+  try {
+    const { id } = params;
+    const revoked = await revokeInvitation(id);
+
+    if (!revoked) {
+      return NextResponse.json(
+        { success: false, error: 'Invitation not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Invitation revoked successfully',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in DELETE /api/admin/invitations/[id]:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'invitation:manage', allowApiKey: false });
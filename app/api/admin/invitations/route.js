@@ -0,0 +1,148 @@
+/**
+ * @swagger
+ * /api/admin/invitations:
+ *   get:
+ *     summary: List invitations (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Invite a user with a role (admin only)
+ *     description: Returns a single-use invite link. The invitee registers at /register?invite=<token> with the invited email.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, author, reader]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       400:
+ *         description: Invalid input or user already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { validateInvitation } from '@/lib/validation';
+import { createInvitation, listInvitations } from '@/lib/invitations';
+import { getAppUrl } from '@/lib/request';
+
+export const GET = withAuth(async (request) => {
+  try {
+    const invitations = await listInvitations();
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: invitations,
+        count: invitations.length,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/admin/invitations:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'invitation:manage', allowApiKey: false });
+
+export const POST = withAuth(async (request, context, principal) => {
+  try {
+    const body = await request.json();
+
+    // Validate input
+    const validation = validateInvitation(body);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { success: false, error: validation.error },
+        { status: 400 }
+      );
+    }
+
+    const { email, role, expiresInDays } = body;
+
+    const supabase = createAdminClient();
+
+    // Existing accounts are promoted with the role endpoint instead
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', email.toLowerCase())
+      .single();
+
+    if (existingUser) {
+      return NextResponse.json(
+        { success: false, error: 'User with this email already exists' },
+        { status: 400 }
+      );
+    }
+
+    const result = await createInvitation({
+      email,
+      role,
+      invitedBy: principal.id,
+      expiresInDays: expiresInDays !== undefined ? Number(expiresInDays) : undefined,
+    });
+
+    if (!result) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to create invitation' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          ...result.invitation,
+          inviteUrl: `${getAppUrl(request)}/register?invite=${result.token}`,
+        },
+        message: 'Invitation created successfully',
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/admin/invitations:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'invitation:manage', allowApiKey: false });
@@ -0,0 +1,107 @@
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   patch:
+ *     summary: Promote or demote a user (admin only)
+ *     description: Changing a role revokes all of the user's existing tokens.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, author, reader]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role or attempt to change own role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { USER_ROLES } from '@/lib/validation';
+import { updateUserRole } from '@/lib/db';
+import { getUserForAdmin } from '@/lib/users';
+import { recordAudit } from '@/lib/audit';
+import { getClientIp } from '@/lib/request';
+
+export const PATCH = withAuth(async (request, { params }, principal) => {
+  try {
+    const { id } = params;
+    const { role } = await request.json();
+
+    if (!role || !USER_ROLES.includes(role)) {
+      return NextResponse.json(
+        { success: false, error: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    // Prevent admins from locking themselves out
+    if (id === principal.id) {
+      return NextResponse.json(
+        { success: false, error: 'You cannot change your own role' },
+        { status: 400 }
+      );
+    }
+
+    const previous = await getUserForAdmin(id);
+    const user = previous ? await updateUserRole(id, role) : null;
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    await recordAudit({
+      actor: principal,
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: id,
+      before: { role: previous.role },
+      after: { role: user.role },
+      ip: getClientIp(request),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: user,
+        message: 'Role updated successfully',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in PATCH /api/admin/users/[id]/role:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'user:manage', allowApiKey: false });
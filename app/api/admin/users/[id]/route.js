@@ -0,0 +1,172 @@
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a user (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User with post count
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a user (admin only)
+ *     description: Pass reassignTo to hand the user's posts to another user who can write posts first. Without it the user's posts are deleted permanently, each with a snapshot in the audit log, before the account is deleted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: ID of the user who receives the posts (needs post:create)
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       400:
+ *         description: Attempt to delete own account or invalid reassignment target
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { deleteUser, getUserForAdmin } from '@/lib/users';
+import { hasCapability } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
+import { getClientIp } from '@/lib/request';
+
+export const GET = withAuth(async (request, { params }) => {
+  try {
+    const { id } = params;
+    const user = await getUserForAdmin(id);
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    const supabase = createAdminClient();
+    const { count } = await supabase
+      .from('posts')
+      .select('id', { count: 'exact', head: true })
+      .eq('author_id', id);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: { ...user, post_count: count || 0 },
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/admin/users/[id]:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'user:manage', allowApiKey: false });
+
+export const DELETE = withAuth(async (request, { params }, principal) => {
+  try {
+    const { id } = params;
+    const { searchParams } = new URL(request.url);
+    const reassignTo = searchParams.get('reassignTo');
+
+    if (id === principal.id) {
+      return NextResponse.json(
+        { success: false, error: 'You cannot delete your own account here' },
+        { status: 400 }
+      );
+    }
+
+    const user = await getUserForAdmin(id);
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    if (reassignTo) {
+      const target = await getUserForAdmin(reassignTo);
+
+      if (!target || target.id === id || !hasCapability(target.role, 'post:create')) {
+        return NextResponse.json(
+          { success: false, error: 'Posts can only be reassigned to a user who can write posts' },
+          { status: 400 }
+        );
+      }
+    }
+
+    const ip = getClientIp(request);
+    const result = await deleteUser(id, reassignTo, { actor: principal, ip });
+
+    if (result.error) {
+      return NextResponse.json(
+        { success: false, error: result.error },
+        { status: 500 }
+      );
+    }
+
+    await recordAudit({
+      actor: principal,
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: id,
+      before: user,
+      metadata: { reassignTo, reassignedPosts: result.reassignedPosts, deletedPosts: result.deletedPosts },
+      ip,
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: { reassignedPosts: result.reassignedPosts, deletedPosts: result.deletedPosts },
+        message: reassignTo
+          ? `User deleted and ${result.reassignedPosts} post(s) reassigned`
+          : `User and ${result.deletedPosts} post(s) deleted`,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in DELETE /api/admin/users/[id]:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'user:manage', allowApiKey: false });
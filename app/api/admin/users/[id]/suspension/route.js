@@ -0,0 +1,112 @@
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspension:
+ *   patch:
+ *     summary: Suspend or reinstate a user (admin only)
+ *     description: Suspended users cannot sign in, and their access tokens, refresh tokens and API keys stop working.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - suspended
+ *             properties:
+ *               suspended:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Suspension updated
+ *       400:
+ *         description: Validation error or attempt to suspend own account
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { setUserSuspension } from '@/lib/users';
+import { recordAudit } from '@/lib/audit';
+import { getClientIp } from '@/lib/request';
+
+export const PATCH = withAuth(async (request, { params }, principal) => {
+  try {
+    const { id } = params;
+    const { suspended, reason } = await request.json();
+
+    if (typeof suspended !== 'boolean') {
+      return NextResponse.json(
+        { success: false, error: 'suspended must be true or false' },
+        { status: 400 }
+      );
+    }
+
+    if (reason && (typeof reason !== 'string' || reason.length > 500)) {
+      return NextResponse.json(
+        { success: false, error: 'Reason must be less than 500 characters' },
+        { status: 400 }
+      );
+    }
+
+    // Prevent admins from locking themselves out
+    if (id === principal.id) {
+      return NextResponse.json(
+        { success: false, error: 'You cannot suspend your own account' },
+        { status: 400 }
+      );
+    }
+
+    const user = await setUserSuspension(id, suspended, reason);
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    await recordAudit({
+      actor: principal,
+      action: suspended ? 'user.suspend' : 'user.reinstate',
+      targetType: 'user',
+      targetId: id,
+      after: { suspended_at: user.suspended_at, suspended_reason: user.suspended_reason },
+      ip: getClientIp(request),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: user,
+        message: suspended ? 'User suspended' : 'User reinstated',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in PATCH /api/admin/users/[id]/suspension:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'user:manage', allowApiKey: false });
@@ -0,0 +1,162 @@
+/**
+ * @swagger
+ * /api/admin/users/{id}/two-factor:
+ *   patch:
+ *     summary: Require or stop requiring two-factor authentication for a user (admin only)
+ *     description: Users who are required to use 2FA but have not set it up must enroll during their next login.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Requirement updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Reset a user's two-factor authentication (admin only)
+ *     description: For users who lost their authenticator and recovery codes. If 2FA is required for the user they enroll again at their next login.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { disableTwoFactor } from '@/lib/two-factor';
+import { recordAudit } from '@/lib/audit';
+import { getClientIp } from '@/lib/request';
+
+export const PATCH = withAuth(async (request, { params }, principal) => {
+  try {
+    const { required } = await request.json();
+
+    if (typeof required !== 'boolean') {
+      return NextResponse.json(
+        { success: false, error: 'required must be true or false' },
+        { status: 400 }
+      );
+    }
+
+    const { id } = params;
+    const supabase = createAdminClient();
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ two_factor_required: required, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('id, email, name, role, two_factor_required, totp_enabled_at')
+      .single();
+
+    if (error || !user) {
+      return NextResponse.json(
+        { success: false, error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    await recordAudit({
+      actor: principal,
+      action: 'user.two_factor_required',
+      targetType: 'user',
+      targetId: id,
+      after: { two_factor_required: required },
+      ip: getClientIp(request),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: user,
+        message: required
+          ? 'Two-factor authentication is now required for this user'
+          : 'Two-factor authentication is now optional for this user',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in PATCH /api/admin/users/[id]/two-factor:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'user:manage', allowApiKey: false });
+
+export const DELETE = withAuth(async (request, { params }, principal) => {
+  try {
+    const { id } = params;
+    const reset = await disableTwoFactor(id);
+
+    if (!reset) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to reset two-factor authentication' },
+        { status: 500 }
+      );
+    }
+
+    await recordAudit({
+      actor: principal,
+      action: 'user.two_factor_reset',
+      targetType: 'user',
+      targetId: id,
+      ip: getClientIp(request),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Two-factor authentication reset',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in DELETE /api/admin/users/[id]/two-factor:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'user:manage', allowApiKey: false });
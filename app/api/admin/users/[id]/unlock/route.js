@@ -0,0 +1,71 @@
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after repeated failed logins (admin only)
+ *     description: Clears the lockout and the account's failed login attempts so its rate limit starts fresh.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { unlockAccount } from '@/lib/login-protection';
+import { recordAudit } from '@/lib/audit';
+import { getClientIp } from '@/lib/request';
+
+export const POST = withAuth(async (request, { params }, principal) => {
+  try {
+    const { id } = params;
+    const user = await unlockAccount(id);
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    await recordAudit({
+      actor: principal,
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: id,
+      ip: getClientIp(request),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: user,
+        message: 'Account unlocked successfully',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/admin/users/[id]/unlock:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'user:manage', allowApiKey: false });
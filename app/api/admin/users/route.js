@@ -0,0 +1,86 @@
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List users (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, editor, author, reader]
+ *     responses:
+ *       200:
+ *         description: Page of users with pagination info
+ *       400:
+ *         description: Invalid role filter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { USER_ROLES } from '@/lib/validation';
+import { listUsers } from '@/lib/users';
+
+export const GET = withAuth(async (request) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1', 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize') || '20', 10) || 20));
+    const search = searchParams.get('search');
+    const role = searchParams.get('role');
+
+    if (role && !USER_ROLES.includes(role)) {
+      return NextResponse.json(
+        { success: false, error: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const result = await listUsers({ page, pageSize, search, role });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: result.users,
+        pagination: {
+          page: result.page,
+          pageSize: result.pageSize,
+          total: result.total,
+          totalPages: result.totalPages,
+        },
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/admin/users:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'user:manage', allowApiKey: false });
@@ -0,0 +1,109 @@
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Requires the account password (if it has one) and a current code or recovery code. Not allowed when an admin requires 2FA for the account.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Unauthorized, wrong password or invalid code
+ *       403:
+ *         description: Two-factor authentication is required for this account
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { verifyPassword } from '@/lib/login-protection';
+import { disableTwoFactor, verifySecondFactor } from '@/lib/two-factor';
+
+export const POST = withAuth(async (request, context, principal) => {
+  try {
+    const { password, code, recoveryCode } = await request.json();
+    const supabase = createAdminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', principal.id)
+      .single();
+
+    if (userError || !user) {
+      return NextResponse.json(
+        { success: false, error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    if (!user.totp_enabled_at) {
+      return NextResponse.json(
+        { success: false, error: 'Two-factor authentication is not enabled' },
+        { status: 400 }
+      );
+    }
+
+    if (user.two_factor_required) {
+      return NextResponse.json(
+        { success: false, error: 'An administrator requires two-factor authentication for your account' },
+        { status: 403 }
+      );
+    }
+
+    // Accounts created through OAuth may not have a password yet
+    const isValidPassword = !user.password || await verifyPassword(password || '', user.password);
+    const isValidCode = isValidPassword && await verifySecondFactor(user, { code, recoveryCode });
+
+    if (!isValidCode) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid password or authentication code' },
+        { status: 401 }
+      );
+    }
+
+    const disabled = await disableTwoFactor(user.id);
+
+    if (!disabled) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to disable two-factor authentication' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Two-factor authentication disabled',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/auth/2fa/disable:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
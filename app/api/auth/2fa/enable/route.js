@@ -0,0 +1,112 @@
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Finish two-factor enrollment
+ *     description: Confirms the secret from /api/auth/2fa/setup with a code from the authenticator app and returns recovery codes, which are only shown once. When enrolling with a challengeToken from login (or the two_factor_challenge cookie after an OAuth sign-in), the response also starts the session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { createSessionResponse } from '@/lib/session';
+import { clearChallengeCookie, confirmTwoFactorEnrollment, getEnrollingUser } from '@/lib/two-factor';
+import { getClientIp } from '@/lib/request';
+import { recordLoginSuccess } from '@/lib/login-protection';
+import { recordAudit } from '@/lib/audit';
+
+export async function POST(request) {
+  try {
+    const { code, challengeToken } = await request.json();
+    const enrolling = await getEnrollingUser(request, challengeToken);
+
+    if (!enrolling) {
+      return NextResponse.json(
+        { success: false, error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    if (!code) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication code is required' },
+        { status: 400 }
+      );
+    }
+
+    const recoveryCodes = await confirmTwoFactorEnrollment(enrolling.userId, code);
+
+    if (!recoveryCodes) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid authentication code' },
+        { status: 400 }
+      );
+    }
+
+    const message = 'Two-factor authentication enabled';
+
+    if (!enrolling.viaChallenge) {
+      return NextResponse.json(
+        {
+          success: true,
+          data: { recoveryCodes },
+          message,
+        },
+        { status: 200 }
+      );
+    }
+
+    // Enrollment was the last step of a login, so start the session now
+    const supabase = createAdminClient();
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', enrolling.userId)
+      .single();
+
+    if (!user || user.suspended_at) {
+      return NextResponse.json(
+        { success: false, error: 'This account has been suspended' },
+        { status: 403 }
+      );
+    }
+
+    const ip = getClientIp(request);
+    await recordLoginSuccess({ email: user.email.toLowerCase(), ip, user });
+    await recordAudit({ actor: user, action: 'auth.login', metadata: { method: 'totp_enrollment' }, ip });
+
+    return clearChallengeCookie(await createSessionResponse(user, { message, extra: { data: { recoveryCodes } } }));
+  } catch (error) {
+    console.error('Error in POST /api/auth/2fa/enable:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: Requires a current code from the authenticator app. The previous recovery codes stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Unauthorized or invalid code
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { regenerateRecoveryCodes, verifySecondFactor } from '@/lib/two-factor';
+
+export const POST = withAuth(async (request, context, principal) => {
+  try {
+    const { code } = await request.json();
+    const supabase = createAdminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', principal.id)
+      .single();
+
+    if (userError || !user) {
+      return NextResponse.json(
+        { success: false, error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    if (!user.totp_enabled_at) {
+      return NextResponse.json(
+        { success: false, error: 'Two-factor authentication is not enabled' },
+        { status: 400 }
+      );
+    }
+
+    if (!await verifySecondFactor(user, { code })) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid authentication code' },
+        { status: 401 }
+      );
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    if (!recoveryCodes) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to generate recovery codes' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: { recoveryCodes },
+        message: 'New recovery codes generated',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/auth/2fa/recovery-codes:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
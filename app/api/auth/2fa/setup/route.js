@@ -0,0 +1,91 @@
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a new TOTP secret and QR code. Signed-in users call this with their session; users whose login returned twoFactorSetupRequired pass the challengeToken instead, or send neither after an OAuth sign-in, whose challenge is in the two_factor_challenge cookie. Enrollment is finished with /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret, otpauth URL and QR code data URL for the authenticator app
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { beginTwoFactorEnrollment, getEnrollingUser } from '@/lib/two-factor';
+
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const enrolling = await getEnrollingUser(request, body.challengeToken);
+
+    if (!enrolling) {
+      return NextResponse.json(
+        { success: false, error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const supabase = createAdminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email, totp_enabled_at')
+      .eq('id', enrolling.userId)
+      .single();
+
+    if (userError || !user) {
+      return NextResponse.json(
+        { success: false, error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    if (user.totp_enabled_at) {
+      return NextResponse.json(
+        { success: false, error: 'Two-factor authentication is already enabled' },
+        { status: 400 }
+      );
+    }
+
+    const enrollment = await beginTwoFactorEnrollment(user);
+
+    if (!enrollment) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to start two-factor setup' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: enrollment,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/auth/2fa/setup:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
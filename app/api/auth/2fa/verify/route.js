@@ -0,0 +1,139 @@
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a two-factor code
+ *     description: Exchanges the challengeToken returned by /api/auth/login plus a code from the authenticator app (or a single-use recovery code) for a session. After an OAuth sign-in the challenge comes from the httpOnly two_factor_challenge cookie instead and challengeToken is omitted.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Recovery code, used instead of code
+ *     responses:
+ *       200:
+ *         description: Login successful, sets the httpOnly session cookies
+ *       400:
+ *         description: Missing code
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       429:
+ *         description: Too many failed attempts. See the Retry-After header.
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { createSessionResponse } from '@/lib/session';
+import { clearChallengeCookie, getChallengeToken, verifySecondFactor, verifyTwoFactorChallenge } from '@/lib/two-factor';
+import { getClientIp } from '@/lib/request';
+import { recordAudit } from '@/lib/audit';
+import {
+  checkLoginRateLimit,
+  getLockoutRemaining,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from '@/lib/login-protection';
+
+function tooManyAttempts(retryAfter) {
+  return NextResponse.json(
+    { success: false, error: 'Too many login attempts. Please try again later.' },
+    { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+  );
+}
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { challengeToken, code, recoveryCode } = body;
+
+    if (!code && !recoveryCode) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication code is required' },
+        { status: 400 }
+      );
+    }
+
+    const userId = verifyTwoFactorChallenge(getChallengeToken(request, challengeToken), '2fa-login');
+
+    if (!userId) {
+      return NextResponse.json(
+        { success: false, error: 'Login session expired. Please sign in again.' },
+        { status: 401 }
+      );
+    }
+
+    const supabase = createAdminClient();
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (!user || !user.totp_enabled_at || user.suspended_at) {
+      return NextResponse.json(
+        { success: false, error: 'Login session expired. Please sign in again.' },
+        { status: 401 }
+      );
+    }
+
+    // Codes are guessable, so they share the password attempt limits
+    const ip = getClientIp(request);
+    const attemptEmail = user.email.toLowerCase();
+
+    const rateLimit = await checkLoginRateLimit({ email: attemptEmail, ip });
+    if (!rateLimit.allowed) {
+      return tooManyAttempts(rateLimit.retryAfter);
+    }
+
+    const lockoutRemaining = getLockoutRemaining(user);
+    if (lockoutRemaining > 0) {
+      return tooManyAttempts(lockoutRemaining);
+    }
+
+    const isValidCode = await verifySecondFactor(user, { code, recoveryCode });
+
+    if (!isValidCode) {
+      await recordLoginFailure({ email: attemptEmail, ip, user });
+      await recordAudit({
+        action: 'auth.login_failed',
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { email: attemptEmail, method: recoveryCode ? 'recovery_code' : 'totp' },
+        ip,
+      });
+      return NextResponse.json(
+        { success: false, error: 'Invalid authentication code' },
+        { status: 401 }
+      );
+    }
+
+    await recordLoginSuccess({ email: attemptEmail, ip, user });
+    await recordAudit({
+      actor: user,
+      action: 'auth.login',
+      metadata: { method: recoveryCode ? 'recovery_code' : 'totp' },
+      ip,
+    });
+
+    return clearChallengeCookie(await createSessionResponse(user, { message: 'Login successful', status: 200 }));
+  } catch (error) {
+    console.error('Error in POST /api/auth/2fa/verify:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,33 +1,99 @@
 import { createClient } from '@/lib/supabase/server'
 import { NextResponse } from 'next/server'
+import { generateAuthTokens } from '@/lib/jwt'
+import { setSessionCookies } from '@/lib/session'
+import { OAUTH_LINK_COOKIE, getCookie } from '@/lib/cookies'
+import { findOrCreateOAuthUser, linkOAuthIdentity, verifyLinkIntent } from '@/lib/oauth'
+import { createTwoFactorChallenge, isTwoFactorSetupRequired, setChallengeCookie } from '@/lib/two-factor'
+import { recordAudit } from '@/lib/audit'
+import { getClientIp, getSafeReturnPath } from '@/lib/request'
 
 /**
  * Auth callback route for OAuth providers and email confirmations
- * This route handles the callback from Supabase auth and exchanges the code for a session
+ * This route handles the callback from Supabase auth, exchanges the code for a
+ * Supabase session and maps it onto the app's own users and session cookies.
+ * With ?link=1 the provider is linked to the signed-in user instead.
  */
 export async function GET(request: Request) {
   const { searchParams, origin } = new URL(request.url)
   const code = searchParams.get('code')
+  const isLink = searchParams.get('link') === '1'
   // if "next" is in param, use it as the redirect URL
-  const next = searchParams.get('next') ?? '/'
-
-  if (code) {
-    const supabase = await createClient()
-    const { error } = await supabase.auth.exchangeCodeForSession(code)
-    if (!error) {
-      const forwardedHost = request.headers.get('x-forwarded-host') // original origin before load balancer
-      const isLocalEnv = process.env.NODE_ENV === 'development'
-      if (isLocalEnv) {
-        // we can be sure that there is no load balancer in between, so no need to watch for X-Forwarded-Host
-        return NextResponse.redirect(`${origin}${next}`)
-      } else if (forwardedHost) {
-        return NextResponse.redirect(`https://${forwardedHost}${next}`)
-      } else {
-        return NextResponse.redirect(`${origin}${next}`)
-      }
-    }
+  const next = getSafeReturnPath(searchParams.get('next'), isLink ? '/settings/security' : '/')
+
+  const forwardedHost = request.headers.get('x-forwarded-host') // original origin before load balancer
+  const isLocalEnv = process.env.NODE_ENV === 'development'
+  // we can be sure that there is no load balancer in between in development, so no need to watch for X-Forwarded-Host
+  const baseUrl = !isLocalEnv && forwardedHost ? `https://${forwardedHost}` : origin
+
+  const redirectTo = (path: string) => {
+    const response = NextResponse.redirect(`${baseUrl}${path}`)
+    response.cookies.set(OAUTH_LINK_COOKIE, '', { path: '/', maxAge: 0 })
+    return response
   }
 
   // return the user to an error page with instructions
-  return NextResponse.redirect(`${origin}/auth/auth-code-error`)
+  const fail = (reason: string) => redirectTo(`/auth/auth-code-error?error=${reason}`)
+
+  if (!code) {
+    return fail('missing_code')
+  }
+
+  const supabase = await createClient()
+  const { data, error } = await supabase.auth.exchangeCodeForSession(code)
+
+  if (error || !data.user) {
+    return fail('exchange_failed')
+  }
+
+  const authUser = data.user
+
+  // The app authorizes with its own session, so the Supabase one is not kept
+  await supabase.auth.signOut({ scope: 'local' })
+
+  if (isLink) {
+    const userId = verifyLinkIntent(getCookie(request, OAUTH_LINK_COOKIE))
+
+    if (!userId) {
+      return fail('link_expired')
+    }
+
+    const linked = await linkOAuthIdentity(userId, authUser)
+
+    if (linked.error) {
+      return fail(linked.error)
+    }
+
+    const separator = next.includes('?') ? '&' : '?'
+    return redirectTo(`${next}${separator}linked=${linked.provider}`)
+  }
+
+  const { user, error: userError } = await findOrCreateOAuthUser(authUser)
+
+  if (userError || !user) {
+    return fail(userError || 'server_error')
+  }
+
+  if (user.suspended_at) {
+    return fail('account_suspended')
+  }
+
+  // Two-factor accounts finish signing in on the login page; the challenge travels in a
+  // cookie so it stays out of the address bar, history and logs
+  if (user.totp_enabled_at || isTwoFactorSetupRequired(user)) {
+    const step = user.totp_enabled_at ? 'verify' : 'enroll'
+    const purpose = step === 'verify' ? '2fa-login' : '2fa-enroll'
+    const challengeToken = createTwoFactorChallenge(user.id, purpose)
+    return setChallengeCookie(redirectTo(`/login?step=${step}&next=${encodeURIComponent(next)}`), challengeToken, purpose)
+  }
+
+  await recordAudit({
+    actor: user,
+    action: 'auth.login',
+    metadata: { method: 'oauth', provider: authUser.app_metadata?.provider },
+    ip: getClientIp(request),
+  })
+
+  const tokens = await generateAuthTokens(user)
+  return setSessionCookies(redirectTo(next), tokens)
 }
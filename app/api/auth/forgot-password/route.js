@@ -0,0 +1,82 @@
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Always responds with the same message, and sends the email after responding, so it cannot be used to discover which emails have accounts. The link points at NEXT_PUBLIC_APP_URL, which must be configured.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Invalid email
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse, after } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { isValidEmail } from '@/lib/validation';
+import { sendPasswordResetEmail } from '@/lib/account-emails';
+import { getConfiguredAppUrl } from '@/lib/request';
+
+export async function POST(request) {
+  try {
+    const { email } = await request.json();
+
+    if (!email || !isValidEmail(email)) {
+      return NextResponse.json(
+        { success: false, error: 'Valid email is required' },
+        { status: 400 }
+      );
+    }
+
+    // The link carries the reset token, so it must not follow a Host header the client chose
+    const appUrl = getConfiguredAppUrl();
+    if (!appUrl) {
+      console.error('NEXT_PUBLIC_APP_URL must be set to send password reset emails');
+      return NextResponse.json(
+        { success: false, error: 'Password reset is not available' },
+        { status: 500 }
+      );
+    }
+
+    const supabase = createAdminClient();
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, name, email')
+      .eq('email', email)
+      .single();
+
+    // Sent once the response is out, so known and unknown emails take the same time to answer
+    if (user) {
+      after(() => sendPasswordResetEmail(user, appUrl));
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/auth/forgot-password:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -20,9 +20,18 @@
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, sets the httpOnly session cookies. If the account uses two-factor authentication the response instead contains twoFactorRequired and a challengeToken for /api/auth/2fa/verify; if an admin requires 2FA that is not set up yet it contains twoFactorSetupRequired and a challengeToken for /api/auth/2fa/setup.
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account suspended
+ *       429:
+ *         description: Too many failed attempts from this IP or for this account, or the email address is temporarily locked (whether or not an account uses it). See the Retry-After header.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds to wait before trying again
  *       500:
  *         description: Server error
  */
@@ -30,8 +39,32 @@
 import { NextResponse } from 'next/server';
 import { createAdminClient } from '@/lib/supabase/server';
 import { validateLogin } from '@/lib/validation';
-import { generateToken } from '@/lib/jwt';
-import bcrypt from 'bcryptjs';
+import { createSessionResponse } from '@/lib/session';
+import { createTwoFactorChallenge, isTwoFactorSetupRequired } from '@/lib/two-factor';
+import { getClientIp } from '@/lib/request';
+import { recordAudit } from '@/lib/audit';
+import {
+  checkLoginRateLimit,
+  getEmailLockoutRemaining,
+  getLockoutRemaining,
+  recordLoginFailure,
+  recordLoginSuccess,
+  verifyPassword,
+} from '@/lib/login-protection';
+
+function tooManyAttempts(retryAfter) {
+  return NextResponse.json(
+    { success: false, error: 'Too many login attempts. Please try again later.' },
+    { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+  );
+}
+
+function accountSuspended() {
+  return NextResponse.json(
+    { success: false, error: 'This account has been suspended' },
+    { status: 403 }
+  );
+}
 
 export async function POST(request) {
   try {
@@ -47,53 +80,89 @@ export async function POST(request) {
     }
 
     const { email, password } = body;
+    const ip = getClientIp(request);
+    const attemptEmail = email.toLowerCase();
+
+    // Enforce per-IP and per-account sliding-window limits
+    const rateLimit = await checkLoginRateLimit({ email: attemptEmail, ip });
+    if (!rateLimit.allowed) {
+      return tooManyAttempts(rateLimit.retryAfter);
+    }
 
     // Create Supabase admin client
     const supabase = createAdminClient();
 
-    // Find user by email
-    const { data: user, error: userError } = await supabase
+    // Find user by email; older accounts may have been stored with capitals, so match without case
+    const { data: user } = await supabase
       .from('users')
       .select('*')
-      .eq('email', email)
-      .single();
+      .ilike('email', attemptEmail.replace(/[\\%_]/g, '\\$&'))
+      .maybeSingle();
 
-    if (userError || !user) {
+    // Unknown addresses lock the same way as accounts, so a lockout does not reveal which exist
+    const lockoutRemaining = Math.max(
+      getLockoutRemaining(user),
+      await getEmailLockoutRemaining(attemptEmail)
+    );
+    if (lockoutRemaining > 0) {
+      return tooManyAttempts(lockoutRemaining);
+    }
+
+    // Verify password (takes the same time whether or not the account exists)
+    const isValidPassword = await verifyPassword(password, user?.password);
+
+    if (!isValidPassword) {
+      await recordLoginFailure({ email: attemptEmail, ip, user });
+      await recordAudit({
+        action: 'auth.login_failed',
+        targetType: 'user',
+        targetId: user?.id,
+        metadata: { email: attemptEmail, method: 'password' },
+        ip,
+      });
       return NextResponse.json(
         { success: false, error: 'Invalid email or password' },
         { status: 401 }
       );
     }
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    // Checked after the password so suspension does not reveal which emails exist
+    if (user.suspended_at) {
+      return accountSuspended();
+    }
 
-    if (!isValidPassword) {
+    // Accounts with 2FA receive a challenge instead of a session; the
+    // attempt only counts as successful once the second factor is checked
+    if (user.totp_enabled_at) {
       return NextResponse.json(
-        { success: false, error: 'Invalid email or password' },
-        { status: 401 }
+        {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: createTwoFactorChallenge(user.id, '2fa-login'),
+          message: 'Enter the code from your authenticator app',
+        },
+        { status: 200 }
       );
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      id: user.id,
-      email: user.email,
-      role: user.role,
-    });
+    // An admin requires 2FA for this account but it has not been set up yet
+    if (isTwoFactorSetupRequired(user)) {
+      return NextResponse.json(
+        {
+          success: true,
+          twoFactorSetupRequired: true,
+          challengeToken: createTwoFactorChallenge(user.id, '2fa-enroll'),
+          message: 'Two-factor authentication must be set up before signing in',
+        },
+        { status: 200 }
+      );
+    }
 
-    // Return user data (without password) and token
-    const { password: _, ...userWithoutPassword } = user;
+    await recordLoginSuccess({ email: attemptEmail, ip, user });
+    await recordAudit({ actor: user, action: 'auth.login', metadata: { method: 'password' }, ip });
 
-    return NextResponse.json(
-      {
-        success: true,
-        user: userWithoutPassword,
-        token,
-        message: 'Login successful',
-      },
-      { status: 200 }
-    );
+    // Return user data (without secrets), tokens and session cookies
+    return await createSessionResponse(user, { message: 'Login successful', status: 200 });
   } catch (error) {
     console.error('Error in POST /api/auth/login:', error);
     return NextResponse.json(
@@ -0,0 +1,70 @@
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout and revoke the current tokens
+ *     description: Revokes the access token (bearer or session cookie) and the refresh token from the body or cookie, and clears the session cookies. Set allDevices to revoke every session of the user.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *               allDevices:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { verifyTokenFromRequest } from '@/lib/jwt';
+import { revokeAccessToken, revokeRefreshToken, revokeUserSessions } from '@/lib/token-store';
+import { clearSessionCookies } from '@/lib/session';
+import { REFRESH_COOKIE, getCookie } from '@/lib/cookies';
+
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { allDevices } = body;
+    const refreshToken = body.refreshToken || getCookie(request, REFRESH_COOKIE);
+
+    const decoded = await verifyTokenFromRequest(request);
+
+    if (decoded) {
+      await revokeAccessToken(decoded);
+
+      if (allDevices) {
+        await revokeUserSessions(decoded.id);
+      }
+    }
+
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    const response = NextResponse.json(
+      {
+        success: true,
+        message: 'Logged out successfully',
+      },
+      { status: 200 }
+    );
+
+    return clearSessionCookies(response);
+  } catch (error) {
+    console.error('Error in POST /api/auth/logout:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: Refresh tokens are single-use. Each call issues a new refresh token and invalidates the one presented. Clients that send refreshToken in the body get the new tokens back in the body. Browsers omit the body and send the refresh_token cookie with an X-CSRF-Token header instead; they only receive the new tokens as httpOnly cookies.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens issued, in the body only when refreshToken was sent in the body
+ *       400:
+ *         description: Refresh token missing
+ *       403:
+ *         description: Missing or invalid CSRF token for a cookie-based refresh
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { renewSession, setSessionCookies, clearSessionCookies } from '@/lib/session';
+import { REFRESH_COOKIE, getCookie, isCsrfValid } from '@/lib/cookies';
+
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const cookieToken = getCookie(request, REFRESH_COOKIE);
+    const refreshToken = body.refreshToken || cookieToken;
+
+    if (!refreshToken) {
+      return NextResponse.json(
+        { success: false, error: 'Refresh token is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!body.refreshToken && !isCsrfValid(request)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid CSRF token' },
+        { status: 403 }
+      );
+    }
+
+    const renewed = await renewSession(refreshToken);
+
+    if (!renewed) {
+      return clearSessionCookies(NextResponse.json(
+        { success: false, error: 'Invalid or expired refresh token' },
+        { status: 401 }
+      ));
+    }
+
+    // A cookie-based refresh must not hand the tokens to page scripts
+    const response = NextResponse.json(
+      body.refreshToken
+        ? { success: true, token: renewed.token, refreshToken: renewed.refreshToken }
+        : { success: true },
+      { status: 200 }
+    );
+
+    return setSessionCookies(response, renewed);
+  } catch (error) {
+    console.error('Error in POST /api/auth/refresh:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -3,6 +3,7 @@
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: New accounts are always readers. Pass an invitation token to receive the role an admin invited you with.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -14,7 +15,6 @@
  *               - name
  *               - email
  *               - password
- *               - role
  *             properties:
  *               name:
  *                 type: string
@@ -22,14 +22,14 @@
  *                 type: string
  *               password:
  *                 type: string
- *               role:
+ *               inviteToken:
  *                 type: string
- *                 enum: [admin, author, reader]
+ *                 description: Token from an invite link (/register?invite=...). The email must match the invited email.
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully, sets the httpOnly session cookies. A verification email is sent to the address.
  *       400:
- *         description: Invalid input or user already exists
+ *         description: Invalid input, invalid invitation or user already exists
  *       500:
  *         description: Server error
  */
@@ -37,7 +37,10 @@
 import { NextResponse } from 'next/server';
 import { createAdminClient } from '@/lib/supabase/server';
 import { validateRegistration } from '@/lib/validation';
-import { generateToken } from '@/lib/jwt';
+import { createSessionResponse } from '@/lib/session';
+import { getPendingInvitation, acceptInvitation } from '@/lib/invitations';
+import { sendVerificationEmail } from '@/lib/account-emails';
+import { getAppUrl } from '@/lib/request';
 import bcrypt from 'bcryptjs';
 
 export async function POST(request) {
@@ -53,7 +56,20 @@ export async function POST(request) {
       );
     }
 
-    const { name, email, password, role } = body;
+    const { name, email, password, inviteToken } = body;
+
+    // Roles other than reader can only be granted through an invitation
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await getPendingInvitation(inviteToken);
+
+      if (!invitation || invitation.email !== email.toLowerCase()) {
+        return NextResponse.json(
+          { success: false, error: 'Invitation is invalid, expired or for a different email' },
+          { status: 400 }
+        );
+      }
+    }
 
     // Create Supabase admin client
     const supabase = createAdminClient();
@@ -83,7 +99,7 @@ export async function POST(request) {
           name,
           email,
           password: hashedPassword,
-          role: role || 'reader',
+          role: invitation ? invitation.role : 'reader',
           bio: null,
           avatar_url: `https://api.dicebear.com/7.x/avataaars/svg?seed=${email}`,
           created_at: new Date().toISOString(),
@@ -101,25 +117,17 @@ export async function POST(request) {
       );
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      id: newUser.id,
-      email: newUser.email,
-      role: newUser.role,
-    });
+    // Invitations are bound to one email, so the unique email index
+    // already prevents the same invite from creating two accounts
+    if (invitation) {
+      await acceptInvitation(invitation.id, newUser.id);
+    }
 
-    // Return user data (without password) and token
-    const { password: _, ...userWithoutPassword } = newUser;
+    // Ask the user to confirm their email address
+    await sendVerificationEmail(newUser, getAppUrl(request));
 
-    return NextResponse.json(
-      {
-        success: true,
-        user: userWithoutPassword,
-        token,
-        message: 'User registered successfully',
-      },
-      { status: 201 }
-    );
+    // Return user data (without secrets), tokens and session cookies
+    return await createSessionResponse(newUser, { message: 'User registered successfully', status: 201 });
   } catch (error) {
     console.error('Error in POST /api/auth/register:', error);
     return NextResponse.json(
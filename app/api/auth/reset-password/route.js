@@ -0,0 +1,95 @@
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Reset tokens expire after 1 hour and can be used once. All existing sessions are revoked.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid password or invalid, expired or used token
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { isValidPassword } from '@/lib/validation';
+import { consumeActionToken } from '@/lib/action-tokens';
+import { revokeUserSessions } from '@/lib/token-store';
+import bcrypt from 'bcryptjs';
+
+export async function POST(request) {
+  try {
+    const { token, password } = await request.json();
+
+    const passwordValidation = isValidPassword(password);
+    if (!passwordValidation.valid) {
+      return NextResponse.json(
+        { success: false, error: passwordValidation.error },
+        { status: 400 }
+      );
+    }
+
+    const decoded = await consumeActionToken(token, 'password-reset');
+
+    if (!decoded) {
+      return NextResponse.json(
+        { success: false, error: 'Reset link is invalid or has expired' },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createAdminClient();
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        password: hashedPassword,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', decoded.sub);
+
+    if (updateError) {
+      console.error('Error resetting password:', updateError);
+      return NextResponse.json(
+        { success: false, error: 'Failed to reset password' },
+        { status: 500 }
+      );
+    }
+
+    // Sign out everywhere in case the old password was compromised
+    await revokeUserSessions(decoded.sub);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Password reset successfully. Please sign in with your new password.',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/auth/reset-password:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
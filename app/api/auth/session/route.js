@@ -0,0 +1,49 @@
+/**
+ * @swagger
+ * /api/auth/session:
+ *   get:
+ *     summary: Renew an expired browser session and continue to a page
+ *     description: Used by server-rendered pages whose access cookie has expired. Rotates the refresh_token cookie, sets new session cookies and redirects to next. If the session cannot be renewed the cookies are cleared and the browser is sent to the login page, which returns to next after signing in. Requests started by another site go to the login page without renewing, so they cannot rotate the user's tokens.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: next
+ *         schema:
+ *           type: string
+ *           default: /
+ *         description: Same-origin path to continue to
+ *     responses:
+ *       307:
+ *         description: Redirect to next, or to /login when the session has ended
+ */
+
+import { NextResponse } from 'next/server';
+import { renewSession, setSessionCookies, clearSessionCookies } from '@/lib/session';
+import { REFRESH_COOKIE, getCookie } from '@/lib/cookies';
+import { getSafeReturnPath, isSameOriginRequest } from '@/lib/request';
+
+export async function GET(request) {
+  const url = new URL(request.url);
+  const next = getSafeReturnPath(url.searchParams.get('next'));
+  // Renewing for the login page itself falls back to that same page
+  const loginUrl = new URL(next.startsWith('/login') ? next : `/login?next=${encodeURIComponent(next)}`, url.origin);
+
+  // Renewal rotates the refresh token, so another site must not be able to trigger it
+  if (!isSameOriginRequest(request)) {
+    return NextResponse.redirect(loginUrl);
+  }
+
+  try {
+    const refreshToken = getCookie(request, REFRESH_COOKIE);
+    const renewed = refreshToken ? await renewSession(refreshToken) : null;
+
+    if (!renewed) {
+      return clearSessionCookies(NextResponse.redirect(loginUrl));
+    }
+
+    return setSessionCookies(NextResponse.redirect(new URL(next, url.origin)), renewed);
+  } catch (error) {
+    console.error('Error in GET /api/auth/session:', error);
+    return NextResponse.redirect(loginUrl);
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Send a new email verification link to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { sendVerificationEmail } from '@/lib/account-emails';
+import { getAppUrl } from '@/lib/request';
+
+export const POST = withAuth(async (request, context, principal) => {
+  try {
+    const supabase = createAdminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, name, email, email_verified_at')
+      .eq('id', principal.id)
+      .single();
+
+    if (userError || !user) {
+      return NextResponse.json(
+        { success: false, error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    if (user.email_verified_at) {
+      return NextResponse.json(
+        { success: false, error: 'Email is already verified' },
+        { status: 400 }
+      );
+    }
+
+    const sent = await sendVerificationEmail(user, getAppUrl(request));
+
+    if (!sent) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to send verification email' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Verification email sent',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/auth/verify-email/resend:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
@@ -0,0 +1,79 @@
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address using a verification token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid, expired or used token
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { consumeActionToken } from '@/lib/action-tokens';
+
+export async function POST(request) {
+  try {
+    const { token } = await request.json();
+
+    const decoded = await consumeActionToken(token, 'email-verification');
+
+    if (!decoded) {
+      return NextResponse.json(
+        { success: false, error: 'Verification link is invalid or has expired' },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createAdminClient();
+
+    // The token is only valid for the address it was sent to
+    const { data: user, error: updateError } = await supabase
+      .from('users')
+      .update({
+        email_verified_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', decoded.sub)
+      .eq('email', decoded.email)
+      .select('id')
+      .single();
+
+    if (updateError || !user) {
+      return NextResponse.json(
+        { success: false, error: 'Verification link is invalid or has expired' },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Email verified successfully',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/auth/verify-email:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
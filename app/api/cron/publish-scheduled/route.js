@@ -0,0 +1,55 @@
+/**
+ * @swagger
+ * /api/cron/publish-scheduled:
+ *   post:
+ *     summary: Publish scheduled posts whose publish time has passed
+ *     description: Called by the scheduler with the CRON_SECRET as a bearer token, ideally every minute. Idempotent; GET is accepted for schedulers that cannot POST.
+ *     tags: [Cron]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of posts published
+ *       401:
+ *         description: Missing or wrong cron secret
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { verifyCronRequest } from '@/lib/cron';
+import { publishDuePosts } from '@/lib/scheduled-posts';
+
+export async function POST(request) {
+  try {
+    const denied = verifyCronRequest(request);
+    if (denied) {
+      return denied;
+    }
+
+    const result = await publishDuePosts();
+
+    if (result.error) {
+      return NextResponse.json(
+        { success: false, error: result.error },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: result,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in /api/cron/publish-scheduled:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export const GET = POST;
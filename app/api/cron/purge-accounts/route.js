@@ -0,0 +1,48 @@
+/**
+ * @swagger
+ * /api/cron/purge-accounts:
+ *   post:
+ *     summary: Purge accounts whose deletion grace period has ended
+ *     description: Called by the scheduler with the CRON_SECRET as a bearer token. Safe to call repeatedly; GET is accepted for schedulers that cannot POST.
+ *     tags: [Cron]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of accounts purged and failed
+ *       401:
+ *         description: Missing or wrong cron secret
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { verifyCronRequest } from '@/lib/cron';
+import { processDueAccountDeletions } from '@/lib/account-deletion';
+
+export async function POST(request) {
+  try {
+    const denied = verifyCronRequest(request);
+    if (denied) {
+      return denied;
+    }
+
+    const result = await processDueAccountDeletions();
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: result,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in /api/cron/purge-accounts:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export const GET = POST;
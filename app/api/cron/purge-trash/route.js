@@ -0,0 +1,55 @@
+/**
+ * @swagger
+ * /api/cron/purge-trash:
+ *   post:
+ *     summary: Permanently delete posts that have been in the trash past the retention period
+ *     description: Called by the scheduler with the CRON_SECRET as a bearer token. Safe to call repeatedly; GET is accepted for schedulers that cannot POST.
+ *     tags: [Cron]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of posts purged
+ *       401:
+ *         description: Missing or wrong cron secret
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { verifyCronRequest } from '@/lib/cron';
+import { purgeExpiredTrash } from '@/lib/post-trash';
+
+export async function POST(request) {
+  try {
+    const denied = verifyCronRequest(request);
+    if (denied) {
+      return denied;
+    }
+
+    const result = await purgeExpiredTrash();
+
+    if (result.error) {
+      return NextResponse.json(
+        { success: false, error: result.error },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: result,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in /api/cron/purge-trash:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export const GET = POST;
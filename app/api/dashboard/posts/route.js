@@ -0,0 +1,118 @@
+/**
+ * @swagger
+ * /api/dashboard/posts:
+ *   get:
+ *     summary: List posts for the dashboard in every status
+ *     description: Requires the post:create capability. Authors see their own posts; roles with post:read:any (admin, editor) see all posts.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published]
+ *         description: Only posts in this status; all statuses when omitted
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in title, content, and excerpt
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, title, most-commented, updated]
+ *           default: updated
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of posts with pagination info
+ *       400:
+ *         description: Invalid status or sort
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Role cannot write posts
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { hasCapability } from '@/lib/permissions';
+import { POST_STATUSES } from '@/lib/validation';
+import { getPaginatedPosts, POST_SORTS } from '@/lib/db';
+import { parsePageParams } from '@/lib/pagination';
+
+export const GET = withAuth(async (request, context, principal) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || null;
+    const search = searchParams.get('search');
+    const sort = searchParams.get('sort') || 'updated';
+    const { page, pageSize } = parsePageParams(searchParams);
+
+    if (status && !POST_STATUSES.includes(status)) {
+      return NextResponse.json(
+        { success: false, error: `Invalid status. Must be one of: ${POST_STATUSES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (!POST_SORTS[sort]) {
+      return NextResponse.json(
+        { success: false, error: `Invalid sort. Must be one of: ${Object.keys(POST_SORTS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const result = await getPaginatedPosts({
+      page,
+      pageSize,
+      status,
+      authorId: hasCapability(principal.role, 'post:read:any') ? null : principal.id,
+      search,
+      sort,
+    });
+
+    if (result.error) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to fetch posts' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: result.posts,
+        pagination: {
+          page: result.page,
+          pageSize: result.pageSize,
+          total: result.total,
+          totalPages: result.totalPages,
+        },
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/dashboard/posts:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'post:create', scope: 'posts:read' });
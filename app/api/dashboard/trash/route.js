@@ -0,0 +1,99 @@
+/**
+ * @swagger
+ * /api/dashboard/trash:
+ *   get:
+ *     summary: List posts in the trash
+ *     description: Requires the post:create capability. Authors see their own trashed posts; roles with post:delete:any (admin, editor) see all of them. Each post carries the date it will be purged.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Trashed posts, most recently deleted first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Role cannot write posts
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Empty the trash
+ *     description: Requires the post:purge capability (admin). Permanently deletes every trashed post with its tags, comments, revisions and preview links.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Number of posts purged
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { hasCapability } from '@/lib/permissions';
+import { listTrashedPosts, purgeTrashedPosts } from '@/lib/post-trash';
+import { getClientIp } from '@/lib/request';
+
+export const GET = withAuth(async (request, context, principal) => {
+  try {
+    const posts = await listTrashedPosts({
+      authorId: hasCapability(principal.role, 'post:delete:any') ? null : principal.id,
+    });
+
+    if (!posts) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to fetch trash' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: posts,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/dashboard/trash:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'post:create', scope: 'posts:read' });
+
+export const DELETE = withAuth(async (request, context, principal) => {
+  try {
+    const result = await purgeTrashedPosts({ actor: principal, ip: getClientIp(request) });
+
+    if (result.error) {
+      return NextResponse.json(
+        { success: false, error: result.error },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: result,
+        message: result.purged === 1 ? '1 post deleted permanently' : `${result.purged} posts deleted permanently`,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in DELETE /api/dashboard/trash:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'post:purge', scope: 'posts:write' });
@@ -0,0 +1,57 @@
+/**
+ * @swagger
+ * /api/invitations/{token}:
+ *   get:
+ *     summary: Look up a pending invitation
+ *     description: Used by the registration page to show the invited email and role.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation token from the invite link
+ *     responses:
+ *       200:
+ *         description: Invitation details
+ *       404:
+ *         description: Invitation invalid, used or expired
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { getPendingInvitation } from '@/lib/invitations';
+
+export async function GET(request, { params }) {
+  try {
+    const { token } = params;
+    const invitation = await getPendingInvitation(token);
+
+    if (!invitation) {
+      return NextResponse.json(
+        { success: false, error: 'Invitation is invalid or has expired' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          email: invitation.email,
+          role: invitation.role,
+          expires_at: invitation.expires_at,
+        },
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/invitations/[token]:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * @swagger
+ * /api/posts/{slug}/previews/{id}:
+ *   delete:
+ *     summary: Revoke a preview link
+ *     description: The link stops working immediately. Requires post:edit:any, or post:edit:own for the post's author.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Preview link ID (jti)
+ *     responses:
+ *       200:
+ *         description: Preview link revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to edit this post
+ *       404:
+ *         description: Post or active preview link not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth, forbidden } from '@/lib/auth';
+import { canActOn } from '@/lib/permissions';
+import { revokePreviewToken } from '@/lib/post-previews';
+
+export const DELETE = withAuth(async (request, { params }, principal) => {
+  try {
+    const { slug, id } = params;
+    const supabase = createAdminClient();
+
+    const { data: post, error } = await supabase
+      .from('posts')
+      .select('id, author_id')
+      .eq('slug', slug)
+      .is('deleted_at', null)
+      .single();
+
+    if (error || !post) {
+      return NextResponse.json(
+        { success: false, error: 'Post not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!canActOn(principal, 'post', 'edit', post.author_id)) {
+      return forbidden('You are not allowed to share previews of this post');
+    }
+
+    const revoked = await revokePreviewToken(post.id, id);
+
+    if (!revoked) {
+      return NextResponse.json(
+        { success: false, error: 'Preview link not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Preview link revoked',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in DELETE /api/posts/[slug]/previews/[id]:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { scope: 'posts:write' });
@@ -0,0 +1,174 @@
+/**
+ * @swagger
+ * /api/posts/{slug}/previews:
+ *   get:
+ *     summary: List the active preview links of a post
+ *     description: Requires post:edit:any, or post:edit:own for the post's author. The tokens themselves are never returned.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active preview links
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to edit this post
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a shareable preview link for a post
+ *     description: Anyone with the link can read the post at /blog/{slug}?preview=token until it expires or is revoked, even while it is a draft. The link is returned once. Requires post:edit:any, or post:edit:own for the post's author.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *                 enum: [1, 7, 30]
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Preview link created
+ *       400:
+ *         description: Invalid expiry
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to edit this post
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth, forbidden } from '@/lib/auth';
+import { canActOn } from '@/lib/permissions';
+import { PREVIEW_TTL_DAYS, createPreviewToken, listPreviewTokens } from '@/lib/post-previews';
+import { getAppUrl } from '@/lib/request';
+
+export const GET = withAuth(async (request, { params }, principal) => {
+  try {
+    const { slug } = params;
+    const supabase = createAdminClient();
+
+    const { data: post, error } = await supabase
+      .from('posts')
+      .select('id, author_id')
+      .eq('slug', slug)
+      .is('deleted_at', null)
+      .single();
+
+    if (error || !post) {
+      return NextResponse.json(
+        { success: false, error: 'Post not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!canActOn(principal, 'post', 'edit', post.author_id)) {
+      return forbidden('You are not allowed to share previews of this post');
+    }
+
+    const previews = await listPreviewTokens(post.id);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: previews,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/posts/[slug]/previews:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { scope: 'posts:read' });
+
+export const POST = withAuth(async (request, { params }, principal) => {
+  try {
+    const { slug } = params;
+    const body = await request.json().catch(() => ({}));
+    const expiresInDays = body.expiresInDays === undefined ? 7 : Number(body.expiresInDays);
+
+    if (!PREVIEW_TTL_DAYS.includes(expiresInDays)) {
+      return NextResponse.json(
+        { success: false, error: `expiresInDays must be one of: ${PREVIEW_TTL_DAYS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createAdminClient();
+
+    const { data: post, error } = await supabase
+      .from('posts')
+      .select('id, slug, author_id')
+      .eq('slug', slug)
+      .is('deleted_at', null)
+      .single();
+
+    if (error || !post) {
+      return NextResponse.json(
+        { success: false, error: 'Post not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!canActOn(principal, 'post', 'edit', post.author_id)) {
+      return forbidden('You are not allowed to share previews of this post');
+    }
+
+    const result = await createPreviewToken(post.id, principal.id, expiresInDays);
+
+    if (!result) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to create preview link' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          ...result.preview,
+          url: `${getAppUrl(request)}/blog/${post.slug}?preview=${encodeURIComponent(result.token)}`,
+        },
+        message: 'Preview link created. Copy it now, it will not be shown again.',
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/posts/[slug]/previews:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { scope: 'posts:write' });
@@ -0,0 +1,98 @@
+/**
+ * @swagger
+ * /api/posts/{slug}/restore:
+ *   post:
+ *     summary: Restore a post from the trash
+ *     description: Requires post:delete:any, or post:delete:own for the post's author. The post comes back with the status it had when it was deleted.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Slug of the trashed post
+ *     responses:
+ *       200:
+ *         description: Post restored
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to restore this post
+ *       404:
+ *         description: No trashed post with this slug
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth, forbidden } from '@/lib/auth';
+import { canActOn } from '@/lib/permissions';
+import { restorePost } from '@/lib/post-trash';
+import { recordAudit } from '@/lib/audit';
+import { getClientIp } from '@/lib/request';
+
+export const POST = withAuth(async (request, { params }, principal) => {
+  try {
+    const { slug } = params;
+    const supabase = createAdminClient();
+
+    const { data: trashedPost, error: fetchError } = await supabase
+      .from('posts')
+      .select('*')
+      .eq('slug', slug)
+      .not('deleted_at', 'is', null)
+      .single();
+
+    if (fetchError || !trashedPost) {
+      return NextResponse.json(
+        { success: false, error: 'Post not found in trash' },
+        { status: 404 }
+      );
+    }
+
+    // Whoever may delete a post may also change their mind
+    if (!canActOn(principal, 'post', 'delete', trashedPost.author_id)) {
+      return forbidden('You are not allowed to restore this post');
+    }
+
+    const restoredPost = await restorePost(trashedPost);
+
+    if (!restoredPost) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to restore post' },
+        { status: 500 }
+      );
+    }
+
+    await recordAudit({
+      actor: principal,
+      action: 'post.restore',
+      targetType: 'post',
+      targetId: trashedPost.id,
+      before: trashedPost,
+      after: restoredPost,
+      metadata: { authMethod: principal.authMethod },
+      ip: getClientIp(request),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: restoredPost,
+        message: 'Post restored',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/posts/[slug]/restore:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { scope: 'posts:write' });
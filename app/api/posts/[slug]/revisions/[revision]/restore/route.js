@@ -0,0 +1,159 @@
+/**
+ * @swagger
+ * /api/posts/{slug}/revisions/{revision}/restore:
+ *   post:
+ *     summary: Restore a post to an earlier revision
+ *     description: Requires post:edit:any, or post:edit:own for the post's author. Title, content, excerpt, featured image, category and tags are restored; status and publish time are kept. Categories and tags deleted since are dropped. The restore is saved as a new revision.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *     responses:
+ *       200:
+ *         description: Post restored; the slug changes if the restored title differs and the slug is not pinned
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to edit this post
+ *       404:
+ *         description: Post or revision not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth, forbidden } from '@/lib/auth';
+import { canActOn } from '@/lib/permissions';
+import { recordSlugChange, resolvePostSlug } from '@/lib/post-slugs';
+import {
+  buildRestoreData,
+  ensureBaselineRevision,
+  getRevision,
+  recordRevision,
+} from '@/lib/post-revisions';
+import { recordAudit } from '@/lib/audit';
+import { getClientIp } from '@/lib/request';
+
+export const POST = withAuth(async (request, { params }, principal) => {
+  try {
+    const { slug, revision: revisionParam } = params;
+    const revisionNumber = parseInt(revisionParam, 10);
+    const supabase = createAdminClient();
+
+    const { data: existingPost, error: fetchError } = await supabase
+      .from('posts')
+      .select('*')
+      .eq('slug', slug)
+      .is('deleted_at', null)
+      .single();
+
+    if (fetchError || !existingPost) {
+      return NextResponse.json(
+        { success: false, error: 'Post not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!canActOn(principal, 'post', 'edit', existingPost.author_id)) {
+      return forbidden('You are not allowed to edit this post');
+    }
+
+    const revision = Number.isInteger(revisionNumber)
+      ? await getRevision(existingPost.id, revisionNumber)
+      : null;
+
+    if (!revision) {
+      return NextResponse.json(
+        { success: false, error: 'Revision not found' },
+        { status: 404 }
+      );
+    }
+
+    await ensureBaselineRevision(existingPost);
+
+    const { updateData, tagIds } = await buildRestoreData(revision);
+    updateData.updated_at = new Date().toISOString();
+    updateData.version = existingPost.version + 1;
+
+    const nextSlug = await resolvePostSlug(existingPost, { title: updateData.title });
+    if (nextSlug.slug !== existingPost.slug) {
+      updateData.slug = nextSlug.slug;
+    }
+
+    const { data: updatedPost, error: updateError } = await supabase
+      .from('posts')
+      .update(updateData)
+      .eq('id', existingPost.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('Error restoring post revision:', updateError);
+      return NextResponse.json(
+        { success: false, error: 'Failed to restore revision' },
+        { status: 500 }
+      );
+    }
+
+    await recordSlugChange(existingPost.id, existingPost.slug, updatedPost.slug);
+
+    await supabase
+      .from('post_tags')
+      .delete()
+      .eq('post_id', existingPost.id);
+
+    if (tagIds.length > 0) {
+      await supabase
+        .from('post_tags')
+        .insert(tagIds.map(tagId => ({
+          post_id: existingPost.id,
+          tag_id: tagId,
+          created_at: new Date().toISOString(),
+        })));
+    }
+
+    await recordRevision(existingPost.id, {
+      editorId: principal.id,
+      restoredFrom: revision.revision_number,
+    });
+
+    await recordAudit({
+      actor: principal,
+      action: 'post.revision_restore',
+      targetType: 'post',
+      targetId: existingPost.id,
+      before: existingPost,
+      after: { ...updatedPost, tags: tagIds },
+      metadata: { revision: revision.revision_number, authMethod: principal.authMethod },
+      ip: getClientIp(request),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: updatedPost,
+        message: `Restored revision ${revision.revision_number}`,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/posts/[slug]/revisions/[revision]/restore:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { scope: 'posts:write' });
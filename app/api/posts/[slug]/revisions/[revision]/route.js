@@ -0,0 +1,91 @@
+/**
+ * @swagger
+ * /api/posts/{slug}/revisions/{revision}:
+ *   get:
+ *     summary: Get the full snapshot of one revision
+ *     description: Requires post:edit:any, or post:edit:own for the post's author.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number
+ *     responses:
+ *       200:
+ *         description: Revision snapshot including category and tags
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to edit this post
+ *       404:
+ *         description: Post or revision not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth, forbidden } from '@/lib/auth';
+import { canActOn } from '@/lib/permissions';
+import { getRevision } from '@/lib/post-revisions';
+
+export const GET = withAuth(async (request, { params }, principal) => {
+  try {
+    const { slug, revision: revisionParam } = params;
+    const revisionNumber = parseInt(revisionParam, 10);
+    const supabase = createAdminClient();
+
+    const { data: post, error } = await supabase
+      .from('posts')
+      .select('id, author_id')
+      .eq('slug', slug)
+      .is('deleted_at', null)
+      .single();
+
+    if (error || !post) {
+      return NextResponse.json(
+        { success: false, error: 'Post not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!canActOn(principal, 'post', 'edit', post.author_id)) {
+      return forbidden('You are not allowed to view the history of this post');
+    }
+
+    const revision = Number.isInteger(revisionNumber)
+      ? await getRevision(post.id, revisionNumber)
+      : null;
+
+    if (!revision) {
+      return NextResponse.json(
+        { success: false, error: 'Revision not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: revision,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/posts/[slug]/revisions/[revision]:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { scope: 'posts:read' });
@@ -0,0 +1,124 @@
+/**
+ * @swagger
+ * /api/posts/{slug}/revisions/diff:
+ *   get:
+ *     summary: Diff two revisions of a post
+ *     description: Requires post:edit:any, or post:edit:own for the post's author. Title, excerpt and content are returned as lists of unchanged, added and removed chunks; category, featured image and tags as before/after.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Older revision number
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Newer revision number
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [line, word]
+ *           default: line
+ *     responses:
+ *       200:
+ *         description: Field-by-field diff
+ *       400:
+ *         description: Missing revision numbers or invalid mode
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to edit this post
+ *       404:
+ *         description: Post or revision not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth, forbidden } from '@/lib/auth';
+import { canActOn } from '@/lib/permissions';
+import { DIFF_MODES, diffRevisions, getRevision } from '@/lib/post-revisions';
+
+export const GET = withAuth(async (request, { params }, principal) => {
+  try {
+    const { slug } = params;
+    const { searchParams } = new URL(request.url);
+    const from = parseInt(searchParams.get('from'), 10);
+    const to = parseInt(searchParams.get('to'), 10);
+    const mode = searchParams.get('mode') || 'line';
+
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return NextResponse.json(
+        { success: false, error: 'from and to revision numbers are required' },
+        { status: 400 }
+      );
+    }
+
+    if (!DIFF_MODES.includes(mode)) {
+      return NextResponse.json(
+        { success: false, error: `mode must be one of: ${DIFF_MODES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createAdminClient();
+
+    const { data: post, error } = await supabase
+      .from('posts')
+      .select('id, author_id')
+      .eq('slug', slug)
+      .is('deleted_at', null)
+      .single();
+
+    if (error || !post) {
+      return NextResponse.json(
+        { success: false, error: 'Post not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!canActOn(principal, 'post', 'edit', post.author_id)) {
+      return forbidden('You are not allowed to view the history of this post');
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      getRevision(post.id, from),
+      getRevision(post.id, to),
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return NextResponse.json(
+        { success: false, error: 'Revision not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: diffRevisions(fromRevision, toRevision, mode),
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/posts/[slug]/revisions/diff:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { scope: 'posts:read' });
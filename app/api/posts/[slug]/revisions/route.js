@@ -0,0 +1,82 @@
+/**
+ * @swagger
+ * /api/posts/{slug}/revisions:
+ *   get:
+ *     summary: List the revisions of a post, newest first
+ *     description: Requires post:edit:any, or post:edit:own for the post's author. Content is omitted; fetch a single revision for the full snapshot.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revisions of the post
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to edit this post
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth, forbidden } from '@/lib/auth';
+import { canActOn } from '@/lib/permissions';
+import { listRevisions } from '@/lib/post-revisions';
+
+export const GET = withAuth(async (request, { params }, principal) => {
+  try {
+    const { slug } = params;
+    const supabase = createAdminClient();
+
+    const { data: post, error } = await supabase
+      .from('posts')
+      .select('id, author_id')
+      .eq('slug', slug)
+      .is('deleted_at', null)
+      .single();
+
+    if (error || !post) {
+      return NextResponse.json(
+        { success: false, error: 'Post not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!canActOn(principal, 'post', 'edit', post.author_id)) {
+      return forbidden('You are not allowed to view the history of this post');
+    }
+
+    const revisions = await listRevisions(post.id);
+
+    if (!revisions) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to fetch revisions' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: revisions,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/posts/[slug]/revisions:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { scope: 'posts:read' });
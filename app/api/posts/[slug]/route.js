@@ -3,7 +3,12 @@
  * /api/posts/{slug}:
  *   get:
  *     summary: Get a single post by slug
+ *     description: Published posts are public. Drafts are returned only to their author or a role with post:read:any (API keys need the posts:read scope), or to anyone holding a valid preview token.
  *     tags: [Posts]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - apiKey: []
  *     parameters:
  *       - in: path
  *         name: slug
@@ -11,18 +16,27 @@
  *         schema:
  *           type: string
  *         description: Post slug
+ *       - in: query
+ *         name: preview
+ *         schema:
+ *           type: string
+ *         description: Preview token from a shared preview link
  *     responses:
  *       200:
- *         description: Post details
+ *         description: Post details, with the source in content and the rendered, sanitized HTML in content_html. The ETag header carries the post version.
+ *       301:
+ *         description: The slug is one the post used to have; Location points at the current one
  *       404:
  *         description: Post not found
  *       500:
  *         description: Server error
  *   put:
- *     summary: Update a post (admin/author only)
+ *     summary: Update a post
+ *     description: Requires post:edit:any, or post:edit:own for the post's author. Publishing or scheduling also requires post:publish. Every update is stored as a revision, and old slugs keep redirecting to the post. Send the ETag from the last read as If-Match to avoid overwriting someone else's changes.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
+ *       - apiKey: []
  *     parameters:
  *       - in: path
  *         name: slug
@@ -30,6 +44,16 @@
  *         schema:
  *           type: string
  *         description: Post slug
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the version being edited; the update is rejected with 409 if the post has changed since
+ *       - in: query
+ *         name: autosave
+ *         schema:
+ *           type: boolean
+ *         description: Marks an editor autosave of a draft. Consecutive autosaves by the same editor share one revision; autosaves never change the slug or status and are not written to the audit log
  *     requestBody:
  *       required: true
  *       content:
@@ -39,8 +63,22 @@
  *             properties:
  *               title:
  *                 type: string
+ *                 description: Changing the title also changes the slug, unless the slug is pinned or keep_slug is set
+ *               slug:
+ *                 type: string
+ *                 description: Custom slug; pins it so later title changes keep it
+ *               slug_pinned:
+ *                 type: boolean
+ *                 description: Set to false to have the slug follow the title again
+ *               keep_slug:
+ *                 type: boolean
+ *                 description: Keep the current slug for this title change only
  *               content:
  *                 type: string
+ *                 description: Source in content_format; content_html is re-rendered on change
+ *               content_format:
+ *                 type: string
+ *                 enum: [html, markdown]
  *               excerpt:
  *                 type: string
  *               featured_image:
@@ -49,25 +87,38 @@
  *                 type: string
  *               status:
  *                 type: string
- *                 enum: [draft, published]
+ *                 enum: [draft, scheduled, published]
+ *                 description: Set to draft to cancel a schedule
+ *               published_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Future publish time for scheduled posts; send it alone to reschedule
  *               tags:
  *                 type: array
  *                 items:
  *                   type: string
  *     responses:
  *       200:
- *         description: Post updated successfully
+ *         description: Post updated successfully, with the new version in the ETag header
+ *       400:
+ *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  *       404:
  *         description: Post not found
+ *       409:
+ *         description: The post changed since the If-Match version; the current copy is returned in data
  *       500:
  *         description: Server error
  *   delete:
- *     summary: Delete a post (admin/author only)
+ *     summary: Move a post to the trash
+ *     description: Requires post:delete:any, or post:delete:own for the post's author. The post is hidden and its slug stays reserved until it is restored or purged after the retention period.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
+ *       - apiKey: []
  *     parameters:
  *       - in: path
  *         name: slug
@@ -77,9 +128,11 @@
  *         description: Post slug
  *     responses:
  *       200:
- *         description: Post deleted successfully
+ *         description: Post moved to trash, with the purge date
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  *       404:
  *         description: Post not found
  *       500:
@@ -88,8 +141,58 @@
 
 import { NextResponse } from 'next/server';
 import { createAdminClient } from '@/lib/supabase/server';
-import { verifyToken } from '@/lib/jwt';
-import { generateSlug } from '@/lib/db';
+import { authenticateRequest, hasScope, withAuth, forbidden } from '@/lib/auth';
+import { hasCapability, canActOn } from '@/lib/permissions';
+import { getPostETag, isPostPublic } from '@/lib/db';
+import { validatePost } from '@/lib/validation';
+import { getRenderedContent, renderContent } from '@/lib/content';
+import { ensureBaselineRevision, getLastSavedTitle, recordRevision } from '@/lib/post-revisions';
+import { verifyPreviewToken } from '@/lib/post-previews';
+import { findRenamedPost, recordSlugChange, resolvePostSlug } from '@/lib/post-slugs';
+import { getPurgeDate, trashPost } from '@/lib/post-trash';
+import { recordAudit } from '@/lib/audit';
+import { getClientIp, ifMatchSatisfied } from '@/lib/request';
+
+/**
+ * How the caller of a GET may see a post that is not public yet
+ * @param {Request} request - Incoming request
+ * @param {Object} post - Post with id and author_id
+ * @returns {Promise<string|null>} 'editor' for its author and editors, 'preview' for a valid preview link, or null
+ */
+async function getUnpublishedAccess(request, post) {
+  const principal = await authenticateRequest(request);
+  if (principal && hasScope(principal, 'posts:read') && canActOn(principal, 'post', 'read', post.author_id)) {
+    return 'editor';
+  }
+
+  const previewToken = new URL(request.url).searchParams.get('preview');
+  return await verifyPreviewToken(previewToken, post.id) ? 'preview' : null;
+}
+
+/**
+ * 409 response carrying the current copy of a post, so the client can merge or overwrite
+ * @param {Object} supabase - Admin client
+ * @param {string} postId - Post ID
+ * @returns {Promise<NextResponse>}
+ */
+async function conflictResponse(supabase, postId) {
+  const { data: post } = await supabase
+    .from('posts')
+    .select('*, post_tags(tag:tags(id, name, slug))')
+    .eq('id', postId)
+    .single();
+
+  const response = NextResponse.json(
+    { success: false, error: 'This post was changed by someone else', data: post },
+    { status: 409 }
+  );
+
+  if (post) {
+    response.headers.set('ETag', getPostETag(post));
+  }
+
+  return response;
+}
 
 export async function GET(request, { params }) {
   try {
@@ -105,23 +208,57 @@ export async function GET(request, { params }) {
         post_tags(tag:tags(id, name, slug))
       `)
       .eq('slug', slug)
-      .eq('status', 'published')
+      .is('deleted_at', null)
       .single();
 
     if (error || !post) {
+      // Links to a renamed post follow it to its current slug, without revealing unpublished ones
+      const renamedPost = await findRenamedPost(slug);
+      if (renamedPost && (isPostPublic(renamedPost) || await getUnpublishedAccess(request, renamedPost))) {
+        const url = new URL(request.url);
+        url.pathname = `/api/posts/${renamedPost.slug}`;
+        return NextResponse.redirect(url, 301);
+      }
+
       return NextResponse.json(
         { success: false, error: 'Post not found' },
         { status: 404 }
       );
     }
 
-    return NextResponse.json(
+    let isPreview = false;
+
+    // Unpublished and scheduled posts are only visible to their author and editors,
+    // or to whoever was sent a preview link
+    if (!isPostPublic(post)) {
+      const access = await getUnpublishedAccess(request, post);
+
+      if (!access) {
+        return NextResponse.json(
+          { success: false, error: 'Post not found' },
+          { status: 404 }
+        );
+      }
+
+      isPreview = access === 'preview';
+    }
+
+    post.content_html = await getRenderedContent(post);
+
+    const response = NextResponse.json(
       {
         success: true,
         data: post,
       },
       { status: 200 }
     );
+
+    response.headers.set('ETag', getPostETag(post));
+    if (isPreview) {
+      response.headers.set('X-Robots-Tag', 'noindex, nofollow');
+    }
+
+    return response;
   } catch (error) {
     console.error('Error in GET /api/posts/[slug]:', error);
     return NextResponse.json(
@@ -131,29 +268,11 @@ export async function GET(request, { params }) {
   }
 }
 
-export async function PUT(request, { params }) {
+export const PUT = withAuth(async (request, { params }, principal) => {
   try {
-    // Verify authentication
-    const authHeader = request.headers.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json(
-        { success: false, error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
-    const token = authHeader.substring(7);
-    const decoded = verifyToken(token);
-
-    if (!decoded) {
-      return NextResponse.json(
-        { success: false, error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { slug } = params;
     const body = await request.json();
+    const autosave = new URL(request.url).searchParams.get('autosave') === 'true';
 
     const supabase = createAdminClient();
 
@@ -162,6 +281,7 @@ export async function PUT(request, { params }) {
       .from('posts')
       .select('*')
       .eq('slug', slug)
+      .is('deleted_at', null)
       .single();
 
     if (fetchError || !existingPost) {
@@ -171,47 +291,109 @@ export async function PUT(request, { params }) {
       );
     }
 
-    // Check authorization
-    if (decoded.role !== 'admin' && existingPost.author_id !== decoded.id) {
+    if (!canActOn(principal, 'post', 'edit', existingPost.author_id)) {
+      return forbidden('You are not allowed to edit this post');
+    }
+
+    if (!ifMatchSatisfied(request, getPostETag(existingPost))) {
+      return conflictResponse(supabase, existingPost.id);
+    }
+
+    const {
+      title,
+      content,
+      content_format: contentFormat,
+      excerpt,
+      featured_image,
+      category_id,
+      status,
+      published_at,
+      tags,
+    } = body;
+
+    // Sending published_at alone reschedules a scheduled post
+    const scheduleChanged = status !== undefined || published_at !== undefined;
+    const nextStatus = status ?? existingPost.status;
+
+    const validation = validatePost({
+      ...body,
+      status: scheduleChanged ? nextStatus : undefined,
+      published_at: published_at ?? existingPost.published_at,
+    }, { partial: true });
+    if (!validation.valid) {
+      return NextResponse.json(
+        { success: false, error: validation.error },
+        { status: 400 }
+      );
+    }
+
+    // Autosaves run every few seconds, so they are kept to draft content that needs no audit trail
+    if (autosave && (existingPost.status !== 'draft' || scheduleChanged)) {
+      return NextResponse.json(
+        { success: false, error: 'Only draft content can be autosaved' },
+        { status: 400 }
+      );
+    }
+
+    const publishing = (nextStatus === 'published' && existingPost.status !== 'published')
+      || (nextStatus === 'scheduled' && scheduleChanged);
+    if (publishing && !hasCapability(principal.role, 'post:publish')) {
+      return forbidden('You are not allowed to publish posts');
+    }
+
+    // An autosave keeps the slug; the next explicit save derives it from the title as last saved then
+    const nextSlug = autosave
+      ? { slug: existingPost.slug, slugPinned: existingPost.slug_pinned }
+      : await resolvePostSlug(existingPost, body, {
+        previousTitle: await getLastSavedTitle(existingPost.id) ?? existingPost.title,
+      });
+    if (nextSlug.error) {
       return NextResponse.json(
-        { success: false, error: 'Unauthorized to edit this post' },
-        { status: 401 }
+        { success: false, error: nextSlug.error },
+        { status: 400 }
       );
     }
 
-    const { title, content, excerpt, featured_image, category_id, status, tags } = body;
+    await ensureBaselineRevision(existingPost);
 
     // Prepare update data
     const updateData = {
       updated_at: new Date().toISOString(),
+      version: existingPost.version + 1,
     };
 
-    if (title) {
-      updateData.title = title;
-      // Generate new slug if title changed
-      if (title !== existingPost.title) {
-        updateData.slug = await generateSlug(title, 'posts', existingPost.id);
-      }
-    }
+    if (title) updateData.title = title;
+    if (nextSlug.slug !== existingPost.slug) updateData.slug = nextSlug.slug;
+    if (nextSlug.slugPinned !== existingPost.slug_pinned) updateData.slug_pinned = nextSlug.slugPinned;
     if (content !== undefined) updateData.content = content;
+    if (content !== undefined || contentFormat !== undefined) {
+      updateData.content_format = contentFormat ?? existingPost.content_format;
+      updateData.content_html = await renderContent(content ?? existingPost.content, updateData.content_format);
+    }
     if (excerpt !== undefined) updateData.excerpt = excerpt;
     if (featured_image !== undefined) updateData.featured_image = featured_image;
     if (category_id !== undefined) updateData.category_id = category_id;
-    if (status !== undefined) {
-      updateData.status = status;
-      // Set published_at if changing to published
-      if (status === 'published' && existingPost.status !== 'published') {
+    if (scheduleChanged) {
+      updateData.status = nextStatus;
+
+      if (nextStatus === 'scheduled') {
+        updateData.published_at = new Date(published_at ?? existingPost.published_at).toISOString();
+      } else if (nextStatus === 'published' && existingPost.status !== 'published') {
         updateData.published_at = new Date().toISOString();
+      } else if (nextStatus === 'draft' && existingPost.status === 'scheduled') {
+        // Cancelling a schedule
+        updateData.published_at = null;
       }
     }
 
-    // Update post
+    // Update post, unless another save got in since it was read
     const { data: updatedPost, error: updateError } = await supabase
       .from('posts')
       .update(updateData)
       .eq('id', existingPost.id)
+      .eq('version', existingPost.version)
       .select()
-      .single();
+      .maybeSingle();
 
     if (updateError) {
       console.error('Error updating post:', updateError);
@@ -221,6 +403,12 @@ export async function PUT(request, { params }) {
       );
     }
 
+    if (!updatedPost) {
+      return conflictResponse(supabase, existingPost.id);
+    }
+
+    await recordSlugChange(existingPost.id, existingPost.slug, updatedPost.slug);
+
     // Update tags if provided
     if (tags !== undefined) {
       // Delete existing tags
@@ -243,14 +431,33 @@ export async function PUT(request, { params }) {
       }
     }
 
-    return NextResponse.json(
+    await recordRevision(existingPost.id, { editorId: principal.id, autosave });
+
+    // The autosave revision already holds the draft; the explicit save that follows is audited
+    if (!autosave) {
+      await recordAudit({
+        actor: principal,
+        action: 'post.update',
+        targetType: 'post',
+        targetId: existingPost.id,
+        before: existingPost,
+        after: tags !== undefined ? { ...updatedPost, tags } : updatedPost,
+        metadata: { authMethod: principal.authMethod },
+        ip: getClientIp(request),
+      });
+    }
+
+    const response = NextResponse.json(
       {
         success: true,
         data: updatedPost,
-        message: 'Post updated successfully',
+        message: autosave ? 'Draft saved' : 'Post updated successfully',
       },
       { status: 200 }
     );
+    response.headers.set('ETag', getPostETag(updatedPost));
+
+    return response;
   } catch (error) {
     console.error('Error in PUT /api/posts/[slug]:', error);
     return NextResponse.json(
@@ -258,29 +465,10 @@ export async function PUT(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, { scope: 'posts:write' });
 
-export async function DELETE(request, { params }) {
+export const DELETE = withAuth(async (request, { params }, principal) => {
   try {
-    // Verify authentication
-    const authHeader = request.headers.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json(
-        { success: false, error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
-    const token = authHeader.substring(7);
-    const decoded = verifyToken(token);
-
-    if (!decoded) {
-      return NextResponse.json(
-        { success: false, error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { slug } = params;
     const supabase = createAdminClient();
 
@@ -289,6 +477,7 @@ export async function DELETE(request, { params }) {
       .from('posts')
       .select('*')
       .eq('slug', slug)
+      .is('deleted_at', null)
       .single();
 
     if (fetchError || !existingPost) {
@@ -298,44 +487,35 @@ export async function DELETE(request, { params }) {
       );
     }
 
-    // Check authorization
-    if (decoded.role !== 'admin' && existingPost.author_id !== decoded.id) {
-      return NextResponse.json(
-        { success: false, error: 'Unauthorized to delete this post' },
-        { status: 401 }
-      );
+    if (!canActOn(principal, 'post', 'delete', existingPost.author_id)) {
+      return forbidden('You are not allowed to delete this post');
     }
 
-    // Delete post tags first (foreign key constraint)
-    await supabase
-      .from('post_tags')
-      .delete()
-      .eq('post_id', existingPost.id);
-
-    // Delete comments (foreign key constraint)
-    await supabase
-      .from('comments')
-      .delete()
-      .eq('post_id', existingPost.id);
+    const trashedPost = await trashPost(existingPost, principal.id);
 
-    // Delete post
-    const { error: deleteError } = await supabase
-      .from('posts')
-      .delete()
-      .eq('id', existingPost.id);
-
-    if (deleteError) {
-      console.error('Error deleting post:', deleteError);
+    if (!trashedPost) {
       return NextResponse.json(
         { success: false, error: 'Failed to delete post' },
         { status: 500 }
       );
     }
 
+    await recordAudit({
+      actor: principal,
+      action: 'post.trash',
+      targetType: 'post',
+      targetId: existingPost.id,
+      before: existingPost,
+      after: trashedPost,
+      metadata: { authMethod: principal.authMethod },
+      ip: getClientIp(request),
+    });
+
     return NextResponse.json(
       {
         success: true,
-        message: 'Post deleted successfully',
+        data: { purge_at: getPurgeDate(trashedPost.deleted_at) },
+        message: 'Post moved to trash',
       },
       { status: 200 }
     );
@@ -346,4 +526,4 @@ export async function DELETE(request, { params }) {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}, { scope: 'posts:write' });
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * @swagger
+ * /api/posts/bulk:
+ *   post:
+ *     summary: Apply one action to many posts
+ *     description: Each post is checked like the single-post routes - editing needs post:edit:own or post:edit:any, deleting needs post:delete:own or post:delete:any, and publishing also needs post:publish. Reassigning the author needs post:edit:any. Every post is changed on its own and gets its own result, revision and audit entry; the batch is not a transaction, so posts that fail leave the others changed. API keys need the posts:write scope.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *               - action
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Post IDs
+ *               action:
+ *                 type: string
+ *                 enum: [publish, unpublish, delete, set_category, add_tags, remove_tags, reassign_author]
+ *                 description: delete moves the posts to the trash
+ *               category_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Category for set_category; null removes the category
+ *               tag_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Tags for add_tags and remove_tags
+ *               author_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: New author for reassign_author
+ *     responses:
+ *       200:
+ *         description: Per-post results, with counts of posts that succeeded and failed
+ *       400:
+ *         description: Invalid input, or an unknown category, tag or author
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to reassign authors
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { validateBulkPostAction } from '@/lib/validation';
+import { withAuth, forbidden } from '@/lib/auth';
+import { hasCapability } from '@/lib/permissions';
+import { runBulkAction } from '@/lib/post-bulk';
+import { getClientIp } from '@/lib/request';
+
+export const POST = withAuth(async (request, context, principal) => {
+  try {
+    const body = await request.json();
+
+    const validation = validateBulkPostAction(body);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { success: false, error: validation.error },
+        { status: 400 }
+      );
+    }
+
+    // Handing a post to someone else goes beyond editing your own
+    if (body.action === 'reassign_author' && !hasCapability(principal.role, 'post:edit:any')) {
+      return forbidden('You are not allowed to reassign posts');
+    }
+
+    const result = await runBulkAction(principal, {
+      ids: body.ids,
+      action: body.action,
+      categoryId: body.category_id ?? null,
+      tagIds: body.tag_ids,
+      authorId: body.author_id,
+      ip: getClientIp(request),
+    });
+
+    if (result.error) {
+      return NextResponse.json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: result,
+        message: `${result.succeeded} of ${result.results.length} post${result.results.length === 1 ? '' : 's'} updated`,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/posts/bulk:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { capability: 'post:create', scope: 'posts:write' });
@@ -2,7 +2,8 @@
  * @swagger
  * /api/posts:
  *   get:
- *     summary: Get all published posts with optional filters
+ *     summary: List published posts with optional filters
+ *     description: Paginated by page number, or by following the opaque nextCursor (which keeps results stable while posts are added). When paging by cursor, pagination.page, total and totalPages are null and the Link header only has next. Links to other pages are also returned in the Link header.
  *     tags: [Posts]
  *     parameters:
  *       - in: query
@@ -20,16 +21,47 @@
  *         schema:
  *           type: string
  *         description: Search in title, content, and excerpt
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, title, most-commented, updated]
+ *           default: newest
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from a previous page; takes precedence over page
  *     responses:
  *       200:
- *         description: List of posts
+ *         description: Page of posts with pagination info
+ *         headers:
+ *           Link:
+ *             description: next, prev, first and last page URLs
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid sort or cursor
  *       500:
  *         description: Server error
  *   post:
- *     summary: Create a new post (admin/author only)
+ *     summary: Create a new post
+ *     description: Requires the post:create capability (admin, editor, author). Publishing or scheduling also requires post:publish; API keys need the posts:write scope.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
+ *       - apiKey: []
  *     requestBody:
  *       required: true
  *       content:
@@ -42,8 +74,16 @@
  *             properties:
  *               title:
  *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Custom slug, pinned so later title changes keep it; derived from the title when omitted
  *               content:
  *                 type: string
+ *                 description: Source in content_format; the rendered, sanitized HTML is returned as content_html
+ *               content_format:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *                 default: html
  *               excerpt:
  *                 type: string
  *               featured_image:
@@ -52,7 +92,11 @@
  *                 type: string
  *               status:
  *                 type: string
- *                 enum: [draft, published]
+ *                 enum: [draft, scheduled, published]
+ *               published_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required future publish time when status is scheduled
  *               tags:
  *                 type: array
  *                 items:
@@ -64,6 +108,8 @@
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  *       500:
  *         description: Server error
  */
@@ -71,8 +117,15 @@
 import { NextResponse } from 'next/server';
 import { createAdminClient } from '@/lib/supabase/server';
 import { validatePost } from '@/lib/validation';
-import { verifyToken } from '@/lib/jwt';
-import { generateSlug } from '@/lib/db';
+import { withAuth, forbidden } from '@/lib/auth';
+import { hasCapability } from '@/lib/permissions';
+import { generateSlug, getPaginatedPosts, POST_SORTS } from '@/lib/db';
+import { isSlugAvailable } from '@/lib/post-slugs';
+import { buildLinkHeader, decodeCursor, parsePageParams } from '@/lib/pagination';
+import { renderContent } from '@/lib/content';
+import { recordRevision } from '@/lib/post-revisions';
+import { recordAudit } from '@/lib/audit';
+import { getClientIp } from '@/lib/request';
 
 export async function GET(request) {
   try {
@@ -80,64 +133,105 @@ export async function GET(request) {
     const categorySlug = searchParams.get('category');
     const tagSlug = searchParams.get('tag');
     const search = searchParams.get('search');
+    const sort = searchParams.get('sort') || 'newest';
+    const cursorParam = searchParams.get('cursor');
+    const { page, pageSize } = parsePageParams(searchParams, { defaultPageSize: 12 });
+
+    if (!POST_SORTS[sort]) {
+      return NextResponse.json(
+        { success: false, error: `Invalid sort. Must be one of: ${Object.keys(POST_SORTS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+    if (cursorParam && (!cursor || cursor.sort !== sort)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid cursor for this sort order' },
+        { status: 400 }
+      );
+    }
 
     const supabase = createAdminClient();
+    const emptyPage = () => NextResponse.json(
+      {
+        success: true,
+        data: [],
+        count: 0,
+        pagination: { page, pageSize, total: 0, totalPages: 0, sort, nextCursor: null },
+      },
+      { status: 200 }
+    );
 
-    // Build query
-    let query = supabase
-      .from('posts')
-      .select(`
-        *,
-        author:users!posts_author_id_fkey(id, name, email, avatar_url),
-        category:categories!posts_category_id_fkey(id, name, slug),
-        post_tags(tag:tags(id, name, slug))
-      `)
-      .eq('status', 'published')
-      .order('published_at', { ascending: false });
-
-    // Apply category filter
+    // Unknown category or tag slugs match nothing
+    let categoryId = null;
     if (categorySlug) {
       const { data: category } = await supabase
         .from('categories')
         .select('id')
         .eq('slug', categorySlug)
-        .single();
-      
-      if (category) {
-        query = query.eq('category_id', category.id);
+        .maybeSingle();
+
+      if (!category) {
+        return emptyPage();
       }
+      categoryId = category.id;
     }
 
-    // Apply search filter
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,content.ilike.%${search}%,excerpt.ilike.%${search}%`);
+    let tagId = null;
+    if (tagSlug) {
+      const { data: tag } = await supabase
+        .from('tags')
+        .select('id')
+        .eq('slug', tagSlug)
+        .maybeSingle();
+
+      if (!tag) {
+        return emptyPage();
+      }
+      tagId = tag.id;
     }
 
-    const { data: posts, error } = await query;
+    const result = await getPaginatedPosts({
+      page,
+      pageSize,
+      categoryId,
+      tagId,
+      search,
+      sort,
+      cursor,
+    });
 
-    if (error) {
-      console.error('Error fetching posts:', error);
+    if (result.error) {
       return NextResponse.json(
         { success: false, error: 'Failed to fetch posts' },
         { status: 500 }
       );
     }
 
-    // Filter by tag if specified (post-query filtering)
-    let filteredPosts = posts;
-    if (tagSlug && posts) {
-      filteredPosts = posts.filter(post => 
-        post.post_tags?.some(pt => pt.tag?.slug === tagSlug)
-      );
+    const pagination = {
+      page: cursor ? null : result.page,
+      pageSize: result.pageSize,
+      total: result.total,
+      totalPages: result.totalPages,
+      sort,
+      nextCursor: result.nextCursor,
+    };
+
+    const headers = {};
+    const link = buildLinkHeader(request.url, result);
+    if (link) {
+      headers.Link = link;
     }
 
     return NextResponse.json(
       {
         success: true,
-        data: filteredPosts || [],
-        count: filteredPosts?.length || 0,
+        data: result.posts,
+        count: result.posts.length,
+        pagination,
       },
-      { status: 200 }
+      { status: 200, headers }
     );
   } catch (error) {
     console.error('Error in GET /api/posts:', error);
@@ -148,27 +242,24 @@ export async function GET(request) {
   }
 }
 
-export async function POST(request) {
-  try {
-    // Verify authentication
-    const authHeader = request.headers.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json(
-        { success: false, error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
-    const token = authHeader.substring(7);
-    const decoded = verifyToken(token);
-
-    if (!decoded || (decoded.role !== 'admin' && decoded.role !== 'author')) {
-      return NextResponse.json(
-        { success: false, error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
+/**
+ * Work out published_at for a new post
+ * @param {string} status - Requested status
+ * @param {string} publishedAt - Requested publish time (scheduled posts only)
+ * @returns {string|null} ISO timestamp or null for drafts
+ */
+function getInitialPublishedAt(status, publishedAt) {
+  if (status === 'published') {
+    return new Date().toISOString();
+  }
+  if (status === 'scheduled') {
+    return new Date(publishedAt).toISOString();
+  }
+  return null;
+}
 
+export const POST = withAuth(async (request, context, principal) => {
+  try {
     const body = await request.json();
 
     // Validate input
@@ -180,27 +271,53 @@ export async function POST(request) {
       );
     }
 
-    const { title, content, excerpt, featured_image, category_id, status, tags } = body;
+    const {
+      title,
+      slug: customSlug,
+      content,
+      content_format: contentFormat = 'html',
+      excerpt,
+      featured_image,
+      category_id,
+      status,
+      published_at,
+      tags,
+    } = body;
+
+    // Scheduling is deferred publishing, so it needs the same capability
+    if ((status === 'published' || status === 'scheduled') && !hasCapability(principal.role, 'post:publish')) {
+      return forbidden('You are not allowed to publish posts');
+    }
 
     const supabase = createAdminClient();
 
+    if (customSlug && !await isSlugAvailable(customSlug)) {
+      return NextResponse.json(
+        { success: false, error: 'Slug is already used by another post' },
+        { status: 400 }
+      );
+    }
+
     // Generate unique slug
-    const slug = await generateSlug(title, 'posts');
+    const slug = customSlug || await generateSlug(title, 'posts');
 
     // Create post
     const { data: newPost, error: postError } = await supabase
       .from('posts')
       .insert([
         {
-          author_id: decoded.id,
+          author_id: principal.id,
           title,
           slug,
+          slug_pinned: !!customSlug,
           content,
+          content_format: contentFormat,
+          content_html: await renderContent(content, contentFormat),
           excerpt: excerpt || null,
           featured_image: featured_image || null,
           category_id: category_id || null,
           status: status || 'draft',
-          published_at: status === 'published' ? new Date().toISOString() : null,
+          published_at: getInitialPublishedAt(status, published_at),
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
         }
@@ -233,6 +350,18 @@ export async function POST(request) {
       }
     }
 
+    await recordRevision(newPost.id, { editorId: principal.id });
+
+    await recordAudit({
+      actor: principal,
+      action: 'post.create',
+      targetType: 'post',
+      targetId: newPost.id,
+      after: { ...newPost, tags: tags || [] },
+      metadata: { authMethod: principal.authMethod },
+      ip: getClientIp(request),
+    });
+
     return NextResponse.json(
       {
         success: true,
@@ -248,4 +377,4 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}, { capability: 'post:create', scope: 'posts:write' });
@@ -0,0 +1,57 @@
+/**
+ * @swagger
+ * /api/users/me/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { revokeApiKey } from '@/lib/api-keys';
+
+export const DELETE = withAuth(async (request, { params }, principal) => {
+  try {
+    const { id } = params;
+    const revoked = await revokeApiKey(principal.id, id);
+
+    if (!revoked) {
+      return NextResponse.json(
+        { success: false, error: 'API key not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'API key revoked successfully',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in DELETE /api/users/me/api-keys/[id]:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
@@ -0,0 +1,128 @@
+/**
+ * @swagger
+ * /api/users/me/api-keys:
+ *   get:
+ *     summary: List the current user's API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of API keys (the keys themselves are never returned)
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create an API key for machine clients
+ *     description: The key is returned once in the response and cannot be retrieved again. Send it in the X-API-Key header.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [posts:read, posts:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { validateApiKey } from '@/lib/validation';
+import { API_KEY_SCOPES, createApiKey, listApiKeys } from '@/lib/api-keys';
+
+export const GET = withAuth(async (request, context, principal) => {
+  try {
+    const apiKeys = await listApiKeys(principal.id);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: apiKeys,
+        count: apiKeys.length,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/users/me/api-keys:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
+
+// API keys cannot be used to mint more API keys
+export const POST = withAuth(async (request, context, principal) => {
+  try {
+    const body = await request.json();
+
+    // Validate input
+    const validation = validateApiKey(body, API_KEY_SCOPES);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { success: false, error: validation.error },
+        { status: 400 }
+      );
+    }
+
+    const { name, scopes, expiresInDays } = body;
+
+    const result = await createApiKey({
+      userId: principal.id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+    });
+
+    if (!result) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to create API key' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          ...result.apiKey,
+          key: result.key,
+        },
+        message: 'API key created. Copy it now, it will not be shown again.',
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/users/me/api-keys:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
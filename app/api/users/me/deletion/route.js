@@ -0,0 +1,266 @@
+/**
+ * @swagger
+ * /api/users/me/deletion:
+ *   get:
+ *     summary: Get the current user's pending account deletion, if any
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending deletion request, or null
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Schedule deletion of the current user's account
+ *     description: The account is purged once the grace period (ACCOUNT_DELETION_GRACE_DAYS, 14 by default) ends and can be kept by cancelling before then. Comments are anonymized or deleted; posts are transferred to another user who can write posts, unpublished and kept without an author, or deleted. Requires the current password unless the account has none.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - commentsAction
+ *               - postsAction
+ *             properties:
+ *               password:
+ *                 type: string
+ *               commentsAction:
+ *                 type: string
+ *                 enum: [anonymize, delete]
+ *               postsAction:
+ *                 type: string
+ *                 enum: [transfer, unpublish, delete]
+ *               transferTo:
+ *                 type: string
+ *                 format: email
+ *                 description: Email of the user who receives the posts when postsAction is transfer
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized or wrong password
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Cancel the current user's pending account deletion
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No deletion is pending
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { hasCapability } from '@/lib/permissions';
+import { isValidEmail } from '@/lib/validation';
+import { verifyPassword } from '@/lib/login-protection';
+import {
+  COMMENT_ACTIONS,
+  POST_ACTIONS,
+  cancelAccountDeletion,
+  getDeletionRequest,
+  scheduleAccountDeletion,
+} from '@/lib/account-deletion';
+import { sendAccountDeletionScheduledEmail } from '@/lib/account-emails';
+import { recordAudit } from '@/lib/audit';
+import { getAppUrl, getClientIp } from '@/lib/request';
+
+export const GET = withAuth(async (request, context, principal) => {
+  try {
+    const deletion = await getDeletionRequest(principal.id);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: deletion,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/users/me/deletion:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
+
+export const POST = withAuth(async (request, context, principal) => {
+  try {
+    const { password, commentsAction, postsAction, transferTo } = await request.json();
+
+    if (!COMMENT_ACTIONS.includes(commentsAction)) {
+      return NextResponse.json(
+        { success: false, error: `commentsAction must be one of: ${COMMENT_ACTIONS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (!POST_ACTIONS.includes(postsAction)) {
+      return NextResponse.json(
+        { success: false, error: `postsAction must be one of: ${POST_ACTIONS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createAdminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email, name, role, password')
+      .eq('id', principal.id)
+      .single();
+
+    if (userError || !user) {
+      return NextResponse.json(
+        { success: false, error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    // Accounts created through OAuth may not have a password
+    if (user.password && !await verifyPassword(password || '', user.password)) {
+      return NextResponse.json(
+        { success: false, error: 'Password is incorrect' },
+        { status: 401 }
+      );
+    }
+
+    // Someone has to be left to manage the site
+    if (hasCapability(user.role, 'user:manage')) {
+      const { count } = await supabase
+        .from('users')
+        .select('id', { count: 'exact', head: true })
+        .eq('role', user.role)
+        .is('suspended_at', null);
+
+      if ((count || 0) <= 1) {
+        return NextResponse.json(
+          { success: false, error: 'You are the only administrator. Promote someone else before deleting your account.' },
+          { status: 400 }
+        );
+      }
+    }
+
+    let transferUserId = null;
+
+    if (postsAction === 'transfer') {
+      if (!transferTo || !isValidEmail(transferTo)) {
+        return NextResponse.json(
+          { success: false, error: 'Enter the email of the user who should receive your posts' },
+          { status: 400 }
+        );
+      }
+
+      const { data: target } = await supabase
+        .from('users')
+        .select('id, role, suspended_at')
+        .eq('email', transferTo.toLowerCase())
+        .maybeSingle();
+
+      if (!target || target.id === user.id || target.suspended_at || !hasCapability(target.role, 'post:create')) {
+        return NextResponse.json(
+          { success: false, error: 'Posts can only be transferred to another user who can write posts' },
+          { status: 400 }
+        );
+      }
+
+      transferUserId = target.id;
+    }
+
+    const deletion = await scheduleAccountDeletion(user.id, {
+      commentsAction,
+      postsAction,
+      transferTo: transferUserId,
+    });
+
+    if (!deletion) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to schedule account deletion' },
+        { status: 500 }
+      );
+    }
+
+    await recordAudit({
+      actor: principal,
+      action: 'user.deletion_scheduled',
+      targetType: 'user',
+      targetId: user.id,
+      after: deletion,
+      ip: getClientIp(request),
+    });
+
+    await sendAccountDeletionScheduledEmail(user, deletion.scheduled_for, getAppUrl(request));
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: deletion,
+        message: 'Your account is scheduled for deletion',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/users/me/deletion:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
+
+export const DELETE = withAuth(async (request, context, principal) => {
+  try {
+    const cancelled = await cancelAccountDeletion(principal.id);
+
+    if (!cancelled) {
+      return NextResponse.json(
+        { success: false, error: 'No account deletion is pending' },
+        { status: 404 }
+      );
+    }
+
+    await recordAudit({
+      actor: principal,
+      action: 'user.deletion_cancelled',
+      targetType: 'user',
+      targetId: principal.id,
+      ip: getClientIp(request),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Account deletion cancelled',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in DELETE /api/users/me/deletion:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
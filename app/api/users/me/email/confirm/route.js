@@ -0,0 +1,120 @@
+/**
+ * @swagger
+ * /api/users/me/email/confirm:
+ *   post:
+ *     summary: Complete an email address change
+ *     description: Uses the single-use token from the link sent by /api/users/me/email. The previous address is notified and every session of the account is signed out. A link for an address that was taken in the meantime is not used up.
+ *     tags: [Profile]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address changed
+ *       400:
+ *         description: Invalid or expired link, or the address was taken in the meantime
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { consumeActionToken } from '@/lib/action-tokens';
+import { verifyScopedToken } from '@/lib/jwt';
+import { revokeUserSessions } from '@/lib/token-store';
+import { clearSessionCookies } from '@/lib/session';
+import { sendEmailChangedNotice } from '@/lib/account-emails';
+
+export async function POST(request) {
+  try {
+    const { token } = await request.json();
+
+    // Check the address is still free before using up the link, so a conflict can be retried
+    const claims = token ? verifyScopedToken(token, 'email-change') : null;
+
+    if (!claims) {
+      return NextResponse.json(
+        { success: false, error: 'Confirmation link is invalid or has expired' },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createAdminClient();
+
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', claims.newEmail)
+      .maybeSingle();
+
+    if (existingUser) {
+      return NextResponse.json(
+        { success: false, error: 'User with this email already exists' },
+        { status: 400 }
+      );
+    }
+
+    const decoded = await consumeActionToken(token, 'email-change');
+
+    if (!decoded) {
+      return NextResponse.json(
+        { success: false, error: 'Confirmation link is invalid or has expired' },
+        { status: 400 }
+      );
+    }
+
+    // Only applies if the email has not changed since the link was sent
+    const { data: user, error: updateError } = await supabase
+      .from('users')
+      .update({
+        email: decoded.newEmail,
+        email_verified_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', decoded.sub)
+      .eq('email', decoded.email)
+      .select('id, name, email')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('Error changing email:', updateError);
+      return NextResponse.json(
+        { success: false, error: 'Failed to change email' },
+        { status: 500 }
+      );
+    }
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, error: 'Confirmation link is invalid or has expired' },
+        { status: 400 }
+      );
+    }
+
+    // Sessions were started under the old address; sign them all out
+    await revokeUserSessions(user.id);
+    await sendEmailChangedNotice(user, decoded.email, decoded.newEmail);
+
+    return clearSessionCookies(NextResponse.json(
+      {
+        success: true,
+        message: `Your email address is now ${decoded.newEmail}. Sign in again with the new address.`,
+      },
+      { status: 200 }
+    ));
+  } catch (error) {
+    console.error('Error in POST /api/users/me/email/confirm:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
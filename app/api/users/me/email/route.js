@@ -0,0 +1,122 @@
+/**
+ * @swagger
+ * /api/users/me/email:
+ *   post:
+ *     summary: Request an email address change
+ *     description: Sends a confirmation link to the new address. The email only changes once that link is opened (see /api/users/me/email/confirm).
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Current password, required if the account has one
+ *     responses:
+ *       200:
+ *         description: Confirmation email sent
+ *       400:
+ *         description: Invalid, unchanged or already used email
+ *       401:
+ *         description: Unauthorized or wrong password
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { isValidEmail } from '@/lib/validation';
+import { verifyPassword } from '@/lib/login-protection';
+import { sendEmailChangeEmail } from '@/lib/account-emails';
+import { getAppUrl } from '@/lib/request';
+
+export const POST = withAuth(async (request, context, principal) => {
+  try {
+    const { newEmail, password } = await request.json();
+
+    if (!newEmail || !isValidEmail(newEmail)) {
+      return NextResponse.json(
+        { success: false, error: 'Valid email is required' },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createAdminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, name, email, password')
+      .eq('id', principal.id)
+      .single();
+
+    if (userError || !user) {
+      return NextResponse.json(
+        { success: false, error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    if (user.password && !await verifyPassword(password || '', user.password)) {
+      return NextResponse.json(
+        { success: false, error: 'Password is incorrect' },
+        { status: 401 }
+      );
+    }
+
+    const email = newEmail.trim().toLowerCase();
+
+    if (email === user.email.toLowerCase()) {
+      return NextResponse.json(
+        { success: false, error: 'This is already your email address' },
+        { status: 400 }
+      );
+    }
+
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (existingUser) {
+      return NextResponse.json(
+        { success: false, error: 'User with this email already exists' },
+        { status: 400 }
+      );
+    }
+
+    const sent = await sendEmailChangeEmail(user, email, getAppUrl(request));
+
+    if (!sent) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to send confirmation email' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: `We sent a confirmation link to ${email}`,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in POST /api/users/me/email:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
@@ -0,0 +1,67 @@
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: Download a copy of the current user's data
+ *     description: Zip archive with profile.json, posts.json, comments.json and every post as Markdown under posts/.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Zip archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { buildUserDataExport } from '@/lib/data-export';
+import { recordAudit } from '@/lib/audit';
+import { getClientIp } from '@/lib/request';
+
+export const GET = withAuth(async (request, context, principal) => {
+  try {
+    const archive = await buildUserDataExport(principal.id);
+
+    if (!archive) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to export your data' },
+        { status: 500 }
+      );
+    }
+
+    await recordAudit({
+      actor: principal,
+      action: 'user.data_export',
+      targetType: 'user',
+      targetId: principal.id,
+      ip: getClientIp(request),
+    });
+
+    const filename = `blog-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    return new NextResponse(new Uint8Array(archive), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    console.error('Error in GET /api/users/me/export:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
@@ -0,0 +1,74 @@
+/**
+ * @swagger
+ * /api/users/me/identities/{id}:
+ *   delete:
+ *     summary: Unlink an OAuth provider from the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Identity ID
+ *     responses:
+ *       200:
+ *         description: Provider unlinked
+ *       400:
+ *         description: The identity is the account's only way to sign in
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Identity not found
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { unlinkIdentity } from '@/lib/oauth';
+
+export const DELETE = withAuth(async (request, { params }, principal) => {
+  try {
+    const { id } = params;
+    const result = await unlinkIdentity(principal.id, id);
+
+    if (result.error === 'not_found') {
+      return NextResponse.json(
+        { success: false, error: 'Identity not found' },
+        { status: 404 }
+      );
+    }
+
+    if (result.error === 'last_sign_in_method') {
+      return NextResponse.json(
+        { success: false, error: 'Set a password before unlinking your only sign-in provider' },
+        { status: 400 }
+      );
+    }
+
+    if (result.error) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to unlink provider' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Provider unlinked successfully',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in DELETE /api/users/me/identities/[id]:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
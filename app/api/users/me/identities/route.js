@@ -0,0 +1,92 @@
+/**
+ * @swagger
+ * /api/users/me/identities:
+ *   get:
+ *     summary: List the OAuth providers linked to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked identities and whether the account has a password
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Start linking an OAuth provider to the current user
+ *     description: Sets a short-lived httpOnly cookie so that the next OAuth round trip through /api/auth/callback?link=1 links the provider to this account instead of signing in.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Link started
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { OAUTH_LINK_COOKIE } from '@/lib/cookies';
+import { createLinkIntent, listIdentities } from '@/lib/oauth';
+
+export const GET = withAuth(async (request, context, principal) => {
+  try {
+    const supabase = createAdminClient();
+
+    const [identities, { data: user }] = await Promise.all([
+      listIdentities(principal.id),
+      supabase.from('users').select('password').eq('id', principal.id).single(),
+    ]);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          identities,
+          hasPassword: !!user?.password,
+        },
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/users/me/identities:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
+
+export const POST = withAuth(async (request, context, principal) => {
+  try {
+    const response = NextResponse.json(
+      {
+        success: true,
+        message: 'Continue with the provider to link it',
+      },
+      { status: 200 }
+    );
+
+    response.cookies.set(OAUTH_LINK_COOKIE, createLinkIntent(principal.id), {
+      path: '/',
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: 10 * 60,
+    });
+
+    return response;
+  } catch (error) {
+    console.error('Error in POST /api/users/me/identities:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
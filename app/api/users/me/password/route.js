@@ -0,0 +1,116 @@
+/**
+ * @swagger
+ * /api/users/me/password:
+ *   post:
+ *     summary: Change the current user's password
+ *     description: Requires the current password unless the account was created through OAuth and has none yet. Every other session is signed out; the caller receives a fresh session.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed, sets new session cookies
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized or wrong current password
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { isValidPassword } from '@/lib/validation';
+import { verifyPassword } from '@/lib/login-protection';
+import { revokeUserSessions } from '@/lib/token-store';
+import { createSessionResponse } from '@/lib/session';
+import bcrypt from 'bcryptjs';
+
+export const POST = withAuth(async (request, context, principal) => {
+  try {
+    const { currentPassword, newPassword } = await request.json();
+
+    const passwordValidation = isValidPassword(newPassword);
+    if (!passwordValidation.valid) {
+      return NextResponse.json(
+        { success: false, error: passwordValidation.error },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createAdminClient();
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', principal.id)
+      .single();
+
+    if (userError || !user) {
+      return NextResponse.json(
+        { success: false, error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    // Accounts created through OAuth may not have a password yet
+    if (user.password && !await verifyPassword(currentPassword || '', user.password)) {
+      return NextResponse.json(
+        { success: false, error: 'Current password is incorrect' },
+        { status: 401 }
+      );
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        password: hashedPassword,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', user.id);
+
+    if (updateError) {
+      console.error('Error changing password:', updateError);
+      return NextResponse.json(
+        { success: false, error: 'Failed to change password' },
+        { status: 500 }
+      );
+    }
+
+    // Sign out other devices, then keep this one signed in with a fresh session
+    await revokeUserSessions(user.id);
+
+    // Re-read the user so the new token carries the bumped token version
+    const { data: updatedUser } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', user.id)
+      .single();
+
+    return await createSessionResponse(updatedUser, { message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Error in POST /api/users/me/password:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
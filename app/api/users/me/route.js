@@ -0,0 +1,130 @@
+/**
+ * @swagger
+ * /api/users/me:
+ *   get:
+ *     summary: Get the current user's profile
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user (without password)
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Update the current user's profile
+ *     description: Only the fields present in the body are changed. Use /api/users/me/email and /api/users/me/password for the email address and password.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               bio:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 500
+ *               avatar_url:
+ *                 type: string
+ *                 nullable: true
+ *                 description: http(s) image URL
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth';
+import { SESSION_USER_COLUMNS } from '@/lib/session';
+import { validateProfile } from '@/lib/validation';
+import { updateUserProfile } from '@/lib/db';
+
+export const GET = withAuth(async (request, context, principal) => {
+  try {
+    const supabase = createAdminClient();
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select(SESSION_USER_COLUMNS)
+      .eq('id', principal.id)
+      .single();
+
+    if (error || !user) {
+      return NextResponse.json(
+        { success: false, error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: user,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in GET /api/users/me:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
+
+export const PATCH = withAuth(async (request, context, principal) => {
+  try {
+    const body = await request.json();
+    const { name, bio, avatar_url } = body;
+
+    const validation = validateProfile({ name, bio, avatar_url });
+    if (!validation.valid) {
+      return NextResponse.json(
+        { success: false, error: validation.error },
+        { status: 400 }
+      );
+    }
+
+    const user = await updateUserProfile(principal.id, { name, bio, avatar_url });
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, error: 'Failed to update profile' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: user,
+        message: 'Profile updated successfully',
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error in PATCH /api/users/me:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}, { allowApiKey: false });
@@ -0,0 +1,53 @@
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { AlertTriangle } from 'lucide-react';
+
+export const metadata = {
+  title: 'Sign-in failed - Blog',
+};
+
+const ERROR_MESSAGES = {
+  missing_code: 'The sign-in link is incomplete. Please start again.',
+  exchange_failed: 'The sign-in link has expired or was already used. Please start again.',
+  missing_identity: 'The provider did not return an account we can use.',
+  email_unverified: 'Your email address is not verified with this provider. Verify it there, or sign in with your password.',
+  identity_in_use: 'This provider account is already linked to a different user.',
+  link_expired: 'Linking took too long or you are no longer signed in. Please sign in and try again from your security settings.',
+  account_suspended: 'This account has been suspended. Contact an administrator if you think this is a mistake.',
+  server_error: 'Something went wrong on our side. Please try again.',
+};
+
+export default async function AuthCodeErrorPage({ searchParams }) {
+  const { error } = await searchParams;
+  const message = ERROR_MESSAGES[error] || ERROR_MESSAGES.exchange_failed;
+  const isLinkError = error === 'identity_in_use' || error === 'link_expired';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <div className="flex items-center justify-center mb-4">
+            <div className="h-12 w-12 rounded-full bg-red-600 flex items-center justify-center">
+              <AlertTriangle className="h-6 w-6 text-white" />
+            </div>
+          </div>
+          <CardTitle className="text-2xl text-center">
+            {isLinkError ? 'Could not link account' : 'Could not sign you in'}
+          </CardTitle>
+          <CardDescription className="text-center">{message}</CardDescription>
+        </CardHeader>
+        <CardContent className="flex flex-col gap-2">
+          <Button asChild>
+            <Link href={isLinkError ? '/settings/security' : '/login'}>
+              {isLinkError ? 'Back to security settings' : 'Back to sign in'}
+            </Link>
+          </Button>
+          <Button asChild variant="ghost">
+            <Link href="/">Go to the homepage</Link>
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
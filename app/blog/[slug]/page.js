@@ -1,33 +1,82 @@
-import { createClient } from '@/lib/supabase/server';
-import { notFound } from 'next/navigation';
+import { createClient, createAdminClient } from '@/lib/supabase/server';
+import { notFound, permanentRedirect, unstable_rethrow } from 'next/navigation';
 import Header from '@/components/Header';
-import { Calendar, User, Tag, Folder } from 'lucide-react';
+import { Calendar, User, Tag, Folder, Eye } from 'lucide-react';
 import { Badge } from '@/components/ui/badge';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { verifyPreviewToken } from '@/lib/post-previews';
+import { getRenderedContent } from '@/lib/content';
+import { isPostPublic } from '@/lib/db';
+import { findRenamedPost } from '@/lib/post-slugs';
 
-export default async function BlogPostPage({ params }) {
+const POST_SELECT = `
+  *,
+  author:users!posts_author_id_fkey(id, name, email, avatar_url, bio),
+  category:categories!posts_category_id_fkey(id, name, slug),
+  post_tags(tag:tags(id, name, slug))
+`;
+
+export async function generateMetadata({ searchParams }) {
+  const { preview } = await searchParams;
+
+  // Preview links must never end up in search results
+  if (preview) {
+    return { robots: { index: false, follow: false } };
+  }
+
+  return {};
+}
+
+export default async function BlogPostPage({ params, searchParams }) {
   const { slug } = params;
+  const { preview: previewToken } = await searchParams;
   const supabase = await createClient();
+  const now = new Date().toISOString();
 
   try {
     // Fetch the post with all relations
-    const { data: post, error } = await supabase
+    let { data: post, error } = await supabase
       .from('posts')
-      .select(`
-        *,
-        author:users!posts_author_id_fkey(id, name, email, avatar_url, bio),
-        category:categories!posts_category_id_fkey(id, name, slug),
-        post_tags(tag:tags(id, name, slug))
-      `)
+      .select(POST_SELECT)
       .eq('slug', slug)
+      .is('deleted_at', null)
       .eq('status', 'published')
+      .lte('published_at', now)
       .single();
 
-    if (error || !post) {
+    let preview = null;
+
+    // A shared preview link opens the post before it is published
+    if (!post && previewToken) {
+      const { data: draft } = await createAdminClient()
+        .from('posts')
+        .select(POST_SELECT)
+        .eq('slug', slug)
+        .is('deleted_at', null)
+        .single();
+
+      preview = draft ? await verifyPreviewToken(previewToken, draft.id) : null;
+      if (preview) {
+        post = draft;
+      }
+    }
+
+    if (!post) {
+      // Links to a renamed post follow it to its current slug, without revealing unpublished ones
+      const renamedPost = await findRenamedPost(slug);
+      if (renamedPost && isPostPublic(renamedPost)) {
+        permanentRedirect(`/blog/${renamedPost.slug}`);
+      }
+      if (renamedPost && previewToken && await verifyPreviewToken(previewToken, renamedPost.id)) {
+        permanentRedirect(`/blog/${renamedPost.slug}?preview=${encodeURIComponent(previewToken)}`);
+      }
+
       console.error('Error fetching post:', error);
       notFound();
     }
 
+    const contentHtml = await getRenderedContent(post);
+
     // Fetch related posts from same category
     const { data: relatedPosts } = await supabase
       .from('posts')
@@ -42,6 +91,8 @@ export default async function BlogPostPage({ params }) {
       `)
       .eq('category_id', post.category_id)
       .eq('status', 'published')
+      .is('deleted_at', null)
+      .lte('published_at', now)
       .neq('id', post.id)
       .order('published_at', { ascending: false })
       .limit(3);
@@ -58,7 +109,19 @@ export default async function BlogPostPage({ params }) {
     return (
       <div className="min-h-screen bg-gray-50">
         <Header />
-        
+
+        {preview && (
+          <div className="bg-amber-100 border-b border-amber-300 text-amber-900">
+            <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex items-center gap-2 text-sm">
+              <Eye className="h-4 w-4" />
+              <span className="font-semibold">Preview</span>
+              <span>
+                This post is not published yet. The link expires on {new Date(preview.expiresAt).toLocaleString('en-US')}.
+              </span>
+            </div>
+          </div>
+        )}
+
         <article className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
           {/* Featured Image */}
           {post.featured_image && (
@@ -136,7 +199,7 @@ export default async function BlogPostPage({ params }) {
           {/* Post Content */}
           <div 
             className="prose prose-lg max-w-none mb-12"
-            dangerouslySetInnerHTML={{ __html: post.content }}
+            dangerouslySetInnerHTML={{ __html: contentHtml }}
           />
 
           {/* Author Bio */}
@@ -202,6 +265,8 @@ export default async function BlogPostPage({ params }) {
       </div>
     );
   } catch (error) {
+    // Let notFound() and redirects through to Next.js
+    unstable_rethrow(error);
     console.error('Error loading blog post:', error);
     return (
       <div className="min-h-screen bg-gray-50">
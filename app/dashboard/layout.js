@@ -0,0 +1,33 @@
+import { redirect } from 'next/navigation';
+import Header from '@/components/Header';
+import DashboardSidebar from '@/components/DashboardSidebar';
+import { SidebarProvider, SidebarInset } from '@/components/ui/sidebar';
+import { getCurrentUser } from '@/lib/session';
+import { hasCapability } from '@/lib/permissions';
+
+export default async function DashboardLayout({ children }) {
+  const user = await getCurrentUser();
+
+  if (!user) {
+    redirect('/login');
+  }
+
+  if (!hasCapability(user.role, 'post:create')) {
+    redirect('/');
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <SidebarProvider className="min-h-[calc(100svh-4rem)]">
+        <DashboardSidebar role={user.role} />
+        <SidebarInset className="bg-gray-50">
+          <div className="max-w-6xl w-full mx-auto px-4 sm:px-6 lg:px-8 py-12">
+            {children}
+          </div>
+        </SidebarInset>
+      </SidebarProvider>
+    </div>
+  );
+}
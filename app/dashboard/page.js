@@ -0,0 +1,51 @@
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import DashboardPostsTable from '@/components/DashboardPostsTable';
+import { getCurrentUser } from '@/lib/session';
+import { hasCapability } from '@/lib/permissions';
+import { getCategoriesWithCount, getTagsWithCount } from '@/lib/db';
+import { listAuthors } from '@/lib/users';
+import { PenSquare } from 'lucide-react';
+
+export const metadata = {
+  title: 'Dashboard - Blog',
+};
+
+export default async function DashboardPage() {
+  const user = await getCurrentUser();
+  const seesAllPosts = hasCapability(user.role, 'post:read:any');
+  const canReassign = hasCapability(user.role, 'post:edit:any');
+  const [categories, tags, authors] = await Promise.all([
+    getCategoriesWithCount(),
+    getTagsWithCount(),
+    canReassign ? listAuthors() : [],
+  ]);
+
+  return (
+    <>
+      <div className="mb-8 flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Posts</h1>
+          <p className="text-gray-600 mt-1">
+            {seesAllPosts ? 'Every post on the blog' : 'Your drafts, scheduled and published posts'}
+          </p>
+        </div>
+        <Button asChild>
+          <Link href="/dashboard/posts/new">
+            <PenSquare className="mr-2 h-4 w-4" />
+            New post
+          </Link>
+        </Button>
+      </div>
+
+      <DashboardPostsTable
+        showAuthor={seesAllPosts}
+        canPublish={hasCapability(user.role, 'post:publish')}
+        canReassign={canReassign}
+        categories={categories}
+        tags={tags}
+        authors={authors}
+      />
+    </>
+  );
+}
@@ -0,0 +1,75 @@
+import Link from 'next/link';
+import { notFound, redirect } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import PostEditor from '@/components/PostEditor';
+import PostHistoryPanel from '@/components/PostHistoryPanel';
+import PostPreviewLinks from '@/components/PostPreviewLinks';
+import { getCurrentUser } from '@/lib/session';
+import { hasCapability, canActOn } from '@/lib/permissions';
+import { getCategoriesWithCount, getPostBySlug, getTagsWithCount, isPostPublic } from '@/lib/db';
+import { getLastSavedTitle } from '@/lib/post-revisions';
+import { ExternalLink } from 'lucide-react';
+
+export const metadata = {
+  title: 'Edit post - Blog',
+};
+
+export default async function EditPostPage({ params }) {
+  const { slug } = params;
+  const user = await getCurrentUser();
+  const post = await getPostBySlug(slug);
+
+  if (!post) {
+    notFound();
+  }
+
+  if (!canActOn(user, 'post', 'edit', post.author_id)) {
+    redirect('/dashboard');
+  }
+
+  const [categories, tags, savedTitle] = await Promise.all([
+    getCategoriesWithCount(),
+    getTagsWithCount(),
+    getLastSavedTitle(post.id),
+  ]);
+
+  return (
+    <>
+      <div className="mb-8 flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Edit post</h1>
+          <p className="text-gray-600 mt-1">
+            Last saved {new Date(post.updated_at).toLocaleString('en-US')}
+          </p>
+        </div>
+        {isPostPublic(post) && (
+          <Button variant="outline" asChild>
+            <Link href={`/blog/${post.slug}`}>
+              <ExternalLink className="mr-2 h-4 w-4" />
+              View post
+            </Link>
+          </Button>
+        )}
+      </div>
+
+      <div className="space-y-6">
+        {/* Remount after every save or restore so the form shows what was stored */}
+        <PostEditor
+          key={post.updated_at}
+          post={post}
+          savedTitle={savedTitle}
+          categories={categories}
+          tags={tags}
+          canPublish={hasCapability(user.role, 'post:publish')}
+        />
+
+        {!isPostPublic(post) && <PostPreviewLinks slug={post.slug} />}
+
+        <PostHistoryPanel
+          key={`history-${post.updated_at}`}
+          slug={post.slug}
+        />
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,28 @@
+import PostEditor from '@/components/PostEditor';
+import { getCurrentUser } from '@/lib/session';
+import { hasCapability } from '@/lib/permissions';
+import { getCategoriesWithCount, getTagsWithCount } from '@/lib/db';
+
+export const metadata = {
+  title: 'New post - Blog',
+};
+
+export default async function NewPostPage() {
+  const user = await getCurrentUser();
+  const [categories, tags] = await Promise.all([getCategoriesWithCount(), getTagsWithCount()]);
+
+  return (
+    <>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">New post</h1>
+        <p className="text-gray-600 mt-1">Posts start as drafts until you publish or schedule them</p>
+      </div>
+
+      <PostEditor
+        categories={categories}
+        tags={tags}
+        canPublish={hasCapability(user.role, 'post:publish')}
+      />
+    </>
+  );
+}
@@ -0,0 +1,28 @@
+import DashboardTrashTable from '@/components/DashboardTrashTable';
+import { getCurrentUser } from '@/lib/session';
+import { hasCapability } from '@/lib/permissions';
+
+export const metadata = {
+  title: 'Trash - Dashboard - Blog',
+};
+
+export default async function DashboardTrashPage() {
+  const user = await getCurrentUser();
+  const seesAllPosts = hasCapability(user.role, 'post:delete:any');
+
+  return (
+    <>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Trash</h1>
+        <p className="text-gray-600 mt-1">
+          Deleted posts can be restored until they are purged
+        </p>
+      </div>
+
+      <DashboardTrashTable
+        showAuthor={seesAllPosts}
+        canPurge={hasCapability(user.role, 'post:purge')}
+      />
+    </>
+  );
+}
@@ -2,25 +2,20 @@ import { createClient } from '@/lib/supabase/server';
 import Header from '@/components/Header';
 import Hero from '@/components/Hero';
 import BlogPostGrid from '@/components/BlogPostGrid';
+import { getPaginatedPosts, POST_SORTS } from '@/lib/db';
+
+const PAGE_SIZE = 12;
 
 export default async function HomePage({ searchParams }) {
   const supabase = await createClient();
   
   try {
-    // Build query for published posts
-    let query = supabase
-      .from('posts')
-      .select(`
-        *,
-        author:users!posts_author_id_fkey(id, name, avatar_url),
-        category:categories!posts_category_id_fkey(id, name, slug),
-        post_tags(tag:tags(id, name, slug))
-      `)
-      .eq('status', 'published')
-      .order('published_at', { ascending: false });
+    const { category: categorySlug, search, sort: sortParam, page: pageParam } = await searchParams;
+    const sort = POST_SORTS[sortParam] ? sortParam : 'newest';
+    const page = Math.max(1, parseInt(pageParam || '1', 10) || 1);
 
     // Apply category filter if provided
-    const categorySlug = searchParams?.category;
+    let categoryId = null;
     if (categorySlug) {
       const { data: category } = await supabase
         .from('categories')
@@ -29,20 +24,19 @@ export default async function HomePage({ searchParams }) {
         .single();
       
       if (category) {
-        query = query.eq('category_id', category.id);
+        categoryId = category.id;
       }
     }
 
-    // Apply search filter if provided
-    const search = searchParams?.search;
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,content.ilike.%${search}%,excerpt.ilike.%${search}%`);
-    }
-
-    const { data: posts, error } = await query;
+    const { posts, total, totalPages, error } = await getPaginatedPosts({
+      page,
+      pageSize: PAGE_SIZE,
+      categoryId,
+      search,
+      sort,
+    });
 
     if (error) {
-      console.error('Error fetching posts:', error);
       return (
         <div className="min-h-screen bg-gray-50">
           <Header />
@@ -68,10 +62,12 @@ export default async function HomePage({ searchParams }) {
         <Hero />
         <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
           <BlogPostGrid 
-            posts={posts || []} 
+            posts={posts} 
             categories={categories || []}
             initialCategory={categorySlug}
             initialSearch={search}
+            initialSort={sort}
+            pagination={{ page, pageSize: PAGE_SIZE, total, totalPages }}
           />
         </main>
         <footer className="bg-white border-t border-gray-200 mt-20">
@@ -0,0 +1,39 @@
+import DataExportCard from '@/components/DataExportCard';
+import DeleteAccountForm from '@/components/DeleteAccountForm';
+import { getCurrentUser } from '@/lib/session';
+import { getDeletionRequest } from '@/lib/account-deletion';
+import { createAdminClient } from '@/lib/supabase/server';
+
+export const metadata = {
+  title: 'Account settings - Blog',
+};
+
+export default async function AccountSettingsPage() {
+  // The settings layout redirects signed-out visitors
+  const user = await getCurrentUser();
+
+  const supabase = createAdminClient();
+  const [{ data }, { count: postCount }, deletion] = await Promise.all([
+    supabase
+      .from('users')
+      .select('password')
+      .eq('id', user.id)
+      .single(),
+    supabase
+      .from('posts')
+      .select('id', { count: 'exact', head: true })
+      .eq('author_id', user.id),
+    getDeletionRequest(user.id),
+  ]);
+
+  return (
+    <>
+      <DataExportCard />
+      <DeleteAccountForm
+        deletion={deletion}
+        hasPassword={!!data?.password}
+        postCount={postCount || 0}
+      />
+    </>
+  );
+}
@@ -0,0 +1,34 @@
+import { redirect } from 'next/navigation';
+import Header from '@/components/Header';
+import SettingsNav from '@/components/SettingsNav';
+import { getCurrentUser } from '@/lib/session';
+
+export default async function SettingsLayout({ children }) {
+  const user = await getCurrentUser();
+
+  if (!user) {
+    redirect('/login');
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+          <p className="text-gray-600 mt-1">Manage your profile, how you sign in and your data</p>
+        </div>
+
+        <div className="flex flex-col gap-8 md:flex-row">
+          <aside className="md:w-48 shrink-0">
+            <SettingsNav />
+          </aside>
+          <div className="flex-1 min-w-0 space-y-6">
+            {children}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import ProfileForm from '@/components/ProfileForm';
+import ChangeEmailForm from '@/components/ChangeEmailForm';
+import ChangePasswordForm from '@/components/ChangePasswordForm';
+import { getCurrentUser } from '@/lib/session';
+import { createAdminClient } from '@/lib/supabase/server';
+
+export const metadata = {
+  title: 'Profile settings - Blog',
+};
+
+export default async function ProfileSettingsPage() {
+  // The settings layout redirects signed-out visitors
+  const user = await getCurrentUser();
+
+  // Accounts created through OAuth have no password until they set one
+  const supabase = createAdminClient();
+  const { data } = await supabase
+    .from('users')
+    .select('password')
+    .eq('id', user.id)
+    .single();
+  const hasPassword = !!data?.password;
+
+  return (
+    <>
+      <ProfileForm user={user} />
+      <ChangeEmailForm
+        email={user.email}
+        emailVerified={!!user.email_verified_at}
+        hasPassword={hasPassword}
+      />
+      <ChangePasswordForm hasPassword={hasPassword} />
+    </>
+  );
+}
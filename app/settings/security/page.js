@@ -0,0 +1,25 @@
+import TwoFactorSettings from '@/components/TwoFactorSettings';
+import LinkedAccounts from '@/components/LinkedAccounts';
+import { getCurrentUser } from '@/lib/session';
+
+export const metadata = {
+  title: 'Security settings - Blog',
+};
+
+export default async function SecuritySettingsPage({ searchParams }) {
+  // The settings layout redirects signed-out visitors
+  const user = await getCurrentUser();
+  // Set by the OAuth callback after linking a provider
+  const { linked } = await searchParams;
+
+  return (
+    <>
+      <TwoFactorSettings
+        enabledAt={user.totp_enabled_at}
+        required={user.two_factor_required}
+      />
+
+      <LinkedAccounts linkedProvider={linked} />
+    </>
+  );
+}
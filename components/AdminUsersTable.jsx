@@ -0,0 +1,307 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { ChevronLeft, ChevronRight, Loader2, MoreHorizontal, Search } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+import { USER_ROLES } from '@/lib/validation';
+import SuspendUserDialog from '@/components/SuspendUserDialog';
+import DeleteUserDialog from '@/components/DeleteUserDialog';
+
+const ALL_ROLES = 'all';
+const PAGE_SIZE = 20;
+
+export default function AdminUsersTable({ currentUserId }) {
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 0, total: 0 });
+  const [page, setPage] = useState(1);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState(ALL_ROLES);
+  const [loading, setLoading] = useState(true);
+  const [suspendTarget, setSuspendTarget] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+      if (search) params.set('search', search);
+      if (role !== ALL_ROLES) params.set('role', role);
+
+      const response = await apiFetch(`/api/admin/users?${params.toString()}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load users');
+      }
+
+      setUsers(data.data);
+      setPagination(data.pagination);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search, role]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const runAction = async (url, options, fallbackError) => {
+    try {
+      const response = await apiFetch(url, options);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || fallbackError);
+      }
+
+      toast.success(data.message);
+      await loadUsers();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleRoleChange = (user, newRole) => runAction(
+    `/api/admin/users/${user.id}/role`,
+    { method: 'PATCH', body: { role: newRole } },
+    'Failed to update role'
+  );
+
+  const handleReinstate = (user) => runAction(
+    `/api/admin/users/${user.id}/suspension`,
+    { method: 'PATCH', body: { suspended: false } },
+    'Failed to reinstate user'
+  );
+
+  const handleUnlock = (user) => runAction(
+    `/api/admin/users/${user.id}/unlock`,
+    { method: 'POST' },
+    'Failed to unlock account'
+  );
+
+  const handleTwoFactorRequired = (user) => runAction(
+    `/api/admin/users/${user.id}/two-factor`,
+    { method: 'PATCH', body: { required: !user.two_factor_required } },
+    'Failed to update two-factor requirement'
+  );
+
+  const handleDialogDone = () => {
+    setSuspendTarget(null);
+    setDeleteTarget(null);
+    loadUsers();
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col gap-3 sm:flex-row">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+          <Input
+            placeholder="Search by name or email"
+            className="pl-9"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+          />
+        </div>
+        <Select
+          value={role}
+          onValueChange={(value) => {
+            setRole(value);
+            setPage(1);
+          }}
+        >
+          <SelectTrigger className="sm:w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_ROLES}>All roles</SelectItem>
+            {USER_ROLES.map(item => (
+              <SelectItem key={item} value={item} className="capitalize">{item}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="rounded-lg border bg-white">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>User</TableHead>
+              <TableHead>Role</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead>Joined</TableHead>
+              <TableHead className="w-12" />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {loading && users.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} className="py-10 text-center">
+                  <Loader2 className="mx-auto h-5 w-5 animate-spin text-gray-400" />
+                </TableCell>
+              </TableRow>
+            ) : users.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} className="py-10 text-center text-gray-500">
+                  No users found
+                </TableCell>
+              </TableRow>
+            ) : users.map(user => {
+              const isSelf = user.id === currentUserId;
+              const isLocked = user.locked_until && new Date(user.locked_until) > new Date();
+
+              return (
+                <TableRow key={user.id}>
+                  <TableCell>
+                    <div className="flex items-center gap-3">
+                      <Avatar className="h-8 w-8">
+                        <AvatarImage src={user.avatar_url} alt={user.name} />
+                        <AvatarFallback>{user.name?.charAt(0).toUpperCase() || 'U'}</AvatarFallback>
+                      </Avatar>
+                      <div>
+                        <p className="font-medium text-gray-900">
+                          {user.name}
+                          {isSelf && <span className="ml-1 text-xs text-gray-500">(you)</span>}
+                        </p>
+                        <p className="text-sm text-gray-500">{user.email}</p>
+                      </div>
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    <Select
+                      value={user.role}
+                      onValueChange={(value) => handleRoleChange(user, value)}
+                      disabled={isSelf}
+                    >
+                      <SelectTrigger className="h-8 w-28 capitalize">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {USER_ROLES.map(item => (
+                          <SelectItem key={item} value={item} className="capitalize">{item}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex flex-wrap gap-1">
+                      {user.suspended_at && (
+                        <Badge variant="destructive" title={user.suspended_reason || undefined}>Suspended</Badge>
+                      )}
+                      {isLocked && <Badge variant="secondary">Locked</Badge>}
+                      {user.totp_enabled_at && <Badge variant="outline">2FA</Badge>}
+                      {user.two_factor_required && !user.totp_enabled_at && (
+                        <Badge variant="outline">2FA pending</Badge>
+                      )}
+                      {!user.email_verified_at && <Badge variant="secondary">Unverified</Badge>}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-sm text-gray-500">
+                    {new Date(user.created_at).toLocaleDateString()}
+                  </TableCell>
+                  <TableCell>
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button variant="ghost" size="icon" disabled={isSelf}>
+                          <MoreHorizontal className="h-4 w-4" />
+                          <span className="sr-only">Actions</span>
+                        </Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="end">
+                        {user.suspended_at ? (
+                          <DropdownMenuItem onClick={() => handleReinstate(user)}>Reinstate</DropdownMenuItem>
+                        ) : (
+                          <DropdownMenuItem onClick={() => setSuspendTarget(user)}>Suspend</DropdownMenuItem>
+                        )}
+                        {isLocked && (
+                          <DropdownMenuItem onClick={() => handleUnlock(user)}>Unlock</DropdownMenuItem>
+                        )}
+                        <DropdownMenuItem onClick={() => handleTwoFactorRequired(user)}>
+                          {user.two_factor_required ? 'Make 2FA optional' : 'Require 2FA'}
+                        </DropdownMenuItem>
+                        <DropdownMenuSeparator />
+                        <DropdownMenuItem className="text-red-600" onClick={() => setDeleteTarget(user)}>
+                          Delete
+                        </DropdownMenuItem>
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <span>{pagination.total} user{pagination.total === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setPage(prev => prev - 1)}
+            disabled={loading || page <= 1}
+          >
+            <ChevronLeft className="h-4 w-4" />
+            Previous
+          </Button>
+          <span>Page {pagination.page} of {Math.max(1, pagination.totalPages)}</span>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setPage(prev => prev + 1)}
+            disabled={loading || page >= pagination.totalPages}
+          >
+            Next
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      <SuspendUserDialog
+        user={suspendTarget}
+        onOpenChange={(open) => !open && setSuspendTarget(null)}
+        onSuspended={handleDialogDone}
+      />
+      <DeleteUserDialog
+        user={deleteTarget}
+        onOpenChange={(open) => !open && setDeleteTarget(null)}
+        onDeleted={handleDialogDone}
+      />
+    </div>
+  );
+}
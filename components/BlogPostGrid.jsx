@@ -12,24 +12,71 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from '@/components/ui/pagination';
 import { Search, X } from 'lucide-react';
 
-export default function BlogPostGrid({ posts, categories, initialCategory, initialSearch }) {
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'title', label: 'Title' },
+  { value: 'most-commented', label: 'Most commented' },
+];
+
+/**
+ * Page numbers to show: first, last and the neighbours of the current page,
+ * with null marking a gap
+ */
+function getPageNumbers(page, totalPages) {
+  const pages = [];
+
+  for (let number = 1; number <= totalPages; number++) {
+    if (number === 1 || number === totalPages || Math.abs(number - page) <= 1) {
+      pages.push(number);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+
+  return pages;
+}
+
+export default function BlogPostGrid({
+  posts,
+  categories,
+  initialCategory,
+  initialSearch,
+  initialSort,
+  pagination,
+}) {
   const router = useRouter();
   const [searchQuery, setSearchQuery] = useState(initialSearch || '');
   const [selectedCategory, setSelectedCategory] = useState(initialCategory || 'all');
+  const [selectedSort, setSelectedSort] = useState(initialSort || 'newest');
 
   const handleSearch = (e) => {
     e.preventDefault();
-    updateFilters(searchQuery, selectedCategory);
+    updateFilters(searchQuery, selectedCategory, selectedSort);
   };
 
   const handleCategoryChange = (value) => {
     setSelectedCategory(value);
-    updateFilters(searchQuery, value);
+    updateFilters(searchQuery, value, selectedSort);
   };
 
-  const updateFilters = (search, category) => {
+  const handleSortChange = (value) => {
+    setSelectedSort(value);
+    updateFilters(searchQuery, selectedCategory, value);
+  };
+
+  const buildQuery = (search, category, sort, page = 1) => {
     const params = new URLSearchParams();
     
     if (search) {
@@ -40,16 +87,35 @@ export default function BlogPostGrid({ posts, categories, initialCategory, initi
       params.set('category', category);
     }
 
+    if (sort && sort !== 'newest') {
+      params.set('sort', sort);
+    }
+
+    if (page > 1) {
+      params.set('page', String(page));
+    }
+
     const queryString = params.toString();
-    router.push(queryString ? `/?${queryString}` : '/');
+    return queryString ? `/?${queryString}` : '/';
   };
 
+  // Changing a filter starts again from the first page
+  const updateFilters = (search, category, sort) => {
+    router.push(buildQuery(search, category, sort));
+  };
+
+  const pageHref = (page) => buildQuery(initialSearch, initialCategory, initialSort, page);
+
   const clearFilters = () => {
     setSearchQuery('');
     setSelectedCategory('all');
+    setSelectedSort('newest');
     router.push('/');
   };
 
+  const { page = 1, pageSize = posts.length, total = posts.length, totalPages = 1 } = pagination || {};
+  const firstShown = (page - 1) * pageSize + 1;
+
   const hasActiveFilters = searchQuery || (selectedCategory && selectedCategory !== 'all');
 
   return (
@@ -80,6 +146,18 @@ export default function BlogPostGrid({ posts, categories, initialCategory, initi
               ))}
             </SelectContent>
           </Select>
+          <Select value={selectedSort} onValueChange={handleSortChange}>
+            <SelectTrigger className="w-44">
+              <SelectValue placeholder="Sort by" />
+            </SelectTrigger>
+            <SelectContent>
+              {SORT_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
           <Button type="submit">Search</Button>
         </form>
 
@@ -113,13 +191,41 @@ export default function BlogPostGrid({ posts, categories, initialCategory, initi
       {posts && posts.length > 0 ? (
         <>
           <div className="mb-4 text-sm text-gray-600">
-            Showing {posts.length} {posts.length === 1 ? 'post' : 'posts'}
+            Showing {firstShown}–{firstShown + posts.length - 1} of {total} {total === 1 ? 'post' : 'posts'}
           </div>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             {posts.map((post) => (
               <BlogPostCard key={post.id} post={post} />
             ))}
           </div>
+
+          {totalPages > 1 && (
+            <Pagination className="mt-10">
+              <PaginationContent>
+                {page > 1 && (
+                  <PaginationItem>
+                    <PaginationPrevious href={pageHref(page - 1)} />
+                  </PaginationItem>
+                )}
+                {getPageNumbers(page, totalPages).map((number, index) => (
+                  <PaginationItem key={number ?? `gap-${index}`}>
+                    {number === null ? (
+                      <PaginationEllipsis />
+                    ) : (
+                      <PaginationLink href={pageHref(number)} isActive={number === page}>
+                        {number}
+                      </PaginationLink>
+                    )}
+                  </PaginationItem>
+                ))}
+                {page < totalPages && (
+                  <PaginationItem>
+                    <PaginationNext href={pageHref(page + 1)} />
+                  </PaginationItem>
+                )}
+              </PaginationContent>
+            </Pagination>
+          )}
         </>
       ) : (
         <div className="text-center py-12">
@@ -0,0 +1,238 @@
+'use client';
+
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { ChevronDown, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+
+const NO_CATEGORY = 'none';
+
+// Actions that ask for a category, tags, an author or a confirmation before running
+const DIALOGS = {
+  set_category: {
+    title: 'Change category',
+    description: 'The selected posts move to this category.',
+    submit: 'Change category',
+  },
+  add_tags: {
+    title: 'Add tags',
+    description: 'These tags are added to every selected post.',
+    submit: 'Add tags',
+  },
+  remove_tags: {
+    title: 'Remove tags',
+    description: 'These tags are removed from every selected post that has them.',
+    submit: 'Remove tags',
+  },
+  reassign_author: {
+    title: 'Change author',
+    description: 'The selected posts are handed to this author.',
+    submit: 'Change author',
+  },
+  delete: {
+    title: 'Move posts to the trash?',
+    description: 'The selected posts are taken off the blog straight away. They can be restored from the trash until they are deleted permanently.',
+    submit: 'Move to trash',
+  },
+};
+
+export default function BulkPostActions({ posts, selectedIds, canPublish, canReassign, categories, tags, authors, onDone }) {
+  const [dialog, setDialog] = useState(null);
+  const [categoryId, setCategoryId] = useState(NO_CATEGORY);
+  const [tagIds, setTagIds] = useState([]);
+  const [authorId, setAuthorId] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const titles = new Map(posts.map(post => [post.id, post.title]));
+
+  const openDialog = (action) => {
+    setCategoryId(NO_CATEGORY);
+    setTagIds([]);
+    setAuthorId('');
+    setDialog(action);
+  };
+
+  const runAction = async (action, extra = {}) => {
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/api/posts/bulk', {
+        method: 'POST',
+        body: { ids: selectedIds, action, ...extra },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update posts');
+      }
+
+      const failures = data.data.results.filter(result => !result.success);
+      if (failures.length === 0) {
+        toast.success(data.message);
+      } else {
+        toast.warning(data.message, {
+          description: failures
+            .map(failure => `${titles.get(failure.id) || failure.id}: ${failure.error}`)
+            .join('; '),
+        });
+      }
+
+      setDialog(null);
+      onDone();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitDialog = () => {
+    if (dialog === 'set_category') {
+      runAction(dialog, { category_id: categoryId === NO_CATEGORY ? null : categoryId });
+    } else if (dialog === 'add_tags' || dialog === 'remove_tags') {
+      runAction(dialog, { tag_ids: tagIds });
+    } else if (dialog === 'reassign_author') {
+      runAction(dialog, { author_id: authorId });
+    } else {
+      runAction(dialog);
+    }
+  };
+
+  const canSubmit = !loading
+    && ((dialog !== 'add_tags' && dialog !== 'remove_tags') || tagIds.length > 0)
+    && (dialog !== 'reassign_author' || authorId);
+
+  const toggleTag = (tagId, checked) => {
+    setTagIds(prev => (checked ? [...prev, tagId] : prev.filter(id => id !== tagId)));
+  };
+
+  const current = dialog ? DIALOGS[dialog] : null;
+
+  return (
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm" disabled={loading}>
+            {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Bulk actions
+            <ChevronDown className="ml-2 h-4 w-4" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="start">
+          {canPublish && (
+            <DropdownMenuItem onClick={() => runAction('publish')}>Publish now</DropdownMenuItem>
+          )}
+          <DropdownMenuItem onClick={() => runAction('unpublish')}>Unpublish</DropdownMenuItem>
+          <DropdownMenuSeparator />
+          <DropdownMenuItem onClick={() => openDialog('set_category')}>Change category</DropdownMenuItem>
+          {tags.length > 0 && (
+            <>
+              <DropdownMenuItem onClick={() => openDialog('add_tags')}>Add tags</DropdownMenuItem>
+              <DropdownMenuItem onClick={() => openDialog('remove_tags')}>Remove tags</DropdownMenuItem>
+            </>
+          )}
+          {canReassign && (
+            <DropdownMenuItem onClick={() => openDialog('reassign_author')}>Change author</DropdownMenuItem>
+          )}
+          <DropdownMenuSeparator />
+          <DropdownMenuItem className="text-red-600" onClick={() => openDialog('delete')}>
+            Move to trash
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Dialog open={!!dialog} onOpenChange={(open) => !open && setDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{current?.title}</DialogTitle>
+            <DialogDescription>
+              {current?.description} {selectedIds.length} post{selectedIds.length === 1 ? '' : 's'} selected.
+            </DialogDescription>
+          </DialogHeader>
+
+          {dialog === 'set_category' && (
+            <Select value={categoryId} onValueChange={setCategoryId} disabled={loading}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={NO_CATEGORY}>No category</SelectItem>
+                {categories.map(category => (
+                  <SelectItem key={category.id} value={category.id}>
+                    {category.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+
+          {(dialog === 'add_tags' || dialog === 'remove_tags') && (
+            <div className="grid grid-cols-2 gap-2">
+              {tags.map(tag => (
+                <div key={tag.id} className="flex items-center gap-2">
+                  <Checkbox
+                    id={`bulk-tag-${tag.id}`}
+                    checked={tagIds.includes(tag.id)}
+                    onCheckedChange={checked => toggleTag(tag.id, checked === true)}
+                    disabled={loading}
+                  />
+                  <Label htmlFor={`bulk-tag-${tag.id}`} className="font-normal">
+                    {tag.name}
+                  </Label>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {dialog === 'reassign_author' && (
+            <Select value={authorId} onValueChange={setAuthorId} disabled={loading}>
+              <SelectTrigger>
+                <SelectValue placeholder="Choose an author" />
+              </SelectTrigger>
+              <SelectContent>
+                {authors.map(author => (
+                  <SelectItem key={author.id} value={author.id}>
+                    {author.name || author.email}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+
+          <DialogFooter>
+            <Button variant="ghost" onClick={() => setDialog(null)} disabled={loading}>
+              Cancel
+            </Button>
+            <Button
+              variant={dialog === 'delete' ? 'destructive' : 'default'}
+              onClick={submitDialog}
+              disabled={!canSubmit}
+            >
+              {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              {current?.submit}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -0,0 +1,122 @@
+'use client';
+
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+
+export default function ChangeEmailForm({ email, emailVerified, hasPassword }) {
+  const [newEmail, setNewEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [resending, setResending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/api/users/me/email', {
+        method: 'POST',
+        body: { newEmail, password },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to change email');
+      }
+
+      toast.success(data.message);
+      setNewEmail('');
+      setPassword('');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    setResending(true);
+
+    try {
+      const response = await apiFetch('/api/auth/verify-email/resend', { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send verification email');
+      }
+
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Email address</CardTitle>
+        <CardDescription className="flex flex-wrap items-center gap-2">
+          <span>{email}</span>
+          {emailVerified ? <Badge>Verified</Badge> : <Badge variant="secondary">Not verified</Badge>}
+          {!emailVerified && (
+            <Button
+              type="button"
+              variant="link"
+              size="sm"
+              className="h-auto p-0"
+              onClick={handleResendVerification}
+              disabled={resending}
+            >
+              Resend verification email
+            </Button>
+          )}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="newEmail">New email</Label>
+            <Input
+              id="newEmail"
+              type="email"
+              placeholder="you@example.com"
+              value={newEmail}
+              onChange={(e) => setNewEmail(e.target.value)}
+              required
+              disabled={loading}
+            />
+          </div>
+          {hasPassword && (
+            <div className="space-y-2">
+              <Label htmlFor="emailPassword">Current password</Label>
+              <Input
+                id="emailPassword"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                disabled={loading}
+              />
+            </div>
+          )}
+          <p className="text-sm text-gray-500">
+            We will send a confirmation link to the new address. Your email changes once you open it.
+          </p>
+          <Button type="submit" disabled={loading}>
+            {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Change email
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
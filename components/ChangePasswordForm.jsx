@@ -0,0 +1,127 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+
+export default function ChangePasswordForm({ hasPassword }) {
+  const router = useRouter();
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/api/users/me/password', {
+        method: 'POST',
+        body: {
+          currentPassword: formData.currentPassword,
+          newPassword: formData.newPassword,
+        },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to change password');
+      }
+
+      toast.success(data.message);
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      router.refresh();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{hasPassword ? 'Change password' : 'Set a password'}</CardTitle>
+        <CardDescription>
+          {hasPassword
+            ? 'Other devices will be signed out.'
+            : 'Your account signs in through a linked provider. A password lets you sign in with your email as well.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {hasPassword && (
+            <div className="space-y-2">
+              <Label htmlFor="currentPassword">Current password</Label>
+              <Input
+                id="currentPassword"
+                name="currentPassword"
+                type="password"
+                autoComplete="current-password"
+                value={formData.currentPassword}
+                onChange={handleChange}
+                required
+                disabled={loading}
+              />
+            </div>
+          )}
+          <div className="space-y-2">
+            <Label htmlFor="newPassword">New password</Label>
+            <Input
+              id="newPassword"
+              name="newPassword"
+              type="password"
+              autoComplete="new-password"
+              value={formData.newPassword}
+              onChange={handleChange}
+              minLength={6}
+              required
+              disabled={loading}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="confirmPassword">Confirm new password</Label>
+            <Input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              minLength={6}
+              required
+              disabled={loading}
+            />
+          </div>
+          <Button type="submit" disabled={loading}>
+            {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            {hasPassword ? 'Change password' : 'Set password'}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,318 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { ChevronLeft, ChevronRight, Loader2, MoreHorizontal, Search } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+import { POST_STATUSES } from '@/lib/validation';
+import DeletePostDialog from '@/components/DeletePostDialog';
+import BulkPostActions from '@/components/BulkPostActions';
+
+const ALL_STATUSES = 'all';
+const PAGE_SIZE = 20;
+
+const STATUS_BADGES = {
+  draft: { label: 'Draft', variant: 'secondary' },
+  scheduled: { label: 'Scheduled', variant: 'outline' },
+  published: { label: 'Published', variant: 'default' },
+};
+
+export default function DashboardPostsTable({ showAuthor, canPublish, canReassign, categories, tags, authors }) {
+  const router = useRouter();
+  const [posts, setPosts] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 0, total: 0 });
+  const [page, setPage] = useState(1);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState(ALL_STATUSES);
+  const [loading, setLoading] = useState(true);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  const loadPosts = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+      if (search) params.set('search', search);
+      if (status !== ALL_STATUSES) params.set('status', status);
+
+      const response = await apiFetch(`/api/dashboard/posts?${params.toString()}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load posts');
+      }
+
+      setPosts(data.data);
+      setPagination(data.pagination);
+      // Only posts on the current page can stay selected
+      setSelectedIds(prev => prev.filter(id => data.data.some(post => post.id === id)));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search, status]);
+
+  useEffect(() => {
+    loadPosts();
+  }, [loadPosts]);
+
+  const setPostStatus = async (post, newStatus, fallbackError) => {
+    try {
+      const response = await apiFetch(`/api/posts/${post.slug}`, {
+        method: 'PUT',
+        body: { status: newStatus },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || fallbackError);
+      }
+
+      toast.success(newStatus === 'published' ? 'Post published' : 'Post moved to drafts');
+      await loadPosts();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDeleted = () => {
+    setDeleteTarget(null);
+    loadPosts();
+  };
+
+  const toggleSelected = (postId, checked) => {
+    setSelectedIds(prev => (checked ? [...prev, postId] : prev.filter(id => id !== postId)));
+  };
+
+  const allSelected = posts.length > 0 && selectedIds.length === posts.length;
+
+  const handleBulkDone = () => {
+    setSelectedIds([]);
+    loadPosts();
+  };
+
+  const columnCount = showAuthor ? 6 : 5;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col gap-3 sm:flex-row">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+          <Input
+            placeholder="Search posts"
+            className="pl-9"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+          />
+        </div>
+        <Select
+          value={status}
+          onValueChange={(value) => {
+            setStatus(value);
+            setPage(1);
+          }}
+        >
+          <SelectTrigger className="sm:w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+            {POST_STATUSES.map(item => (
+              <SelectItem key={item} value={item}>{STATUS_BADGES[item].label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {selectedIds.length > 0 && (
+        <div className="flex items-center gap-3 rounded-lg border bg-white px-4 py-2 text-sm">
+          <span className="text-gray-700">{selectedIds.length} selected</span>
+          <BulkPostActions
+            posts={posts}
+            selectedIds={selectedIds}
+            canPublish={canPublish}
+            canReassign={canReassign}
+            categories={categories}
+            tags={tags}
+            authors={authors}
+            onDone={handleBulkDone}
+          />
+          <Button variant="ghost" size="sm" onClick={() => setSelectedIds([])}>
+            Clear selection
+          </Button>
+        </div>
+      )}
+
+      <div className="rounded-lg border bg-white">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="w-10">
+                <Checkbox
+                  checked={allSelected ? true : selectedIds.length > 0 ? 'indeterminate' : false}
+                  onCheckedChange={checked => setSelectedIds(checked === true ? posts.map(post => post.id) : [])}
+                  disabled={posts.length === 0}
+                  aria-label="Select all posts on this page"
+                />
+              </TableHead>
+              <TableHead>Title</TableHead>
+              {showAuthor && <TableHead>Author</TableHead>}
+              <TableHead>Status</TableHead>
+              <TableHead>Updated</TableHead>
+              <TableHead className="w-12" />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {loading && posts.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={columnCount} className="py-10 text-center">
+                  <Loader2 className="mx-auto h-5 w-5 animate-spin text-gray-400" />
+                </TableCell>
+              </TableRow>
+            ) : posts.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={columnCount} className="py-10 text-center text-gray-500">
+                  No posts found
+                </TableCell>
+              </TableRow>
+            ) : posts.map(post => {
+              const badge = STATUS_BADGES[post.status] || STATUS_BADGES.draft;
+              const editHref = `/dashboard/posts/${post.slug}/edit`;
+
+              return (
+                <TableRow key={post.id} data-state={selectedIds.includes(post.id) ? 'selected' : undefined}>
+                  <TableCell>
+                    <Checkbox
+                      checked={selectedIds.includes(post.id)}
+                      onCheckedChange={checked => toggleSelected(post.id, checked === true)}
+                      aria-label={`Select ${post.title}`}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Link href={editHref} className="font-medium text-gray-900 hover:text-blue-600">
+                      {post.title}
+                    </Link>
+                    {post.category && (
+                      <p className="text-sm text-gray-500">{post.category.name}</p>
+                    )}
+                  </TableCell>
+                  {showAuthor && (
+                    <TableCell className="text-sm text-gray-700">
+                      {post.author?.name || 'No author'}
+                    </TableCell>
+                  )}
+                  <TableCell>
+                    <Badge variant={badge.variant}>{badge.label}</Badge>
+                    {post.status === 'scheduled' && post.published_at && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        {new Date(post.published_at).toLocaleString()}
+                      </p>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-sm text-gray-500">
+                    {new Date(post.updated_at).toLocaleDateString()}
+                  </TableCell>
+                  <TableCell>
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button variant="ghost" size="icon">
+                          <MoreHorizontal className="h-4 w-4" />
+                          <span className="sr-only">Actions</span>
+                        </Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="end">
+                        <DropdownMenuItem onClick={() => router.push(editHref)}>Edit</DropdownMenuItem>
+                        {post.status === 'published' && (
+                          <DropdownMenuItem onClick={() => router.push(`/blog/${post.slug}`)}>View</DropdownMenuItem>
+                        )}
+                        {canPublish && post.status !== 'published' && (
+                          <DropdownMenuItem onClick={() => setPostStatus(post, 'published', 'Failed to publish post')}>
+                            Publish now
+                          </DropdownMenuItem>
+                        )}
+                        {post.status !== 'draft' && (
+                          <DropdownMenuItem onClick={() => setPostStatus(post, 'draft', 'Failed to unpublish post')}>
+                            {post.status === 'scheduled' ? 'Cancel schedule' : 'Unpublish'}
+                          </DropdownMenuItem>
+                        )}
+                        <DropdownMenuSeparator />
+                        <DropdownMenuItem className="text-red-600" onClick={() => setDeleteTarget(post)}>
+                          Move to trash
+                        </DropdownMenuItem>
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <span>{pagination.total} post{pagination.total === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setPage(prev => prev - 1)}
+            disabled={loading || page <= 1}
+          >
+            <ChevronLeft className="h-4 w-4" />
+            Previous
+          </Button>
+          <span>Page {pagination.page} of {Math.max(1, pagination.totalPages)}</span>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setPage(prev => prev + 1)}
+            disabled={loading || page >= pagination.totalPages}
+          >
+            Next
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      <DeletePostDialog
+        post={deleteTarget}
+        onOpenChange={(open) => !open && setDeleteTarget(null)}
+        onDeleted={handleDeleted}
+      />
+    </div>
+  );
+}
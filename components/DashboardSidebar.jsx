@@ -0,0 +1,61 @@
+'use client';
+
+import Link from 'next/link';
+import { usePathname } from 'next/navigation';
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarMenu,
+  SidebarMenuButton,
+  SidebarMenuItem,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { FileText, PenSquare, Trash2, Users, Globe } from 'lucide-react';
+import { hasCapability } from '@/lib/permissions';
+
+const NAV_ITEMS = [
+  { href: '/dashboard', label: 'Posts', icon: FileText },
+  { href: '/dashboard/posts/new', label: 'New post', icon: PenSquare },
+  { href: '/dashboard/trash', label: 'Trash', icon: Trash2 },
+];
+
+export default function DashboardSidebar({ role }) {
+  const pathname = usePathname();
+
+  const items = [
+    ...NAV_ITEMS,
+    ...(hasCapability(role, 'user:manage') ? [{ href: '/admin/users', label: 'Users', icon: Users }] : []),
+    { href: '/', label: 'View blog', icon: Globe },
+  ];
+
+  return (
+    <>
+      {/* Sits below the sticky site header instead of covering it */}
+      <Sidebar className="top-16 h-[calc(100svh-4rem)]">
+        <SidebarContent>
+          <SidebarGroup>
+            <SidebarGroupLabel>Dashboard</SidebarGroupLabel>
+            <SidebarGroupContent>
+              <SidebarMenu>
+                {items.map(item => (
+                  <SidebarMenuItem key={item.href}>
+                    <SidebarMenuButton asChild isActive={pathname === item.href}>
+                      <Link href={item.href}>
+                        <item.icon />
+                        <span>{item.label}</span>
+                      </Link>
+                    </SidebarMenuButton>
+                  </SidebarMenuItem>
+                ))}
+              </SidebarMenu>
+            </SidebarGroupContent>
+          </SidebarGroup>
+        </SidebarContent>
+      </Sidebar>
+      <SidebarTrigger className="fixed left-2 top-[4.5rem] z-20 md:hidden" />
+    </>
+  );
+}
@@ -0,0 +1,198 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Loader2, RotateCcw, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+
+export default function DashboardTrashTable({ showAuthor, canPurge }) {
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(null);
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+  const [emptying, setEmptying] = useState(false);
+
+  const loadPosts = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/api/dashboard/trash');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load trash');
+      }
+
+      setPosts(data.data);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPosts();
+  }, [loadPosts]);
+
+  const handleRestore = async (post) => {
+    setRestoring(post.id);
+
+    try {
+      const response = await apiFetch(`/api/posts/${post.slug}/restore`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to restore post');
+      }
+
+      toast.success(data.message);
+      setPosts(prev => prev.filter(item => item.id !== post.id));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  const handleEmpty = async () => {
+    setEmptying(true);
+
+    try {
+      const response = await apiFetch('/api/dashboard/trash', { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to empty trash');
+      }
+
+      toast.success(data.message);
+      setConfirmEmpty(false);
+      await loadPosts();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setEmptying(false);
+    }
+  };
+
+  const columnCount = showAuthor ? 5 : 4;
+
+  return (
+    <div className="space-y-4">
+      {canPurge && (
+        <div className="flex justify-end">
+          <Button
+            variant="destructive"
+            onClick={() => setConfirmEmpty(true)}
+            disabled={loading || posts.length === 0}
+          >
+            <Trash2 className="mr-2 h-4 w-4" />
+            Empty trash
+          </Button>
+        </div>
+      )}
+
+      <div className="rounded-lg border bg-white">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Title</TableHead>
+              {showAuthor && <TableHead>Author</TableHead>}
+              <TableHead>Deleted</TableHead>
+              <TableHead>Purged on</TableHead>
+              <TableHead className="w-28" />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {loading && posts.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={columnCount} className="py-10 text-center">
+                  <Loader2 className="mx-auto h-5 w-5 animate-spin text-gray-400" />
+                </TableCell>
+              </TableRow>
+            ) : posts.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={columnCount} className="py-10 text-center text-gray-500">
+                  The trash is empty
+                </TableCell>
+              </TableRow>
+            ) : posts.map(post => (
+              <TableRow key={post.id}>
+                <TableCell>
+                  <span className="font-medium text-gray-900">{post.title}</span>
+                  <p className="text-sm text-gray-500">/{post.slug}</p>
+                </TableCell>
+                {showAuthor && (
+                  <TableCell className="text-sm text-gray-700">
+                    {post.author?.name || 'No author'}
+                  </TableCell>
+                )}
+                <TableCell className="text-sm text-gray-500">
+                  {new Date(post.deleted_at).toLocaleDateString()}
+                  {post.deleted_by_user && (
+                    <p className="text-xs">by {post.deleted_by_user.name}</p>
+                  )}
+                </TableCell>
+                <TableCell className="text-sm text-gray-500">
+                  {new Date(post.purge_at).toLocaleDateString()}
+                </TableCell>
+                <TableCell>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleRestore(post)}
+                    disabled={restoring === post.id}
+                  >
+                    {restoring === post.id
+                      ? <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      : <RotateCcw className="mr-2 h-4 w-4" />}
+                    Restore
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+
+      <Dialog open={confirmEmpty} onOpenChange={setConfirmEmpty}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Empty the trash?</DialogTitle>
+            <DialogDescription>
+              {posts.length === 1 ? 'The post' : `All ${posts.length} posts`} in the trash, with their
+              comments and history, are deleted permanently. This cannot be undone.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="ghost" onClick={() => setConfirmEmpty(false)} disabled={emptying}>
+              Cancel
+            </Button>
+            <Button variant="destructive" onClick={handleEmpty} disabled={emptying}>
+              {emptying && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Delete permanently
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+
+const COMMENT_OPTIONS = [
+  { value: 'anonymize', label: 'Keep them, shown without my name' },
+  { value: 'delete', label: 'Delete them' },
+];
+
+const POST_OPTIONS = [
+  { value: 'unpublish', label: 'Unpublish them and leave them for the editors' },
+  { value: 'transfer', label: 'Transfer them to another author' },
+  { value: 'delete', label: 'Delete them' },
+];
+
+const ACTION_LABELS = {
+  anonymize: 'anonymized',
+  delete: 'deleted',
+  unpublish: 'unpublished',
+  transfer: 'transferred',
+};
+
+function OptionGroup({ name, options, value, onChange, disabled }) {
+  return (
+    <RadioGroup value={value} onValueChange={onChange} disabled={disabled}>
+      {options.map(option => (
+        <div key={option.value} className="flex items-center gap-2">
+          <RadioGroupItem id={`${name}-${option.value}`} value={option.value} />
+          <Label htmlFor={`${name}-${option.value}`} className="font-normal">
+            {option.label}
+          </Label>
+        </div>
+      ))}
+    </RadioGroup>
+  );
+}
+
+export default function DeleteAccountForm({ deletion, hasPassword, postCount }) {
+  const router = useRouter();
+  const [formData, setFormData] = useState({
+    commentsAction: 'anonymize',
+    postsAction: 'unpublish',
+    transferTo: '',
+    password: '',
+  });
+  const [loading, setLoading] = useState(false);
+
+  const setField = (name, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/api/users/me/deletion', {
+        method: 'POST',
+        body: {
+          ...formData,
+          // Nothing to hand over without posts
+          postsAction: postCount > 0 ? formData.postsAction : 'delete',
+        },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to schedule account deletion');
+      }
+
+      toast.success(data.message);
+      setField('password', '');
+      router.refresh();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/api/users/me/deletion', { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel account deletion');
+      }
+
+      toast.success(data.message);
+      router.refresh();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (deletion) {
+    return (
+      <Card className="border-red-200">
+        <CardHeader>
+          <CardTitle>Account scheduled for deletion</CardTitle>
+          <CardDescription>
+            Your account will be deleted on {new Date(deletion.scheduled_for).toLocaleString()}.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Your comments will be {ACTION_LABELS[deletion.comments_action]} and your posts will be{' '}
+            {ACTION_LABELS[deletion.posts_action]}
+            {deletion.transfer_user && ` to ${deletion.transfer_user.name || deletion.transfer_user.email}`}.
+          </p>
+          <Button variant="outline" onClick={handleCancel} disabled={loading}>
+            {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Keep my account
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="border-red-200">
+      <CardHeader>
+        <CardTitle>Delete account</CardTitle>
+        <CardDescription>
+          Your account is deleted after a grace period. You can cancel from this page until then.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div className="space-y-3">
+            <Label>Your comments</Label>
+            <OptionGroup
+              name="commentsAction"
+              options={COMMENT_OPTIONS}
+              value={formData.commentsAction}
+              onChange={value => setField('commentsAction', value)}
+              disabled={loading}
+            />
+          </div>
+
+          {postCount > 0 && (
+            <div className="space-y-3">
+              <Label>Your {postCount} post{postCount === 1 ? '' : 's'}</Label>
+              <OptionGroup
+                name="postsAction"
+                options={POST_OPTIONS}
+                value={formData.postsAction}
+                onChange={value => setField('postsAction', value)}
+                disabled={loading}
+              />
+              {formData.postsAction === 'transfer' && (
+                <Input
+                  type="email"
+                  placeholder="Email of the author who receives your posts"
+                  value={formData.transferTo}
+                  onChange={e => setField('transferTo', e.target.value)}
+                  required
+                  disabled={loading}
+                />
+              )}
+            </div>
+          )}
+
+          {hasPassword && (
+            <div className="space-y-2">
+              <Label htmlFor="deletePassword">Password</Label>
+              <Input
+                id="deletePassword"
+                type="password"
+                autoComplete="current-password"
+                value={formData.password}
+                onChange={e => setField('password', e.target.value)}
+                required
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          <Alert variant="destructive">
+            <AlertDescription>
+              Once the grace period ends your profile, sign-in methods and API keys are removed for good.
+              Download your data first if you want a copy.
+            </AlertDescription>
+          </Alert>
+
+          <Button type="submit" variant="destructive" disabled={loading}>
+            {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Delete my account
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,118 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+import { USER_ROLES } from '@/lib/validation';
+import { hasCapability } from '@/lib/permissions';
+
+const DELETE_POSTS = 'delete';
+
+export default function DeleteUserDialog({ user, onOpenChange, onDeleted }) {
+  const [postCount, setPostCount] = useState(null);
+  const [authors, setAuthors] = useState([]);
+  const [reassignTo, setReassignTo] = useState(DELETE_POSTS);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    setPostCount(null);
+    setReassignTo(DELETE_POSTS);
+
+    apiFetch(`/api/admin/users/${user.id}`)
+      .then(response => response.json())
+      .then(data => setPostCount(data.data?.post_count ?? 0))
+      .catch(() => setPostCount(0));
+
+    // Posts can go to anyone whose role can write posts
+    Promise.all(USER_ROLES.filter(role => hasCapability(role, 'post:create')).map(role =>
+      apiFetch(`/api/admin/users?role=${role}&pageSize=100`).then(response => response.json())
+    ))
+      .then(results => setAuthors(
+        results.flatMap(result => result.data || []).filter(candidate => candidate.id !== user.id)
+      ))
+      .catch(() => setAuthors([]));
+  }, [user]);
+
+  const handleDelete = async () => {
+    setLoading(true);
+
+    try {
+      const query = reassignTo === DELETE_POSTS ? '' : `?reassignTo=${encodeURIComponent(reassignTo)}`;
+      const response = await apiFetch(`/api/admin/users/${user.id}${query}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete user');
+      }
+
+      toast.success(data.message);
+      onDeleted();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!user} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Delete {user?.name || user?.email}?</DialogTitle>
+          <DialogDescription>
+            The account, its comments and API keys are permanently deleted. This cannot be undone.
+          </DialogDescription>
+        </DialogHeader>
+        {postCount === null ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+          </div>
+        ) : postCount > 0 && (
+          <div className="space-y-2">
+            <Label>
+              This user has {postCount} post{postCount === 1 ? '' : 's'}
+            </Label>
+            <Select value={reassignTo} onValueChange={setReassignTo} disabled={loading}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={DELETE_POSTS}>Delete their posts</SelectItem>
+                {authors.map(author => (
+                  <SelectItem key={author.id} value={author.id}>
+                    Reassign to {author.name || author.email}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+        <DialogFooter>
+          <Button variant="ghost" onClick={() => onOpenChange(false)} disabled={loading}>
+            Cancel
+          </Button>
+          <Button variant="destructive" onClick={handleDelete} disabled={loading || postCount === null}>
+            {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Delete user
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,151 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Link2, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+import { OAUTH_PROVIDERS, getProviderLabel, redirectToProvider } from '@/lib/oauth-client';
+
+export default function LinkedAccounts({ linkedProvider }) {
+  const [identities, setIdentities] = useState(null);
+  const [hasPassword, setHasPassword] = useState(true);
+  const [pending, setPending] = useState(null);
+
+  const loadIdentities = useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/users/me/identities');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load linked accounts');
+      }
+
+      setIdentities(data.data.identities);
+      setHasPassword(data.data.hasPassword);
+    } catch (error) {
+      toast.error(error.message);
+      setIdentities([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadIdentities();
+  }, [loadIdentities]);
+
+  useEffect(() => {
+    if (linkedProvider) {
+      toast.success(`${getProviderLabel(linkedProvider)} account linked`);
+    }
+  }, [linkedProvider]);
+
+  const handleLink = async (provider) => {
+    setPending(provider);
+
+    try {
+      // Marks the next OAuth round trip as a link for this account
+      const response = await apiFetch('/api/users/me/identities', { method: 'POST' });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to start linking');
+      }
+
+      const error = await redirectToProvider(provider, { link: true, next: '/settings/security' });
+      if (error) {
+        throw new Error(error);
+      }
+    } catch (error) {
+      toast.error(error.message);
+      setPending(null);
+    }
+  };
+
+  const handleUnlink = async (identity) => {
+    setPending(identity.provider);
+
+    try {
+      const response = await apiFetch(`/api/users/me/identities/${identity.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to unlink provider');
+      }
+
+      toast.success(data.message);
+      await loadIdentities();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const providers = [...new Set([...OAUTH_PROVIDERS, ...(identities || []).map(identity => identity.provider)])];
+
+  if (identities && providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Link2 className="h-5 w-5 text-blue-600" />
+          Linked accounts
+        </CardTitle>
+        <CardDescription>
+          Sign in with another provider instead of your password.
+          {!hasPassword && ' Your account has no password, so at least one provider must stay linked.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {!identities ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <ul className="divide-y">
+            {providers.map((provider) => {
+              const identity = identities.find(item => item.provider === provider);
+
+              return (
+                <li key={provider} className="flex items-center justify-between gap-4 py-3">
+                  <div>
+                    <p className="font-medium text-gray-900">{getProviderLabel(provider)}</p>
+                    <p className="text-sm text-gray-500">
+                      {identity
+                        ? `${identity.email || 'Linked'} · linked ${new Date(identity.created_at).toLocaleDateString()}`
+                        : 'Not linked'}
+                    </p>
+                  </div>
+                  {identity ? (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={!!pending || (!hasPassword && identities.length === 1)}
+                      onClick={() => handleUnlink(identity)}
+                    >
+                      {pending === provider && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                      Unlink
+                    </Button>
+                  ) : (
+                    <Button
+                      size="sm"
+                      disabled={!!pending || !OAUTH_PROVIDERS.includes(provider)}
+                      onClick={() => handleLink(provider)}
+                    >
+                      {pending === provider && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                      Link
+                    </Button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
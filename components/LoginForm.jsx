@@ -0,0 +1,320 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { toast } from 'sonner';
+import { LogIn, Loader2, ShieldCheck } from 'lucide-react';
+import TwoFactorCodeInput from '@/components/TwoFactorCodeInput';
+import TwoFactorEnrollment from '@/components/TwoFactorEnrollment';
+import OAuthButtons from '@/components/OAuthButtons';
+import { hasCapability } from '@/lib/permissions';
+import { getSafeReturnPath } from '@/lib/request';
+
+export default function LoginForm() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  // OAuth sign-ins of two-factor accounts arrive here at a later step, with the challenge
+  // in an httpOnly cookie the 2FA endpoints read when no challengeToken is sent
+  const initialStep = ['verify', 'enroll'].includes(searchParams.get('step'))
+    ? searchParams.get('step')
+    : 'credentials';
+  const [formData, setFormData] = useState({
+    email: '',
+    password: '',
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // 'credentials', then 'verify' for accounts with 2FA or 'enroll' when an admin requires it
+  const [step, setStep] = useState(initialStep);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setError(null);
+  };
+
+  const finishLogin = (user) => {
+    toast.success('Login successful!');
+
+    // Back to the page that asked for a login, otherwise based on role
+    router.push(getSafeReturnPath(searchParams.get('next'), hasCapability(user.role, 'post:create') ? '/dashboard' : '/'));
+    router.refresh();
+  };
+
+  const handleVerify = async (e) => {
+    e?.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/auth/2fa/verify', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(
+          useRecoveryCode ? { challengeToken, recoveryCode } : { challengeToken, code }
+        ),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Verification failed');
+      }
+
+      finishLogin(data.user);
+    } catch (err) {
+      setError(err.message || 'An error occurred during verification');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBackToCredentials = () => {
+    router.replace('/login');
+    setStep('credentials');
+    setChallengeToken(null);
+    setCode('');
+    setRecoveryCode('');
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(formData),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Login failed');
+      }
+
+      if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+        setChallengeToken(data.challengeToken);
+        setStep(data.twoFactorRequired ? 'verify' : 'enroll');
+        return;
+      }
+
+      finishLogin(data.user);
+    } catch (err) {
+      console.error('Login error:', err);
+      setError(err.message || 'An error occurred during login');
+      toast.error(err.message || 'Login failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (step === 'enroll') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+        <Card className="w-full max-w-md">
+          <CardHeader className="space-y-1">
+            <div className="flex items-center justify-center mb-4">
+              <div className="h-12 w-12 rounded-full bg-blue-600 flex items-center justify-center">
+                <ShieldCheck className="h-6 w-6 text-white" />
+              </div>
+            </div>
+            <CardTitle className="text-2xl text-center">Set up two-factor authentication</CardTitle>
+            <CardDescription className="text-center">
+              An administrator requires two-factor authentication for your account
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <TwoFactorEnrollment challengeToken={challengeToken} onComplete={finishLogin} />
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (step === 'verify') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+        <Card className="w-full max-w-md">
+          <CardHeader className="space-y-1">
+            <div className="flex items-center justify-center mb-4">
+              <div className="h-12 w-12 rounded-full bg-blue-600 flex items-center justify-center">
+                <ShieldCheck className="h-6 w-6 text-white" />
+              </div>
+            </div>
+            <CardTitle className="text-2xl text-center">Two-factor authentication</CardTitle>
+            <CardDescription className="text-center">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {error && (
+              <Alert variant="destructive" className="mb-4">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+            <form onSubmit={handleVerify} className="space-y-4">
+              {useRecoveryCode ? (
+                <div className="space-y-2">
+                  <Label htmlFor="recoveryCode">Recovery code</Label>
+                  <Input
+                    id="recoveryCode"
+                    placeholder="xxxxx-xxxxx"
+                    value={recoveryCode}
+                    onChange={(e) => setRecoveryCode(e.target.value)}
+                    autoComplete="off"
+                    required
+                    disabled={loading}
+                  />
+                </div>
+              ) : (
+                <TwoFactorCodeInput
+                  value={code}
+                  onChange={setCode}
+                  disabled={loading}
+                />
+              )}
+              <Button
+                type="submit"
+                className="w-full"
+                disabled={loading || (useRecoveryCode ? !recoveryCode : code.length !== 6)}
+              >
+                {loading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Verifying...
+                  </>
+                ) : (
+                  'Verify'
+                )}
+              </Button>
+            </form>
+            <div className="mt-4 flex items-center justify-between text-sm">
+              <button
+                type="button"
+                className="text-blue-600 hover:underline"
+                onClick={() => {
+                  setUseRecoveryCode(prev => !prev);
+                  setError(null);
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                className="text-gray-600 hover:underline"
+                onClick={handleBackToCredentials}
+              >
+                Back to sign in
+              </button>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <div className="flex items-center justify-center mb-4">
+            <div className="h-12 w-12 rounded-full bg-blue-600 flex items-center justify-center">
+              <LogIn className="h-6 w-6 text-white" />
+            </div>
+          </div>
+          <CardTitle className="text-2xl text-center">Welcome back</CardTitle>
+          <CardDescription className="text-center">
+            Enter your credentials to access your account
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {error && (
+            <Alert variant="destructive" className="mb-4">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="email">Email</Label>
+              <Input
+                id="email"
+                name="email"
+                type="email"
+                placeholder="you@example.com"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                disabled={loading}
+              />
+            </div>
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="password">Password</Label>
+                <Link href="/forgot-password" className="text-sm text-blue-600 hover:underline">
+                  Forgot password?
+                </Link>
+              </div>
+              <Input
+                id="password"
+                name="password"
+                type="password"
+                placeholder="••••••••"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                disabled={loading}
+              />
+            </div>
+            <Button 
+              type="submit" 
+              className="w-full" 
+              disabled={loading}
+            >
+              {loading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Signing in...
+                </>
+              ) : (
+                'Sign in'
+              )}
+            </Button>
+          </form>
+          <div className="mt-4">
+            <OAuthButtons disabled={loading} />
+          </div>
+          <div className="mt-4 text-center text-sm">
+            <span className="text-gray-600">Don't have an account? </span>
+            <Link href="/register" className="text-blue-600 hover:underline font-medium">
+              Sign up
+            </Link>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,52 @@
+'use client';
+
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { OAUTH_PROVIDERS, getProviderLabel, redirectToProvider } from '@/lib/oauth-client';
+
+export default function OAuthButtons({ disabled }) {
+  const [pendingProvider, setPendingProvider] = useState(null);
+
+  if (OAUTH_PROVIDERS.length === 0) {
+    return null;
+  }
+
+  const handleClick = async (provider) => {
+    setPendingProvider(provider);
+    const error = await redirectToProvider(provider);
+
+    if (error) {
+      toast.error(error);
+      setPendingProvider(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="relative">
+        <div className="absolute inset-0 flex items-center">
+          <span className="w-full border-t" />
+        </div>
+        <div className="relative flex justify-center text-xs uppercase">
+          <span className="bg-white px-2 text-gray-500">Or continue with</span>
+        </div>
+      </div>
+      <div className="grid gap-2">
+        {OAUTH_PROVIDERS.map(provider => (
+          <Button
+            key={provider}
+            type="button"
+            variant="outline"
+            disabled={disabled || !!pendingProvider}
+            onClick={() => handleClick(provider)}
+          >
+            {pendingProvider === provider && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            {getProviderLabel(provider)}
+          </Button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,564 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import RichTextEditor from '@/components/RichTextEditor';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+
+const NO_CATEGORY = 'none';
+
+const AUTOSAVE_DELAY_MS = 3000;
+
+const AUTOSAVE_LABELS = {
+  saving: 'Saving draft…',
+  saved: 'Draft saved',
+  failed: 'Autosave failed, retrying',
+};
+
+const FIELD_LABELS = {
+  title: 'title',
+  slug: 'slug',
+  slug_pinned: 'slug',
+  excerpt: 'excerpt',
+  content: 'content',
+  content_format: 'content format',
+  featured_image: 'featured image',
+  category_id: 'category',
+  tags: 'tags',
+};
+
+const FORMAT_OPTIONS = [
+  { value: 'html', label: 'Rich text' },
+  { value: 'markdown', label: 'Markdown' },
+];
+
+const STATUS_OPTIONS = [
+  { value: 'draft', label: 'Draft' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'published', label: 'Published' },
+];
+
+/**
+ * Format an ISO timestamp for a datetime-local input, in the browser's time zone
+ */
+function toLocalInputValue(iso) {
+  if (!iso) {
+    return '';
+  }
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Form state for a post as loaded from the API
+ */
+function toFormData(post) {
+  return {
+    title: post?.title || '',
+    slug: post?.slug || '',
+    slug_pinned: post?.slug_pinned || false,
+    keep_slug: false,
+    excerpt: post?.excerpt || '',
+    content: post?.content || '',
+    content_format: post?.content_format || 'html',
+    featured_image: post?.featured_image || '',
+    category_id: post?.category_id || NO_CATEGORY,
+    tags: (post?.post_tags || []).map(({ tag }) => tag.id),
+    status: post?.status || 'draft',
+    published_at: post?.status === 'scheduled' ? toLocalInputValue(post.published_at) : '',
+  };
+}
+
+/**
+ * Request body for everything but the schedule
+ * The slug is only sent when pinned; otherwise the server derives it from the title.
+ */
+function toContentBody(formData) {
+  return {
+    title: formData.title,
+    ...(formData.slug_pinned ? { slug: formData.slug } : { slug_pinned: false }),
+    keep_slug: formData.keep_slug,
+    excerpt: formData.excerpt,
+    content: formData.content,
+    content_format: formData.content_format,
+    featured_image: formData.featured_image || null,
+    category_id: formData.category_id === NO_CATEGORY ? null : formData.category_id,
+    tags: formData.tags,
+  };
+}
+
+export default function PostEditor({ post, savedTitle, categories, tags, canPublish }) {
+  const router = useRouter();
+  const isNew = !post;
+  const [formData, setFormData] = useState(() => toFormData(post));
+  const [loading, setLoading] = useState(false);
+  const [htmlSource, setHtmlSource] = useState(false);
+  const [autosaveState, setAutosaveState] = useState(null);
+  // A newer server copy that the author has not yet chosen to keep or overwrite; autosave
+  // waits while it is set, even after the dialog is dismissed
+  const [conflict, setConflict] = useState(null);
+  const [conflictOpen, setConflictOpen] = useState(false);
+  const [editorKey, setEditorKey] = useState(0);
+
+  // The server copy the form was last loaded from or saved to; its version is sent as If-Match
+  const baseRef = useRef(post);
+  const savedBodyRef = useRef(JSON.stringify(toContentBody(formData)));
+  // Title the slug follows; autosaves store the title but leave the slug until an explicit save
+  const slugTitle = savedTitle ?? post?.title;
+
+  const setField = (name, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleChange = (e) => setField(e.target.name, e.target.value);
+
+  const toggleTag = (tagId, checked) => {
+    setField('tags', checked
+      ? [...formData.tags, tagId]
+      : formData.tags.filter(id => id !== tagId));
+  };
+
+  /**
+   * PUT the form to the post, guarded by the version it was based on
+   * @returns {Promise<Object|null>} Saved post, or null after a conflict
+   */
+  const updatePost = async (body, { autosave = false } = {}) => {
+    const base = baseRef.current;
+    const response = await apiFetch(`/api/posts/${base.slug}${autosave ? '?autosave=true' : ''}`, {
+      method: 'PUT',
+      headers: { 'If-Match': `"${base.version}"` },
+      body,
+    });
+    const data = await response.json();
+
+    if (response.status === 409) {
+      setConflict(data.data);
+      setConflictOpen(true);
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save post');
+    }
+
+    baseRef.current = data.data;
+    return data;
+  };
+
+  const save = async () => {
+    setLoading(true);
+
+    try {
+      const body = toContentBody(formData);
+      const base = baseRef.current;
+
+      // Only send the schedule when it changed, so saving content never re-publishes or reschedules
+      const scheduleChanged = isNew
+        || formData.status !== base.status
+        || (formData.status === 'scheduled' && formData.published_at !== toLocalInputValue(base.published_at));
+
+      if (scheduleChanged) {
+        body.status = formData.status;
+        if (formData.status === 'scheduled') {
+          body.published_at = formData.published_at ? new Date(formData.published_at).toISOString() : null;
+        }
+      }
+
+      let data;
+      if (isNew) {
+        const response = await apiFetch('/api/posts', { method: 'POST', body });
+        data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to save post');
+        }
+      } else {
+        data = await updatePost(body);
+        if (!data) {
+          return;
+        }
+        savedBodyRef.current = JSON.stringify(toContentBody(formData));
+      }
+
+      toast.success(data.message);
+
+      // A new post or a changed title gives the post a new slug
+      if (isNew || data.data.slug !== post.slug) {
+        router.replace(`/dashboard/posts/${data.data.slug}/edit`);
+      }
+      router.refresh();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save();
+  };
+
+  // Drafts save themselves a few seconds after the author stops typing. Published and
+  // scheduled posts wait for an explicit save so half-finished edits never go live.
+  const autosaveEnabled = !isNew && post.status === 'draft' && formData.status === 'draft';
+
+  useEffect(() => {
+    if (!autosaveEnabled || conflict || loading || autosaveState === 'saving') {
+      return;
+    }
+
+    const body = toContentBody(formData);
+    if (JSON.stringify(body) === savedBodyRef.current) {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      setAutosaveState('saving');
+
+      try {
+        const data = await updatePost(body, { autosave: true });
+        if (!data) {
+          setAutosaveState(null);
+          return;
+        }
+
+        savedBodyRef.current = JSON.stringify(body);
+        setAutosaveState('saved');
+      } catch (err) {
+        setAutosaveState('failed');
+      }
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [formData, autosaveEnabled, conflict, loading, autosaveState]);
+
+  const handleKeepMine = () => {
+    // Take their version number so the next save overwrites their changes
+    baseRef.current = conflict;
+    setConflict(null);
+    setConflictOpen(false);
+    save();
+  };
+
+  const handleLoadTheirs = () => {
+    const theirs = toFormData(conflict);
+    const previousSlug = baseRef.current.slug;
+    baseRef.current = conflict;
+    savedBodyRef.current = JSON.stringify(toContentBody(theirs));
+    setFormData(theirs);
+    setEditorKey(key => key + 1);
+    setConflict(null);
+    setConflictOpen(false);
+    setAutosaveState(null);
+
+    if (conflict.slug !== previousSlug) {
+      window.history.replaceState(null, '', `/dashboard/posts/${conflict.slug}/edit`);
+    }
+  };
+
+  const conflictingFields = conflict
+    ? [...new Set(Object.entries(toContentBody(toFormData(conflict)))
+      .filter(([name, value]) => name in FIELD_LABELS
+        && JSON.stringify(value) !== JSON.stringify(toContentBody(formData)[name]))
+      .map(([name]) => FIELD_LABELS[name]))]
+    : [];
+
+  return (
+    <form onSubmit={handleSubmit} className="grid gap-6 lg:grid-cols-3">
+      <Card className="lg:col-span-2">
+        <CardContent className="space-y-4 pt-6">
+          <div className="space-y-2">
+            <Label htmlFor="title">Title</Label>
+            <Input
+              id="title"
+              name="title"
+              maxLength={200}
+              value={formData.title}
+              onChange={handleChange}
+              required
+              disabled={loading}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="excerpt">Excerpt</Label>
+            <Textarea
+              id="excerpt"
+              name="excerpt"
+              rows={2}
+              maxLength={300}
+              value={formData.excerpt}
+              onChange={handleChange}
+              disabled={loading}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <Label htmlFor="content">Content</Label>
+              <div className="flex items-center gap-2">
+                {formData.content_format === 'html' && (
+                  <ToggleGroup
+                    type="single"
+                    size="sm"
+                    variant="outline"
+                    value={htmlSource ? 'source' : 'visual'}
+                    onValueChange={value => value && setHtmlSource(value === 'source')}
+                    disabled={loading}
+                  >
+                    <ToggleGroupItem value="visual">Visual</ToggleGroupItem>
+                    <ToggleGroupItem value="source">HTML</ToggleGroupItem>
+                  </ToggleGroup>
+                )}
+                <Select
+                  value={formData.content_format}
+                  onValueChange={value => setField('content_format', value)}
+                  disabled={loading}
+                >
+                  <SelectTrigger className="h-8 w-32">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {FORMAT_OPTIONS.map(option => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            {formData.content_format === 'html' && !htmlSource ? (
+              <RichTextEditor
+                key={editorKey}
+                value={formData.content}
+                onChange={value => setField('content', value)}
+                disabled={loading}
+              />
+            ) : (
+              <Textarea
+                id="content"
+                name="content"
+                rows={20}
+                className="font-mono text-sm"
+                value={formData.content}
+                onChange={handleChange}
+                required
+                disabled={loading}
+              />
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Publishing</CardTitle>
+            {!canPublish && (
+              <CardDescription>An editor will publish your post.</CardDescription>
+            )}
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <Label>Status</Label>
+              <Select
+                value={formData.status}
+                onValueChange={value => setField('status', value)}
+                disabled={loading || !canPublish}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {STATUS_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {formData.status === 'scheduled' && (
+              <div className="space-y-2">
+                <Label htmlFor="published_at">Publish at</Label>
+                <Input
+                  id="published_at"
+                  name="published_at"
+                  type="datetime-local"
+                  value={formData.published_at}
+                  onChange={handleChange}
+                  required
+                  disabled={loading}
+                />
+              </div>
+            )}
+
+            <Button type="submit" className="w-full" disabled={loading}>
+              {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              {isNew ? 'Create post' : 'Save changes'}
+            </Button>
+            {conflict && !conflictOpen ? (
+              <p className="text-center text-xs text-gray-500">
+                Someone else changed this post.{' '}
+                <button type="button" className="text-blue-600 hover:underline" onClick={() => setConflictOpen(true)}>
+                  Review
+                </button>
+              </p>
+            ) : autosaveEnabled && autosaveState && (
+              <p className="text-center text-xs text-gray-500">{AUTOSAVE_LABELS[autosaveState]}</p>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Details</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="slug">URL slug</Label>
+              <Input
+                id="slug"
+                name="slug"
+                maxLength={200}
+                placeholder="Generated from the title"
+                value={formData.slug}
+                onChange={handleChange}
+                disabled={loading || !formData.slug_pinned}
+              />
+              <div className="flex items-center gap-2">
+                <Checkbox
+                  id="slug_pinned"
+                  checked={formData.slug_pinned}
+                  onCheckedChange={checked => setField('slug_pinned', checked === true)}
+                  disabled={loading}
+                />
+                <Label htmlFor="slug_pinned" className="font-normal">
+                  Use a custom slug
+                </Label>
+              </div>
+              {!isNew && !formData.slug_pinned && formData.title !== slugTitle && (
+                <div className="flex items-center gap-2">
+                  <Checkbox
+                    id="keep_slug"
+                    checked={formData.keep_slug}
+                    onCheckedChange={checked => setField('keep_slug', checked === true)}
+                    disabled={loading}
+                  />
+                  <Label htmlFor="keep_slug" className="font-normal">
+                    Keep the current slug for the new title
+                  </Label>
+                </div>
+              )}
+              {!isNew && (
+                <p className="text-xs text-gray-500">Links to earlier slugs redirect to this post.</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="featured_image">Featured image URL</Label>
+              <Input
+                id="featured_image"
+                name="featured_image"
+                type="url"
+                placeholder="https://example.com/cover.png"
+                value={formData.featured_image}
+                onChange={handleChange}
+                disabled={loading}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label>Category</Label>
+              <Select
+                value={formData.category_id}
+                onValueChange={value => setField('category_id', value)}
+                disabled={loading}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NO_CATEGORY}>No category</SelectItem>
+                  {categories.map(category => (
+                    <SelectItem key={category.id} value={category.id}>
+                      {category.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {tags.length > 0 && (
+              <div className="space-y-2">
+                <Label>Tags</Label>
+                <div className="grid grid-cols-2 gap-2">
+                  {tags.map(tag => (
+                    <div key={tag.id} className="flex items-center gap-2">
+                      <Checkbox
+                        id={`tag-${tag.id}`}
+                        checked={formData.tags.includes(tag.id)}
+                        onCheckedChange={checked => toggleTag(tag.id, checked === true)}
+                        disabled={loading}
+                      />
+                      <Label htmlFor={`tag-${tag.id}`} className="font-normal">
+                        {tag.name}
+                      </Label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <Dialog open={!!conflict && conflictOpen} onOpenChange={setConflictOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Someone else changed this post</DialogTitle>
+            <DialogDescription>
+              {conflict && `It was saved at ${new Date(conflict.updated_at).toLocaleString()} while you were editing. `}
+              {conflictingFields.length > 0
+                ? `Their copy has a different ${conflictingFields.join(', ')}.`
+                : 'Their copy has the same content as yours.'}
+              {' '}Keep your version to overwrite theirs, or load theirs and lose your unsaved changes.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button type="button" variant="ghost" onClick={handleLoadTheirs} disabled={loading}>
+              Load their version
+            </Button>
+            <Button type="button" onClick={handleKeepMine} disabled={loading}>
+              Keep mine
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </form>
+  );
+}
@@ -0,0 +1,330 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { usePathname, useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { History, Loader2, RotateCcw } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  excerpt: 'Excerpt',
+  content: 'Content',
+};
+
+function DiffText({ changes }) {
+  return (
+    <pre className="whitespace-pre-wrap break-words rounded-md border bg-gray-50 p-3 text-sm font-sans">
+      {changes.map((change, index) => (
+        <span
+          key={index}
+          className={
+            change.added
+              ? 'bg-green-100 text-green-900'
+              : change.removed
+                ? 'bg-red-100 text-red-900 line-through'
+                : 'text-gray-700'
+          }
+        >
+          {change.value}
+        </span>
+      ))}
+    </pre>
+  );
+}
+
+function RevisionDiff({ diff }) {
+  const changedFields = Object.entries(diff.fields).filter(([, field]) => field.changed);
+  const tagsChanged = diff.tags.added.length > 0 || diff.tags.removed.length > 0;
+
+  if (changedFields.length === 0 && !diff.category.changed && !diff.featuredImage.changed && !tagsChanged) {
+    return <p className="text-sm text-gray-500">These revisions are identical.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {changedFields.map(([name, field]) => (
+        <div key={name} className="space-y-1">
+          <p className="text-sm font-medium text-gray-900">{FIELD_LABELS[name]}</p>
+          <DiffText changes={field.changes} />
+        </div>
+      ))}
+
+      {diff.category.changed && (
+        <p className="text-sm text-gray-700">
+          Category: {diff.category.before?.name || 'none'} → {diff.category.after?.name || 'none'}
+        </p>
+      )}
+
+      {diff.featuredImage.changed && (
+        <p className="text-sm text-gray-700">Featured image changed</p>
+      )}
+
+      {tagsChanged && (
+        <div className="flex flex-wrap items-center gap-1 text-sm text-gray-700">
+          Tags:
+          {diff.tags.added.map(tag => (
+            <Badge key={`added-${tag.id}`} className="bg-green-100 text-green-900 hover:bg-green-100">+ {tag.name}</Badge>
+          ))}
+          {diff.tags.removed.map(tag => (
+            <Badge key={`removed-${tag.id}`} className="bg-red-100 text-red-900 hover:bg-red-100">− {tag.name}</Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function PostHistoryPanel({ slug }) {
+  const router = useRouter();
+  const pathname = usePathname();
+  const [revisions, setRevisions] = useState(null);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [mode, setMode] = useState('line');
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const loadRevisions = useCallback(async () => {
+    try {
+      const response = await apiFetch(`/api/posts/${slug}/revisions`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load revisions');
+      }
+
+      setRevisions(data.data);
+
+      // Compare the latest save with the one before it by default
+      if (data.data.length > 0) {
+        setTo(String(data.data[0].revision_number));
+        setFrom(String(data.data[Math.min(1, data.data.length - 1)].revision_number));
+      }
+    } catch (error) {
+      toast.error(error.message);
+      setRevisions([]);
+    }
+  }, [slug]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  useEffect(() => {
+    if (!from || !to || from === to) {
+      setDiff(null);
+      return;
+    }
+
+    let cancelled = false;
+    setDiffLoading(true);
+
+    apiFetch(`/api/posts/${slug}/revisions/diff?from=${from}&to=${to}&mode=${mode}`)
+      .then(async (response) => {
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to compare revisions');
+        }
+
+        if (!cancelled) {
+          setDiff(data.data);
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          toast.error(error.message);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setDiffLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, from, to, mode]);
+
+  const handleRestore = async () => {
+    setRestoring(true);
+
+    try {
+      const response = await apiFetch(
+        `/api/posts/${slug}/revisions/${restoreTarget.revision_number}/restore`,
+        { method: 'POST' }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to restore revision');
+      }
+
+      toast.success(data.message);
+      setRestoreTarget(null);
+
+      // A restored title moves the post to a new slug
+      if (data.data.slug !== slug) {
+        router.replace(pathname.replace(`/${slug}/`, `/${data.data.slug}/`));
+      } else {
+        await loadRevisions();
+      }
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const revisionLabel = (revision) =>
+    `#${revision.revision_number} · ${new Date(revision.created_at).toLocaleString()}`;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <History className="h-5 w-5 text-blue-600" />
+          History
+        </CardTitle>
+        <CardDescription>Every save is kept. Compare any two versions or bring an old one back.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {!revisions ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500">No revisions yet.</p>
+        ) : (
+          <>
+            <ul className="divide-y max-h-72 overflow-y-auto">
+              {revisions.map((revision, index) => (
+                <li key={revision.id} className="flex items-center justify-between gap-4 py-3">
+                  <div className="min-w-0">
+                    <p className="truncate font-medium text-gray-900">
+                      #{revision.revision_number} {revision.title}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {revision.editor?.name || revision.editor?.email || 'Deleted user'}
+                      {' · '}
+                      {new Date(revision.created_at).toLocaleString()}
+                      {revision.restored_from && ` · restored from #${revision.restored_from}`}
+                      {revision.autosave && ' · autosave'}
+                    </p>
+                  </div>
+                  {index === 0 ? (
+                    <Badge variant="secondary">Current</Badge>
+                  ) : (
+                    <Button variant="outline" size="sm" onClick={() => setRestoreTarget(revision)}>
+                      <RotateCcw className="mr-2 h-4 w-4" />
+                      Restore
+                    </Button>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {revisions.length > 1 && (
+              <div className="space-y-4">
+                <div className="grid gap-4 sm:grid-cols-3">
+                  <div className="space-y-2">
+                    <Label>From</Label>
+                    <Select value={from} onValueChange={setFrom}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {revisions.map(revision => (
+                          <SelectItem key={revision.id} value={String(revision.revision_number)}>
+                            {revisionLabel(revision)}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label>To</Label>
+                    <Select value={to} onValueChange={setTo}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {revisions.map(revision => (
+                          <SelectItem key={revision.id} value={String(revision.revision_number)}>
+                            {revisionLabel(revision)}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Compare by</Label>
+                    <ToggleGroup
+                      type="single"
+                      variant="outline"
+                      value={mode}
+                      onValueChange={value => value && setMode(value)}
+                    >
+                      <ToggleGroupItem value="line">Lines</ToggleGroupItem>
+                      <ToggleGroupItem value="word">Words</ToggleGroupItem>
+                    </ToggleGroup>
+                  </div>
+                </div>
+
+                {from === to ? (
+                  <p className="text-sm text-gray-500">Pick two different revisions to compare.</p>
+                ) : diffLoading || !diff ? (
+                  <div className="flex justify-center py-4">
+                    <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+                  </div>
+                ) : (
+                  <RevisionDiff diff={diff} />
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+
+      <Dialog open={!!restoreTarget} onOpenChange={open => !open && setRestoreTarget(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Restore revision #{restoreTarget?.revision_number}?</DialogTitle>
+            <DialogDescription>
+              The title, content, excerpt, image, category and tags go back to this version. The current
+              version stays in the history, and the post keeps its status.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="ghost" onClick={() => setRestoreTarget(null)} disabled={restoring}>
+              Cancel
+            </Button>
+            <Button onClick={handleRestore} disabled={restoring}>
+              {restoring && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Restore
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
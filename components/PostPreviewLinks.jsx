@@ -0,0 +1,174 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Copy, Eye, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+
+const EXPIRY_OPTIONS = [
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+];
+
+export default function PostPreviewLinks({ slug }) {
+  const [previews, setPreviews] = useState(null);
+  const [expiresInDays, setExpiresInDays] = useState('7');
+  const [newLink, setNewLink] = useState(null);
+  const [pending, setPending] = useState(null);
+
+  const loadPreviews = useCallback(async () => {
+    try {
+      const response = await apiFetch(`/api/posts/${slug}/previews`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load preview links');
+      }
+
+      setPreviews(data.data);
+    } catch (error) {
+      toast.error(error.message);
+      setPreviews([]);
+    }
+  }, [slug]);
+
+  useEffect(() => {
+    loadPreviews();
+  }, [loadPreviews]);
+
+  const handleCreate = async () => {
+    setPending('create');
+
+    try {
+      const response = await apiFetch(`/api/posts/${slug}/previews`, {
+        method: 'POST',
+        body: { expiresInDays: Number(expiresInDays) },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create preview link');
+      }
+
+      setNewLink(data.data.url);
+      await loadPreviews();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleRevoke = async (preview) => {
+    setPending(preview.jti);
+
+    try {
+      const response = await apiFetch(`/api/posts/${slug}/previews/${preview.jti}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revoke preview link');
+      }
+
+      toast.success(data.message);
+      await loadPreviews();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newLink);
+      toast.success('Preview link copied');
+    } catch (error) {
+      toast.error('Could not copy the preview link');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Eye className="h-5 w-5 text-blue-600" />
+          Preview links
+        </CardTitle>
+        <CardDescription>
+          Let reviewers read this post before it is published, without an account.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex gap-2">
+          <Select value={expiresInDays} onValueChange={setExpiresInDays}>
+            <SelectTrigger className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {EXPIRY_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button type="button" onClick={handleCreate} disabled={!!pending}>
+            {pending === 'create' && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Create link
+          </Button>
+        </div>
+
+        {newLink && (
+          <div className="space-y-2">
+            <Alert>
+              <AlertDescription>Copy this link now. It will not be shown again.</AlertDescription>
+            </Alert>
+            <div className="flex gap-2">
+              <Input readOnly value={newLink} onFocus={e => e.target.select()} className="font-mono text-xs" />
+              <Button type="button" variant="outline" onClick={handleCopy}>
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {!previews ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : previews.length === 0 ? (
+          <p className="text-sm text-gray-500">No active preview links.</p>
+        ) : (
+          <ul className="divide-y">
+            {previews.map(preview => (
+              <li key={preview.jti} className="flex items-center justify-between gap-4 py-3">
+                <p className="text-sm text-gray-700">
+                  Created by {preview.creator?.name || preview.creator?.email || 'a deleted user'}
+                  {' · '}
+                  expires {new Date(preview.expires_at).toLocaleString()}
+                </p>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleRevoke(preview)}
+                  disabled={!!pending}
+                >
+                  {pending === preview.jti && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  Revoke
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
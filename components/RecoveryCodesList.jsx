@@ -0,0 +1,37 @@
+'use client';
+
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Copy } from 'lucide-react';
+import { toast } from 'sonner';
+
+export default function RecoveryCodesList({ codes }) {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Could not copy the recovery codes');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <Alert>
+        <AlertDescription>
+          Save these recovery codes somewhere safe. Each code can be used once to sign in
+          if you lose access to your authenticator app. They will not be shown again.
+        </AlertDescription>
+      </Alert>
+      <ul className="grid grid-cols-2 gap-2 rounded-md bg-gray-50 p-4 font-mono text-sm">
+        {codes.map(code => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <Button type="button" variant="outline" className="w-full" onClick={handleCopy}>
+        <Copy className="mr-2 h-4 w-4" />
+        Copy codes
+      </Button>
+    </div>
+  );
+}
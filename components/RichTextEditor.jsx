@@ -0,0 +1,336 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { EditorContent, useEditor, useEditorState } from '@tiptap/react';
+import StarterKit from '@tiptap/starter-kit';
+import Image from '@tiptap/extension-image';
+import Youtube, { isValidYoutubeUrl } from '@tiptap/extension-youtube';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Toggle } from '@/components/ui/toggle';
+import { Separator } from '@/components/ui/separator';
+import { Kbd, KbdGroup } from '@/components/ui/kbd';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
+import {
+  Bold,
+  Code,
+  Heading2,
+  Heading3,
+  Image as ImageIcon,
+  Italic,
+  Link as LinkIcon,
+  List,
+  ListOrdered,
+  Minus,
+  Quote,
+  Redo,
+  SquareCode,
+  Strikethrough,
+  Underline,
+  Undo,
+  Youtube as YoutubeIcon,
+} from 'lucide-react';
+import { toast } from 'sonner';
+import { cleanPastedHtml } from '@/lib/paste-cleanup';
+
+// Formatting toggles, in toolbar order; keys are the editor's built-in shortcuts
+const FORMATS = [
+  { name: 'bold', label: 'Bold', icon: Bold, keys: ['Mod', 'B'], toggle: chain => chain.toggleBold() },
+  { name: 'italic', label: 'Italic', icon: Italic, keys: ['Mod', 'I'], toggle: chain => chain.toggleItalic() },
+  { name: 'underline', label: 'Underline', icon: Underline, keys: ['Mod', 'U'], toggle: chain => chain.toggleUnderline() },
+  { name: 'strike', label: 'Strikethrough', icon: Strikethrough, keys: ['Mod', 'Shift', 'S'], toggle: chain => chain.toggleStrike() },
+  { name: 'code', label: 'Inline code', icon: Code, keys: ['Mod', 'E'], toggle: chain => chain.toggleCode() },
+];
+
+const BLOCKS = [
+  { name: 'heading', attributes: { level: 2 }, label: 'Heading', icon: Heading2, keys: ['Mod', 'Alt', '2'], toggle: chain => chain.toggleHeading({ level: 2 }) },
+  { name: 'heading', attributes: { level: 3 }, label: 'Subheading', icon: Heading3, keys: ['Mod', 'Alt', '3'], toggle: chain => chain.toggleHeading({ level: 3 }) },
+  { name: 'bulletList', label: 'Bulleted list', icon: List, keys: ['Mod', 'Shift', '8'], toggle: chain => chain.toggleBulletList() },
+  { name: 'orderedList', label: 'Numbered list', icon: ListOrdered, keys: ['Mod', 'Shift', '7'], toggle: chain => chain.toggleOrderedList() },
+  { name: 'blockquote', label: 'Quote', icon: Quote, keys: ['Mod', 'Shift', 'B'], toggle: chain => chain.toggleBlockquote() },
+  { name: 'codeBlock', label: 'Code block', icon: SquareCode, keys: ['Mod', 'Alt', 'C'], toggle: chain => chain.toggleCodeBlock() },
+];
+
+const LINK_KEYS = ['Mod', 'K'];
+
+function Shortcut({ keys, modKey }) {
+  return (
+    <KbdGroup>
+      {keys.map(key => (
+        <Kbd key={key}>{key === 'Mod' ? modKey : key}</Kbd>
+      ))}
+    </KbdGroup>
+  );
+}
+
+function ToolbarTooltip({ label, keys, modKey, children }) {
+  return (
+    <Tooltip>
+      <TooltipTrigger asChild>{children}</TooltipTrigger>
+      <TooltipContent className="flex items-center gap-2">
+        {label}
+        {keys && <Shortcut keys={keys} modKey={modKey} />}
+      </TooltipContent>
+    </Tooltip>
+  );
+}
+
+/**
+ * Toolbar button that opens a small form asking for a URL, and optionally a caption
+ */
+function UrlPopover({ open, onOpenChange, icon: Icon, label, keys, modKey, active, disabled, placeholder, textLabel, initialUrl = '', onSubmit, onRemove }) {
+  const [url, setUrl] = useState(initialUrl);
+  const [text, setText] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setUrl(initialUrl);
+      setText('');
+    }
+  }, [open, initialUrl]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (onSubmit(url.trim(), text.trim()) !== false) {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Popover open={open} onOpenChange={onOpenChange}>
+      <ToolbarTooltip label={label} keys={keys} modKey={modKey}>
+        <PopoverTrigger asChild>
+          <Toggle size="sm" pressed={!!active} disabled={disabled} aria-label={label}>
+            <Icon />
+          </Toggle>
+        </PopoverTrigger>
+      </ToolbarTooltip>
+      <PopoverContent className="w-80">
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="space-y-2">
+            <Label htmlFor={`${label}-url`}>URL</Label>
+            <Input
+              id={`${label}-url`}
+              type="url"
+              value={url}
+              onChange={e => setUrl(e.target.value)}
+              placeholder={placeholder}
+              autoFocus
+              required
+            />
+          </div>
+          {textLabel && (
+            <div className="space-y-2">
+              <Label htmlFor={`${label}-text`}>{textLabel}</Label>
+              <Input id={`${label}-text`} value={text} onChange={e => setText(e.target.value)} />
+            </div>
+          )}
+          <div className="flex justify-end gap-2">
+            {onRemove && active && (
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => {
+                  onRemove();
+                  onOpenChange(false);
+                }}
+              >
+                Remove
+              </Button>
+            )}
+            <Button type="submit" size="sm">Apply</Button>
+          </div>
+        </form>
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+export default function RichTextEditor({ value, onChange, disabled }) {
+  const [modKey, setModKey] = useState('Ctrl');
+  const [openPopover, setOpenPopover] = useState(null);
+
+  useEffect(() => {
+    if (/Mac|iPhone|iPad/.test(navigator.platform)) {
+      setModKey('⌘');
+    }
+  }, []);
+
+  const editor = useEditor({
+    // Rendering on the server would mismatch the browser's first render
+    immediatelyRender: false,
+    extensions: [
+      StarterKit.configure({
+        // The post title is the page's only h1
+        heading: { levels: [2, 3, 4] },
+        link: { openOnClick: false, defaultProtocol: 'https' },
+      }),
+      Image,
+      Youtube.configure({ nocookie: true }),
+    ],
+    content: value,
+    editable: !disabled,
+    editorProps: {
+      attributes: {
+        class: 'prose max-w-none min-h-[24rem] px-3 py-2 focus:outline-none',
+      },
+      transformPastedHTML: cleanPastedHtml,
+    },
+    onUpdate: ({ editor: current }) => onChange(current.getHTML()),
+  });
+
+  useEffect(() => {
+    editor?.setEditable(!disabled);
+  }, [editor, disabled]);
+
+  const state = useEditorState({
+    editor,
+    selector: ({ editor: current }) => {
+      if (!current) {
+        return null;
+      }
+      return {
+        active: [...FORMATS, ...BLOCKS].map(item => current.isActive(item.name, item.attributes)),
+        link: current.isActive('link'),
+        href: current.getAttributes('link').href || '',
+        canUndo: current.can().undo(),
+        canRedo: current.can().redo(),
+      };
+    },
+  });
+
+  const handleKeyDown = (e) => {
+    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      setOpenPopover('link');
+    }
+  };
+
+  const setPopover = name => open => setOpenPopover(open ? name : null);
+
+  const handleLink = (href) => {
+    editor.chain().focus().extendMarkRange('link').setLink({ href }).run();
+  };
+
+  const handleImage = (src, alt) => {
+    editor.chain().focus().setImage({ src, alt: alt || null }).run();
+  };
+
+  const handleEmbed = (src) => {
+    if (!isValidYoutubeUrl(src)) {
+      toast.error('Only YouTube videos can be embedded');
+      return false;
+    }
+    editor.chain().focus().setYoutubeVideo({ src }).run();
+  };
+
+  if (!editor || !state) {
+    return <div className="min-h-[24rem] rounded-md border bg-gray-50" />;
+  }
+
+  const toolbarDisabled = disabled || !editor.isEditable;
+
+  const renderToggle = (item, index) => (
+    <ToolbarTooltip key={item.label} label={item.label} keys={item.keys} modKey={modKey}>
+      <Toggle
+        size="sm"
+        pressed={state.active[index]}
+        onPressedChange={() => item.toggle(editor.chain().focus()).run()}
+        disabled={toolbarDisabled}
+        aria-label={item.label}
+      >
+        <item.icon />
+      </Toggle>
+    </ToolbarTooltip>
+  );
+
+  return (
+    <TooltipProvider delayDuration={300}>
+      <div className="rounded-md border" onKeyDown={handleKeyDown}>
+        <div className="flex flex-wrap items-center gap-1 border-b p-1">
+          {FORMATS.map((item, index) => renderToggle(item, index))}
+          <Separator orientation="vertical" className="mx-1 h-6" />
+          {BLOCKS.map((item, index) => renderToggle(item, FORMATS.length + index))}
+          <Separator orientation="vertical" className="mx-1 h-6" />
+          <UrlPopover
+            open={openPopover === 'link'}
+            onOpenChange={setPopover('link')}
+            icon={LinkIcon}
+            label="Link"
+            keys={LINK_KEYS}
+            modKey={modKey}
+            active={state.link}
+            disabled={toolbarDisabled}
+            placeholder="https://example.com"
+            initialUrl={state.href}
+            onSubmit={handleLink}
+            onRemove={() => editor.chain().focus().extendMarkRange('link').unsetLink().run()}
+          />
+          <UrlPopover
+            open={openPopover === 'image'}
+            onOpenChange={setPopover('image')}
+            icon={ImageIcon}
+            label="Image"
+            modKey={modKey}
+            disabled={toolbarDisabled}
+            placeholder="https://example.com/photo.png"
+            textLabel="Alt text"
+            onSubmit={handleImage}
+          />
+          <UrlPopover
+            open={openPopover === 'embed'}
+            onOpenChange={setPopover('embed')}
+            icon={YoutubeIcon}
+            label="Embed video"
+            modKey={modKey}
+            disabled={toolbarDisabled}
+            placeholder="https://www.youtube.com/watch?v=…"
+            onSubmit={handleEmbed}
+          />
+          <ToolbarTooltip label="Divider" modKey={modKey}>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => editor.chain().focus().setHorizontalRule().run()}
+              disabled={toolbarDisabled}
+              aria-label="Divider"
+            >
+              <Minus />
+            </Button>
+          </ToolbarTooltip>
+          <Separator orientation="vertical" className="mx-1 h-6" />
+          <ToolbarTooltip label="Undo" keys={['Mod', 'Z']} modKey={modKey}>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => editor.chain().focus().undo().run()}
+              disabled={toolbarDisabled || !state.canUndo}
+              aria-label="Undo"
+            >
+              <Undo />
+            </Button>
+          </ToolbarTooltip>
+          <ToolbarTooltip label="Redo" keys={['Mod', 'Shift', 'Z']} modKey={modKey}>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => editor.chain().focus().redo().run()}
+              disabled={toolbarDisabled || !state.canRedo}
+              aria-label="Redo"
+            >
+              <Redo />
+            </Button>
+          </ToolbarTooltip>
+        </div>
+        <EditorContent editor={editor} />
+      </div>
+    </TooltipProvider>
+  );
+}
@@ -0,0 +1,36 @@
+'use client';
+
+import Link from 'next/link';
+import { usePathname } from 'next/navigation';
+import { User, ShieldCheck, UserCog } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+const NAV_ITEMS = [
+  { href: '/settings/profile', label: 'Profile', icon: User },
+  { href: '/settings/security', label: 'Security', icon: ShieldCheck },
+  { href: '/settings/account', label: 'Account', icon: UserCog },
+];
+
+export default function SettingsNav() {
+  const pathname = usePathname();
+
+  return (
+    <nav className="flex gap-1 md:flex-col">
+      {NAV_ITEMS.map(item => (
+        <Link
+          key={item.href}
+          href={item.href}
+          className={cn(
+            'flex items-center gap-2 rounded-md px-3 py-2 text-sm font-medium transition-colors',
+            pathname === item.href
+              ? 'bg-blue-50 text-blue-700'
+              : 'text-gray-700 hover:bg-gray-100'
+          )}
+        >
+          <item.icon className="h-4 w-4" />
+          {item.label}
+        </Link>
+      ))}
+    </nav>
+  );
+}
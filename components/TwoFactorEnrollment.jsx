@@ -0,0 +1,134 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+import TwoFactorCodeInput from '@/components/TwoFactorCodeInput';
+import RecoveryCodesList from '@/components/RecoveryCodesList';
+
+/**
+ * Walks the user through scanning the QR code, confirming a code and saving
+ * the recovery codes. Pass challengeToken when enrolling during a password
+ * login (after an OAuth sign-in the challenge cookie stands in for it);
+ * onComplete then receives the signed-in user.
+ */
+export default function TwoFactorEnrollment({ challengeToken, onComplete }) {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // Set when enrolling during login, which also starts the session
+  const [sessionUser, setSessionUser] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    // Each setup call replaces the pending secret, so only the latest one counts
+    let ignore = false;
+
+    apiFetch('/api/auth/2fa/setup', { method: 'POST', body: { challengeToken } })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to start two-factor setup');
+        }
+        if (!ignore) {
+          setEnrollment(data.data);
+        }
+      })
+      .catch((err) => {
+        if (!ignore) {
+          setError(err.message);
+        }
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [challengeToken]);
+
+  const handleEnable = async (e) => {
+    e?.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch('/api/auth/2fa/enable', {
+        method: 'POST',
+        body: { code, challengeToken },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to enable two-factor authentication');
+      }
+
+      toast.success(data.message);
+      setRecoveryCodes(data.data.recoveryCodes);
+      setSessionUser(data.user || null);
+      setEnrollment(null);
+    } catch (err) {
+      setError(err.message);
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-4">
+        <RecoveryCodesList codes={recoveryCodes} />
+        <Button type="button" className="w-full" onClick={() => onComplete(sessionUser)}>
+          I have saved my recovery codes
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {!enrollment && !error && (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+        </div>
+      )}
+      {enrollment && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Authy.
+          </p>
+          <div className="flex justify-center">
+            <img src={enrollment.qrCodeDataUrl} alt="Two-factor QR code" className="h-44 w-44" />
+          </div>
+          <p className="text-center text-xs text-gray-500">
+            Can't scan it? Enter this key instead:
+            <code className="mt-1 block break-all font-mono text-sm text-gray-800">{enrollment.secret}</code>
+          </p>
+          <div className="space-y-2">
+            <Label className="block text-center">Enter the 6-digit code from the app</Label>
+            <TwoFactorCodeInput value={code} onChange={setCode} disabled={loading} />
+          </div>
+          <Button type="submit" className="w-full" disabled={loading || code.length !== 6}>
+            {loading ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Verifying...
+              </>
+            ) : (
+              'Enable two-factor authentication'
+            )}
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+}
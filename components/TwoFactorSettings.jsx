@@ -0,0 +1,190 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader2, ShieldCheck } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiFetch } from '@/lib/api-client';
+import TwoFactorCodeInput from '@/components/TwoFactorCodeInput';
+import TwoFactorEnrollment from '@/components/TwoFactorEnrollment';
+import RecoveryCodesList from '@/components/RecoveryCodesList';
+
+export default function TwoFactorSettings({ enabledAt, required }) {
+  const router = useRouter();
+  // null, 'enroll', 'disable' or 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const resetForm = (nextMode = null) => {
+    setMode(nextMode);
+    setCode('');
+    setPassword('');
+    setError(null);
+  };
+
+  const handleEnrollmentComplete = () => {
+    resetForm();
+    router.refresh();
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch('/api/auth/2fa/disable', {
+        method: 'POST',
+        body: { password, code },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to disable two-factor authentication');
+      }
+
+      toast.success(data.message);
+      resetForm();
+      router.refresh();
+    } catch (err) {
+      setError(err.message);
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch('/api/auth/2fa/recovery-codes', {
+        method: 'POST',
+        body: { code },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to generate recovery codes');
+      }
+
+      toast.success(data.message);
+      setRecoveryCodes(data.data.recoveryCodes);
+      resetForm();
+    } catch (err) {
+      setError(err.message);
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <CardTitle className="flex items-center gap-2">
+            <ShieldCheck className="h-5 w-5 text-blue-600" />
+            Two-factor authentication
+          </CardTitle>
+          {enabledAt ? <Badge>Enabled</Badge> : <Badge variant="secondary">Disabled</Badge>}
+        </div>
+        <CardDescription>
+          Require a code from an authenticator app in addition to your password when signing in.
+          {required && ' An administrator requires this for your account.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {recoveryCodes && (
+          <div className="space-y-3">
+            <RecoveryCodesList codes={recoveryCodes} />
+            <Button type="button" variant="ghost" className="w-full" onClick={() => setRecoveryCodes(null)}>
+              Done
+            </Button>
+          </div>
+        )}
+
+        {!enabledAt && mode !== 'enroll' && (
+          <Button onClick={() => resetForm('enroll')}>Set up two-factor authentication</Button>
+        )}
+
+        {!enabledAt && mode === 'enroll' && (
+          <div className="max-w-sm space-y-3">
+            <TwoFactorEnrollment onComplete={handleEnrollmentComplete} />
+            <Button type="button" variant="ghost" className="w-full" onClick={() => resetForm()}>
+              Cancel
+            </Button>
+          </div>
+        )}
+
+        {enabledAt && !mode && !recoveryCodes && (
+          <div className="flex flex-wrap gap-2">
+            <Button variant="outline" onClick={() => resetForm('regenerate')}>
+              Generate new recovery codes
+            </Button>
+            {!required && (
+              <Button variant="destructive" onClick={() => resetForm('disable')}>
+                Disable
+              </Button>
+            )}
+          </div>
+        )}
+
+        {enabledAt && mode && (
+          <form
+            onSubmit={mode === 'disable' ? handleDisable : handleRegenerate}
+            className="max-w-sm space-y-4"
+          >
+            {mode === 'disable' && (
+              <div className="space-y-2">
+                <Label htmlFor="password">Password</Label>
+                <Input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={loading}
+                />
+              </div>
+            )}
+            <div className="space-y-2">
+              <Label className="block">Authentication code</Label>
+              <TwoFactorCodeInput value={code} onChange={setCode} disabled={loading} />
+            </div>
+            <div className="flex gap-2">
+              <Button
+                type="submit"
+                variant={mode === 'disable' ? 'destructive' : 'default'}
+                disabled={loading || code.length !== 6}
+              >
+                {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                {mode === 'disable' ? 'Disable two-factor authentication' : 'Generate codes'}
+              </Button>
+              <Button type="button" variant="ghost" onClick={() => resetForm()} disabled={loading}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,239 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { hasCapability } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10);
+
+/**
+ * What happens to a deleted user's comments
+ */
+export const COMMENT_ACTIONS = ['anonymize', 'delete'];
+
+/**
+ * What happens to a deleted user's posts
+ */
+export const POST_ACTIONS = ['transfer', 'unpublish', 'delete'];
+
+/**
+ * Get the pending deletion request of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Request with transfer_user, or null
+ */
+export async function getDeletionRequest(userId) {
+  const supabase = createAdminClient();
+
+  const { data: request, error } = await supabase
+    .from('account_deletion_requests')
+    .select('*, transfer_user:users!fk_account_deletion_requests_transfer_to(id, name, email)')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching deletion request:', error);
+    return null;
+  }
+
+  return request;
+}
+
+/**
+ * Schedule a user's account for deletion once the grace period ends
+ * Replaces any earlier request, restarting the grace period.
+ * @param {string} userId - User ID
+ * @param {Object} options - { commentsAction, postsAction, transferTo }
+ * @returns {Promise<Object|null>} Deletion request or null
+ */
+export async function scheduleAccountDeletion(userId, { commentsAction, postsAction, transferTo = null }) {
+  const supabase = createAdminClient();
+  const scheduledFor = new Date(Date.now() + GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  try {
+    const { data: request, error } = await supabase
+      .from('account_deletion_requests')
+      .upsert({
+        user_id: userId,
+        comments_action: commentsAction,
+        posts_action: postsAction,
+        transfer_to: postsAction === 'transfer' ? transferTo : null,
+        scheduled_for: scheduledFor,
+        created_at: new Date().toISOString(),
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error scheduling account deletion:', error);
+      return null;
+    }
+
+    return request;
+  } catch (error) {
+    console.error('Error in scheduleAccountDeletion:', error);
+    return null;
+  }
+}
+
+/**
+ * Cancel a pending account deletion
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if a request was cancelled
+ */
+export async function cancelAccountDeletion(userId) {
+  const supabase = createAdminClient();
+
+  const { data, error } = await supabase
+    .from('account_deletion_requests')
+    .delete()
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    console.error('Error cancelling account deletion:', error);
+    return false;
+  }
+
+  return (data?.length || 0) > 0;
+}
+
+/**
+ * Apply the user's choices for their content, then delete the account
+ * Posts fall back to being unpublished when the transfer target can no longer write posts.
+ * @param {Object} request - Deletion request row
+ * @returns {Promise<Object>} { success, posts, comments } or { error }
+ */
+async function purgeAccount(request) {
+  const supabase = createAdminClient();
+  const userId = request.user_id;
+  const now = new Date().toISOString();
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, email, name, role')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  let postsAction = request.posts_action;
+
+  if (postsAction === 'transfer') {
+    const { data: target } = request.transfer_to
+      ? await supabase
+        .from('users')
+        .select('id, role, suspended_at')
+        .eq('id', request.transfer_to)
+        .maybeSingle()
+      : { data: null };
+
+    if (!target || target.suspended_at || !hasCapability(target.role, 'post:create')) {
+      postsAction = 'unpublish';
+    }
+  }
+
+  let postsQuery;
+  if (postsAction === 'transfer') {
+    postsQuery = supabase
+      .from('posts')
+      .update({ author_id: request.transfer_to, updated_at: now });
+  } else if (postsAction === 'unpublish') {
+    postsQuery = supabase
+      .from('posts')
+      .update({ author_id: null, status: 'draft', published_at: null, updated_at: now });
+  } else {
+    postsQuery = supabase.from('posts').delete();
+  }
+
+  const { data: posts, error: postsError } = await postsQuery
+    .eq('author_id', userId)
+    .select('id');
+
+  if (postsError) {
+    console.error('Error handling posts of deleted account:', postsError);
+    return { error: 'Failed to process posts' };
+  }
+
+  const commentsQuery = request.comments_action === 'anonymize'
+    ? supabase.from('comments').update({ user_id: null, updated_at: now })
+    : supabase.from('comments').delete();
+
+  const { data: comments, error: commentsError } = await commentsQuery
+    .eq('user_id', userId)
+    .select('id');
+
+  if (commentsError) {
+    console.error('Error handling comments of deleted account:', commentsError);
+    return { error: 'Failed to process comments' };
+  }
+
+  const { error: deleteError } = await supabase
+    .from('users')
+    .delete()
+    .eq('id', userId);
+
+  if (deleteError) {
+    console.error('Error deleting account:', deleteError);
+    return { error: 'Failed to delete account' };
+  }
+
+  await recordAudit({
+    actor: user,
+    action: 'user.delete',
+    targetType: 'user',
+    targetId: userId,
+    before: user,
+    metadata: {
+      selfService: true,
+      postsAction,
+      transferTo: postsAction === 'transfer' ? request.transfer_to : null,
+      posts: posts?.length || 0,
+      commentsAction: request.comments_action,
+      comments: comments?.length || 0,
+    },
+  });
+
+  return { success: true, posts: posts?.length || 0, comments: comments?.length || 0 };
+}
+
+/**
+ * Purge every account whose grace period has ended
+ * Safe to run repeatedly; a failed account is retried on the next run.
+ * @returns {Promise<Object>} { processed, failed }
+ */
+export async function processDueAccountDeletions() {
+  const supabase = createAdminClient();
+
+  const { data: requests, error } = await supabase
+    .from('account_deletion_requests')
+    .select('*')
+    .lte('scheduled_for', new Date().toISOString())
+    .order('scheduled_for', { ascending: true })
+    .limit(50);
+
+  if (error) {
+    console.error('Error fetching due account deletions:', error);
+    return { processed: 0, failed: 0 };
+  }
+
+  let processed = 0;
+  let failed = 0;
+
+  for (const request of requests || []) {
+    try {
+      const result = await purgeAccount(request);
+
+      if (result.error) {
+        console.error(`Failed to purge account ${request.user_id}:`, result.error);
+        failed += 1;
+      } else {
+        processed += 1;
+      }
+    } catch (purgeError) {
+      console.error(`Error purging account ${request.user_id}:`, purgeError);
+      failed += 1;
+    }
+  }
+
+  return { processed, failed };
+}
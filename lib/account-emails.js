@@ -0,0 +1,101 @@
+import { sendMail } from '@/lib/mail';
+import {
+  accountDeletionScheduledEmail,
+  emailChangeEmail,
+  emailChangedNotice,
+  passwordResetEmail,
+  verificationEmail,
+} from '@/lib/mail/templates';
+import { createActionToken, invalidateActionTokens } from '@/lib/action-tokens';
+
+/**
+ * Send an email verification link to a user
+ * @param {Object} user - User row (id, name, email)
+ * @param {string} appUrl - Public base URL of the app
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+export async function sendVerificationEmail(user, appUrl) {
+  try {
+    await invalidateActionTokens(user.id, 'email-verification');
+    const token = await createActionToken(user.id, 'email-verification', { email: user.email });
+    const url = `${appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return await sendMail({ to: user.email, ...verificationEmail({ name: user.name, url }) });
+  } catch (error) {
+    console.error('Error in sendVerificationEmail:', error);
+    return false;
+  }
+}
+
+/**
+ * Send a password reset link to a user
+ * @param {Object} user - User row (id, name, email)
+ * @param {string} appUrl - Public base URL of the app
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+export async function sendPasswordResetEmail(user, appUrl) {
+  try {
+    // Only the most recent reset link stays valid
+    await invalidateActionTokens(user.id, 'password-reset');
+    const token = await createActionToken(user.id, 'password-reset');
+    const url = `${appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return await sendMail({ to: user.email, ...passwordResetEmail({ name: user.name, url }) });
+  } catch (error) {
+    console.error('Error in sendPasswordResetEmail:', error);
+    return false;
+  }
+}
+
+/**
+ * Send a link to the new address that completes an email change
+ * @param {Object} user - User row (id, name, email)
+ * @param {string} newEmail - Requested email address
+ * @param {string} appUrl - Public base URL of the app
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+export async function sendEmailChangeEmail(user, newEmail, appUrl) {
+  try {
+    await invalidateActionTokens(user.id, 'email-change');
+    const token = await createActionToken(user.id, 'email-change', { email: user.email, newEmail });
+    const url = `${appUrl}/confirm-email-change?token=${encodeURIComponent(token)}`;
+
+    return await sendMail({ to: newEmail, ...emailChangeEmail({ name: user.name, newEmail, url }) });
+  } catch (error) {
+    console.error('Error in sendEmailChangeEmail:', error);
+    return false;
+  }
+}
+
+/**
+ * Tell the previous address that the account email changed
+ * @param {Object} user - User row (name) before the change
+ * @param {string} oldEmail - Previous email address
+ * @param {string} newEmail - New email address
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+export async function sendEmailChangedNotice(user, oldEmail, newEmail) {
+  try {
+    return await sendMail({ to: oldEmail, ...emailChangedNotice({ name: user.name, newEmail }) });
+  } catch (error) {
+    console.error('Error in sendEmailChangedNotice:', error);
+    return false;
+  }
+}
+
+/**
+ * Confirm a scheduled account deletion and link to where it can be cancelled
+ * @param {Object} user - User row (name, email)
+ * @param {string} scheduledFor - When the account will be purged
+ * @param {string} appUrl - Public base URL of the app
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+export async function sendAccountDeletionScheduledEmail(user, scheduledFor, appUrl) {
+  try {
+    const url = `${appUrl}/settings/account`;
+    return await sendMail({ to: user.email, ...accountDeletionScheduledEmail({ name: user.name, scheduledFor, url }) });
+  } catch (error) {
+    console.error('Error in sendAccountDeletionScheduledEmail:', error);
+    return false;
+  }
+}
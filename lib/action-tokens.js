@@ -0,0 +1,102 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { signScopedToken, verifyScopedToken, decodeToken } from '@/lib/jwt';
+
+/**
+ * Lifetimes of single-use tokens by purpose
+ */
+export const ACTION_TOKEN_TTL = {
+  'password-reset': '1h',
+  'email-verification': '24h',
+  'email-change': '1h',
+};
+
+/**
+ * Create a signed, single-use, expiring token for a user action
+ * @param {string} userId - User ID
+ * @param {string} purpose - Token purpose (see ACTION_TOKEN_TTL)
+ * @param {Object} data - Extra claims to embed in the token
+ * @returns {Promise<string>} Token to send to the user
+ */
+export async function createActionToken(userId, purpose, data = {}) {
+  const supabase = createAdminClient();
+  const { token, jti } = signScopedToken({ ...data, sub: userId }, purpose, ACTION_TOKEN_TTL[purpose]);
+  const { exp } = decodeToken(token);
+
+  const { error } = await supabase
+    .from('action_tokens')
+    .insert([
+      {
+        jti,
+        user_id: userId,
+        purpose,
+        expires_at: new Date(exp * 1000).toISOString(),
+        created_at: new Date().toISOString(),
+      }
+    ]);
+
+  if (error) {
+    console.error('Error creating action token:', error);
+    throw new Error('Failed to create action token');
+  }
+
+  return token;
+}
+
+/**
+ * Verify an action token and mark it as used
+ * @param {string} token - Token from the link the user followed
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} Decoded payload (sub is the user ID) or null if invalid or already used
+ */
+export async function consumeActionToken(token, purpose) {
+  if (!token) {
+    return null;
+  }
+
+  const decoded = verifyScopedToken(token, purpose);
+  if (!decoded) {
+    return null;
+  }
+
+  const supabase = createAdminClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('action_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('jti', decoded.jti)
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .select('jti');
+
+    if (error || !data || data.length === 0) {
+      return null;
+    }
+
+    return decoded;
+  } catch (error) {
+    console.error('Error consuming action token:', error);
+    return null;
+  }
+}
+
+/**
+ * Invalidate all outstanding tokens of a purpose for a user
+ * @param {string} userId - User ID
+ * @param {string} purpose - Token purpose
+ * @returns {Promise<void>}
+ */
+export async function invalidateActionTokens(userId, purpose) {
+  const supabase = createAdminClient();
+
+  const { error } = await supabase
+    .from('action_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (error) {
+    console.error('Error invalidating action tokens:', error);
+  }
+}
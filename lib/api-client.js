@@ -0,0 +1,79 @@
+/**
+ * Browser helper for calling the app's own API with the session cookies
+ * Adds the CSRF header to mutations and transparently renews an expired
+ * access token once using the refresh cookie.
+ */
+
+import { CSRF_COOKIE } from '@/lib/cookie-names';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let refreshPromise = null;
+
+function readCsrfToken() {
+  if (typeof document === 'undefined') {
+    return null;
+  }
+  const match = document.cookie
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${CSRF_COOKIE}=`));
+  return match ? decodeURIComponent(match.substring(CSRF_COOKIE.length + 1)) : null;
+}
+
+function buildOptions(options) {
+  const method = (options.method || 'GET').toUpperCase();
+  const headers = new Headers(options.headers || {});
+
+  if (options.body && !(options.body instanceof FormData) && !headers.has('Content-Type')) {
+    headers.set('Content-Type', 'application/json');
+  }
+
+  if (!SAFE_METHODS.includes(method)) {
+    const csrfToken = readCsrfToken();
+    if (csrfToken) {
+      headers.set('X-CSRF-Token', csrfToken);
+    }
+  }
+
+  return { ...options, method, headers, credentials: 'same-origin' };
+}
+
+/**
+ * Renew the session using the refresh cookie
+ * Concurrent callers share one refresh request so the token is rotated once.
+ * @returns {Promise<boolean>} True if the session was renewed
+ */
+export function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = fetch('/api/auth/refresh', buildOptions({ method: 'POST' }))
+      .then(response => response.ok)
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+/**
+ * fetch() wrapper for authenticated API calls from the browser
+ * @param {string} url - API URL
+ * @param {Object} options - fetch options; plain object bodies are sent as JSON
+ * @returns {Promise<Response>} Response
+ */
+export async function apiFetch(url, options = {}) {
+  const requestOptions = { ...options };
+  if (requestOptions.body && typeof requestOptions.body === 'object' && !(requestOptions.body instanceof FormData)) {
+    requestOptions.body = JSON.stringify(requestOptions.body);
+  }
+
+  const response = await fetch(url, buildOptions(requestOptions));
+
+  if (response.status !== 401 || url.startsWith('/api/auth/')) {
+    return response;
+  }
+
+  const refreshed = await refreshSession();
+  return refreshed ? fetch(url, buildOptions(requestOptions)) : response;
+}
@@ -0,0 +1,156 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { generateSecureToken, hashToken } from '@/lib/crypto';
+
+/**
+ * Scopes an API key can be granted
+ */
+export const API_KEY_SCOPES = ['posts:read', 'posts:write'];
+
+const API_KEY_COLUMNS = 'id, name, prefix, scopes, last_used_at, expires_at, revoked_at, created_at';
+
+/**
+ * Create an API key for a user
+ * @param {Object} keyData - { userId, name, scopes, expiresInDays }
+ * @returns {Promise<Object|null>} { apiKey, key } where key is the plain key (shown once), or null
+ */
+export async function createApiKey(keyData) {
+  const { userId, name, scopes, expiresInDays } = keyData;
+  const supabase = createAdminClient();
+
+  const prefix = generateSecureToken(6).replace(/[-_]/g, 'x').slice(0, 8);
+  const key = `blog_${prefix}_${generateSecureToken(32)}`;
+
+  try {
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .insert([
+        {
+          user_id: userId,
+          name: name.trim(),
+          prefix,
+          key_hash: hashToken(key),
+          scopes,
+          expires_at: expiresInDays
+            ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+            : null,
+          created_at: new Date().toISOString(),
+        }
+      ])
+      .select(API_KEY_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error creating API key:', error);
+      return null;
+    }
+
+    return { apiKey, key };
+  } catch (error) {
+    console.error('Error in createApiKey:', error);
+    return null;
+  }
+}
+
+/**
+ * List a user's API keys (never includes the key itself)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} API keys
+ */
+export async function listApiKeys(userId) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: apiKeys, error } = await supabase
+      .from('api_keys')
+      .select(API_KEY_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching API keys:', error);
+      return [];
+    }
+
+    return apiKeys || [];
+  } catch (error) {
+    console.error('Error in listApiKeys:', error);
+    return [];
+  }
+}
+
+/**
+ * Revoke one of a user's API keys
+ * @param {string} userId - Owner's user ID
+ * @param {string} keyId - API key ID
+ * @returns {Promise<boolean>} True if an active key was revoked
+ */
+export async function revokeApiKey(userId, keyId) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      console.error('Error revoking API key:', error);
+      return false;
+    }
+
+    return data && data.length > 0;
+  } catch (error) {
+    console.error('Error in revokeApiKey:', error);
+    return false;
+  }
+}
+
+/**
+ * Resolve an API key to its owner and scopes, recording when it was used
+ * @param {string} key - Plain API key from the X-API-Key header
+ * @returns {Promise<Object|null>} { id, scopes, user } or null if invalid, revoked, expired or the owner is suspended
+ */
+export async function verifyApiKey(key) {
+  if (!key || !key.startsWith('blog_')) {
+    return null;
+  }
+
+  const supabase = createAdminClient();
+
+  try {
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .select(`
+        id, scopes, expires_at, revoked_at,
+        user:users!fk_api_keys_user_id(id, email, role, suspended_at)
+      `)
+      .eq('key_hash', hashToken(key))
+      .single();
+
+    if (error || !apiKey || !apiKey.user) {
+      return null;
+    }
+
+    if (apiKey.revoked_at || apiKey.user.suspended_at) {
+      return null;
+    }
+
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+      return null;
+    }
+
+    await supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', apiKey.id);
+
+    const { suspended_at: _, ...user } = apiKey.user;
+    return { id: apiKey.id, scopes: apiKey.scopes || [], user };
+  } catch (error) {
+    console.error('Error in verifyApiKey:', error);
+    return null;
+  }
+}
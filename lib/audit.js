@@ -0,0 +1,229 @@
+import { createAdminClient } from '@/lib/supabase/server';
+
+/**
+ * Actions recorded in the audit log
+ */
+export const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'user.role_change',
+  'user.suspend',
+  'user.reinstate',
+  'user.delete',
+  'user.deletion_scheduled',
+  'user.deletion_cancelled',
+  'user.data_export',
+  'user.unlock',
+  'user.two_factor_required',
+  'user.two_factor_reset',
+  'post.create',
+  'post.update',
+  'post.delete',
+  'post.trash',
+  'post.restore',
+  'post.publish_scheduled',
+  'post.revision_restore',
+  'comment.delete',
+];
+
+// Upper bound on rows in a single CSV export
+const EXPORT_LIMIT = 10000;
+
+// Rows fetched per request while exporting; PostgREST caps a single response (1000 by default)
+const EXPORT_BATCH_SIZE = 1000;
+
+const CSV_COLUMNS = [
+  'created_at',
+  'action',
+  'actor_id',
+  'actor_email',
+  'target_type',
+  'target_id',
+  'ip',
+  'metadata',
+  'before',
+  'after',
+];
+
+/**
+ * Append an entry to the audit log
+ * Failures are logged but never thrown, so auditing cannot break the action itself.
+ * @param {Object} entry
+ * @param {Object|null} [entry.actor] - User or principal performing the action ({ id, email })
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} [entry.targetType] - Kind of record acted on, e.g. 'post'
+ * @param {string} [entry.targetId] - ID of the record acted on
+ * @param {Object} [entry.before] - Snapshot before the change
+ * @param {Object} [entry.after] - Snapshot after the change
+ * @param {Object} [entry.metadata] - Extra context such as the login method
+ * @param {string} [entry.ip] - Client IP address
+ * @returns {Promise<void>}
+ */
+export async function recordAudit({
+  actor = null,
+  action,
+  targetType = null,
+  targetId = null,
+  before = null,
+  after = null,
+  metadata = null,
+  ip = null,
+}) {
+  try {
+    const supabase = createAdminClient();
+
+    const { error } = await supabase
+      .from('audit_logs')
+      .insert([
+        {
+          actor_id: actor?.id || null,
+          actor_email: actor?.email || null,
+          action,
+          target_type: targetType,
+          target_id: targetId ? String(targetId) : null,
+          before,
+          after,
+          metadata,
+          ip,
+        },
+      ]);
+
+    if (error) {
+      console.error('Error recording audit log:', error);
+    }
+  } catch (error) {
+    console.error('Error in recordAudit:', error);
+  }
+}
+
+/**
+ * Build the audit log query for a set of filters
+ * @param {Object} supabase - Supabase client
+ * @param {Object} filters - { actorId, action, targetType, targetId, from, to }
+ * @param {Object} [selectOptions] - Options passed to select()
+ * @returns {Object} Query builder
+ */
+function buildAuditQuery(supabase, filters, selectOptions) {
+  const { actorId, action, targetType, targetId, from, to } = filters;
+
+  let query = supabase
+    .from('audit_logs')
+    .select('*', selectOptions)
+    .order('created_at', { ascending: false });
+
+  if (actorId) query = query.eq('actor_id', actorId);
+  if (action) query = query.eq('action', action);
+  if (targetType) query = query.eq('target_type', targetType);
+  if (targetId) query = query.eq('target_id', targetId);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+
+  return query;
+}
+
+/**
+ * List audit log entries, newest first
+ * @param {Object} options - { page, pageSize, actorId, action, targetType, targetId, from, to }
+ * @returns {Promise<Object>} { entries, total, page, pageSize, totalPages }
+ */
+export async function listAuditLogs(options = {}) {
+  const { page = 1, pageSize = 50, ...filters } = options;
+  const supabase = createAdminClient();
+  const start = (page - 1) * pageSize;
+
+  try {
+    const { data: entries, error, count } = await buildAuditQuery(supabase, filters, { count: 'exact' })
+      .range(start, start + pageSize - 1);
+
+    if (error) {
+      console.error('Error fetching audit logs:', error);
+      return { entries: [], total: 0, page, pageSize, totalPages: 0 };
+    }
+
+    return {
+      entries: entries || [],
+      total: count || 0,
+      page,
+      pageSize,
+      totalPages: Math.ceil((count || 0) / pageSize),
+    };
+  } catch (error) {
+    console.error('Error in listAuditLogs:', error);
+    return { entries: [], total: 0, page, pageSize, totalPages: 0 };
+  }
+}
+
+/**
+ * Escape one CSV cell, neutralising values a spreadsheet would run as a formula
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export matching audit log entries as CSV
+ * Entries are fetched in batches up to EXPORT_LIMIT. Entries written while the export runs are
+ * left out, so batches do not shift under it.
+ * @param {Object} filters - { actorId, action, targetType, targetId, from, to }
+ * @returns {Promise<Object|null>} { csv, truncated } where truncated means more entries matched
+ *   than EXPORT_LIMIT, or null on failure
+ */
+export async function exportAuditLogsCsv(filters = {}) {
+  try {
+    const supabase = createAdminClient();
+    const startedAt = new Date().toISOString();
+    const to = filters.to && filters.to < startedAt ? filters.to : startedAt;
+    const entries = [];
+    let truncated = false;
+
+    while (entries.length < EXPORT_LIMIT) {
+      const { data: batch, error } = await buildAuditQuery(supabase, { ...filters, to })
+        .order('id', { ascending: false })
+        .range(entries.length, entries.length + EXPORT_BATCH_SIZE - 1);
+
+      if (error) {
+        console.error('Error exporting audit logs:', error);
+        return null;
+      }
+
+      entries.push(...(batch || []));
+
+      if ((batch || []).length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (entries.length >= EXPORT_LIMIT) {
+      // One more row tells a log of exactly EXPORT_LIMIT entries from a longer one
+      const { data: extra } = await buildAuditQuery(supabase, { ...filters, to })
+        .order('id', { ascending: false })
+        .range(EXPORT_LIMIT, EXPORT_LIMIT);
+
+      truncated = (extra || []).length > 0;
+    }
+
+    const rows = entries.slice(0, EXPORT_LIMIT).map(entry =>
+      CSV_COLUMNS.map(column => toCsvCell(entry[column])).join(',')
+    );
+
+    return {
+      csv: [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n',
+      truncated,
+    };
+  } catch (error) {
+    console.error('Error in exportAuditLogsCsv:', error);
+    return null;
+  }
+}
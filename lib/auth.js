@@ -0,0 +1,119 @@
+import { NextResponse } from 'next/server';
+import { verifyTokenFromRequest } from '@/lib/jwt';
+import { verifyApiKey } from '@/lib/api-keys';
+import { hasCapability } from '@/lib/permissions';
+
+/**
+ * Authenticate a request with either a bearer JWT or an X-API-Key header
+ * @param {Request} request - Next.js request object
+ * @param {Object} [options]
+ * @param {boolean} [options.allowApiKey=true] - Accept X-API-Key authentication
+ * @returns {Promise<Object|null>} Principal { id, email, role, authMethod, scopes } or null
+ */
+export async function authenticateRequest(request, { allowApiKey = true } = {}) {
+  try {
+    const decoded = await verifyTokenFromRequest(request);
+
+    if (decoded) {
+      return {
+        id: decoded.id,
+        email: decoded.email,
+        role: decoded.role,
+        authMethod: 'jwt',
+        scopes: null,
+        token: decoded,
+      };
+    }
+
+    if (!allowApiKey) {
+      return null;
+    }
+
+    const apiKey = await verifyApiKey(request.headers.get('x-api-key'));
+
+    if (apiKey) {
+      return {
+        id: apiKey.user.id,
+        email: apiKey.user.email,
+        role: apiKey.user.role,
+        authMethod: 'api_key',
+        scopes: apiKey.scopes,
+        apiKeyId: apiKey.id,
+      };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether a principal may act within a scope
+ * JWT sessions are not scoped; API keys only carry the scopes they were created with.
+ * @param {Object} principal - Principal from authenticateRequest
+ * @param {string} scope - Scope such as 'posts:write'
+ * @returns {boolean} True if allowed
+ */
+export function hasScope(principal, scope) {
+  if (!principal) {
+    return false;
+  }
+  return principal.scopes === null || principal.scopes.includes(scope);
+}
+
+/**
+ * Build a 401 response for a request with no valid credentials
+ * @returns {NextResponse}
+ */
+export function unauthorized() {
+  return NextResponse.json(
+    { success: false, error: 'Unauthorized' },
+    { status: 401 }
+  );
+}
+
+/**
+ * Build a 403 response for an authenticated request that is not allowed
+ * @param {string} [message] - Error message
+ * @returns {NextResponse}
+ */
+export function forbidden(message = 'Forbidden') {
+  return NextResponse.json(
+    { success: false, error: message },
+    { status: 403 }
+  );
+}
+
+/**
+ * Wrap a route handler with authentication and authorization
+ * Responds 401 when the request carries no valid credentials and 403 when the
+ * principal lacks the capability or its API key lacks the scope. The handler
+ * receives the principal as its third argument.
+ * @param {Function} handler - Route handler (request, context, principal)
+ * @param {Object} [options]
+ * @param {string} [options.capability] - Capability the principal's role must grant
+ * @param {string} [options.scope] - Scope an API key must carry
+ * @param {boolean} [options.allowApiKey=true] - Accept X-API-Key authentication
+ * @returns {Function} Route handler
+ */
+export function withAuth(handler, { capability, scope, allowApiKey = true } = {}) {
+  return async function authorizedHandler(request, context) {
+    const principal = await authenticateRequest(request, { allowApiKey });
+
+    if (!principal) {
+      return unauthorized();
+    }
+
+    if (capability && !hasCapability(principal.role, capability)) {
+      return forbidden();
+    }
+
+    if (scope && !hasScope(principal, scope)) {
+      return forbidden(`API key is missing the ${scope} scope`);
+    }
+
+    return handler(request, context, principal);
+  };
+}
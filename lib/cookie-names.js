@@ -0,0 +1,7 @@
+/**
+ * Names of the cookies that carry a browser session
+ * Kept free of Node.js imports so the edge middleware and browser code can use them too.
+ */
+export const SESSION_COOKIE = 'session';
+export const REFRESH_COOKIE = 'refresh_token';
+export const CSRF_COOKIE = 'csrf_token';
@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+
+/**
+ * Check that a request comes from the scheduler
+ * Scheduled jobs send `Authorization: Bearer <CRON_SECRET>`. Without a
+ * configured secret every request is rejected.
+ * @param {Request} request - Incoming request
+ * @returns {NextResponse|null} 401 response to return, or null when authorized
+ */
+export function verifyCronRequest(request) {
+  const secret = process.env.CRON_SECRET;
+  const header = request.headers.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  const authorized = !!secret
+    && provided.length === secret.length
+    && crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(secret));
+
+  if (!authorized) {
+    return NextResponse.json(
+      { success: false, error: 'Unauthorized' },
+      { status: 401 }
+    );
+  }
+
+  return null;
+}
@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a cryptographically secure random token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} URL-safe token string
+ */
+export function generateSecureToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash a token for storage (tokens are never stored in plain text)
+ * @param {string} token - Token to hash
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getEncryptionKey() {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} iv.tag.ciphertext, each base64url encoded
+ */
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [iv, tag, ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * @param {string} encrypted - Encrypted value
+ * @returns {string|null} Plaintext or null if it cannot be decrypted
+ */
+export function decryptSecret(encrypted) {
+  try {
+    const [iv, tag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (error) {
+    console.error('Error decrypting secret:', error);
+    return null;
+  }
+}
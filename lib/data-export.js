@@ -0,0 +1,118 @@
+import JSZip from 'jszip';
+import TurndownService from 'turndown';
+import { createAdminClient } from '@/lib/supabase/server';
+import { SESSION_USER_COLUMNS } from '@/lib/session';
+import { listIdentities } from '@/lib/oauth';
+import { listApiKeys } from '@/lib/api-keys';
+
+const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced' });
+
+/**
+ * Quote a value for YAML front matter
+ * @param {*} value - Value to quote
+ * @returns {string} Double-quoted YAML scalar
+ */
+function yamlString(value) {
+  return JSON.stringify(value ?? '');
+}
+
+/**
+ * Render a post as Markdown with YAML front matter
+ * @param {Object} post - Post with category and tags
+ * @returns {string} Markdown document
+ */
+function postToMarkdown(post) {
+  const frontMatter = [
+    '---',
+    `title: ${yamlString(post.title)}`,
+    `slug: ${yamlString(post.slug)}`,
+    `status: ${yamlString(post.status)}`,
+    `excerpt: ${yamlString(post.excerpt)}`,
+    `category: ${yamlString(post.category?.name)}`,
+    `tags: [${post.tags.map(tag => yamlString(tag.name)).join(', ')}]`,
+    `featured_image: ${yamlString(post.featured_image)}`,
+    `published_at: ${yamlString(post.published_at)}`,
+    `created_at: ${yamlString(post.created_at)}`,
+    `updated_at: ${yamlString(post.updated_at)}`,
+    '---',
+  ].join('\n');
+
+  // Markdown posts are exported as written; HTML posts are converted
+  const body = post.content_format === 'markdown'
+    ? post.content || ''
+    : turndown.turndown(post.content || '');
+
+  return `${frontMatter}\n\n${body}\n`;
+}
+
+/**
+ * Build a zip archive of everything the app stores about a user
+ * Contains profile.json, posts.json, comments.json and one Markdown file per post.
+ * @param {string} userId - User ID
+ * @returns {Promise<Buffer|null>} Zip archive or null on failure
+ */
+export async function buildUserDataExport(userId) {
+  const supabase = createAdminClient();
+
+  try {
+    const [
+      { data: profile, error: profileError },
+      { data: posts, error: postsError },
+      { data: comments, error: commentsError },
+      identities,
+      apiKeys,
+    ] = await Promise.all([
+      supabase
+        .from('users')
+        .select(SESSION_USER_COLUMNS)
+        .eq('id', userId)
+        .single(),
+      supabase
+        .from('posts')
+        .select(`
+          *,
+          category:categories!posts_category_id_fkey(id, name, slug),
+          post_tags(tag:tags(id, name, slug))
+        `)
+        .eq('author_id', userId)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('comments')
+        .select('*, post:posts(id, title, slug)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true }),
+      listIdentities(userId),
+      listApiKeys(userId),
+    ]);
+
+    if (profileError || postsError || commentsError || !profile) {
+      console.error('Error collecting export data:', profileError || postsError || commentsError);
+      return null;
+    }
+
+    const exportedPosts = (posts || []).map(({ post_tags: postTags, ...post }) => ({
+      ...post,
+      tags: (postTags || []).map(postTag => postTag.tag).filter(Boolean),
+    }));
+
+    const zip = new JSZip();
+
+    zip.file('profile.json', JSON.stringify({
+      ...profile,
+      identities,
+      api_keys: apiKeys,
+      exported_at: new Date().toISOString(),
+    }, null, 2));
+    zip.file('posts.json', JSON.stringify(exportedPosts, null, 2));
+    zip.file('comments.json', JSON.stringify(comments || [], null, 2));
+
+    for (const post of exportedPosts) {
+      zip.file(`posts/${post.slug}.md`, postToMarkdown(post));
+    }
+
+    return await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  } catch (error) {
+    console.error('Error in buildUserDataExport:', error);
+    return null;
+  }
+}
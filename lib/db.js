@@ -1,4 +1,11 @@
 import { createAdminClient } from '@/lib/supabase/server';
+import { revokeUserSessions } from '@/lib/token-store';
+import { SESSION_USER_COLUMNS } from '@/lib/session';
+import { hasCapability, canActOn } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
+import { encodeCursor } from '@/lib/pagination';
+import { sanitizeSearchTerm, RESERVED_POST_SLUGS } from '@/lib/validation';
+import { sanitizeHtml, COMMENT_POLICY } from '@/lib/sanitize';
 
 /**
  * Generate a unique slug from a title
@@ -29,8 +36,9 @@ export async function generateSlug(title, table = 'posts', excludeId = null) {
     }
 
     const { data, error } = await query.single();
+    const reserved = table === 'posts' && RESERVED_POST_SLUGS.includes(slug);
 
-    if (error || !data) {
+    if (!reserved && (error || !data)) {
       isUnique = true;
     } else {
       slug = `${baseSlug}-${counter}`;
@@ -41,10 +49,34 @@ export async function generateSlug(title, table = 'posts', excludeId = null) {
   return slug;
 }
 
+/**
+ * Sort orders offered by the post listings
+ * Each is a column plus direction; ties break on id in the same direction.
+ */
+export const POST_SORTS = {
+  newest: { column: 'published_at', ascending: false },
+  oldest: { column: 'published_at', ascending: true },
+  title: { column: 'title', ascending: true },
+  'most-commented': { column: 'comment_count', ascending: false },
+  updated: { column: 'updated_at', ascending: false },
+};
+
+/**
+ * Quote a value for use inside a PostgREST or() filter
+ * @param {*} value - Filter value
+ * @returns {string} Double-quoted value
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
 /**
  * Get posts with pagination
- * @param {Object} options - Query options
- * @returns {Promise<Object>} { posts, total, page, pageSize }
+ * Pass a decoded cursor to page by keyset instead of offset; page is then ignored, and total and
+ * totalPages are null because counting past the cursor would only count the remaining posts.
+ * A null status lists posts in every status, for the dashboard.
+ * @param {Object} options - { page, pageSize, status, authorId, categoryId, tagId, search, sort, cursor }
+ * @returns {Promise<Object>} { posts, total, page, pageSize, totalPages, nextCursor, error? }
  */
 export async function getPaginatedPosts(options = {}) {
   const {
@@ -53,12 +85,15 @@ export async function getPaginatedPosts(options = {}) {
     status = 'published',
     authorId = null,
     categoryId = null,
+    tagId = null,
     search = null,
+    sort = 'newest',
+    cursor = null,
   } = options;
 
+  const empty = { posts: [], total: 0, page, pageSize, totalPages: 0, nextCursor: null };
+  const { column, ascending } = POST_SORTS[sort] || POST_SORTS.newest;
   const supabase = createAdminClient();
-  const from = (page - 1) * pageSize;
-  const to = from + pageSize - 1;
 
   try {
     let query = supabase
@@ -68,10 +103,19 @@ export async function getPaginatedPosts(options = {}) {
         author:users!posts_author_id_fkey(id, name, avatar_url),
         category:categories!posts_category_id_fkey(id, name, slug),
         post_tags(tag:tags(id, name, slug))
-      `, { count: 'exact' })
-      .eq('status', status)
-      .order('published_at', { ascending: false })
-      .range(from, to);
+      `, cursor ? {} : { count: 'exact' })
+      .is('deleted_at', null)
+      .order(column, { ascending })
+      .order('id', { ascending });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    // Never surface a post before its publish time, even if the publisher has not run yet
+    if (status === 'published') {
+      query = query.lte('published_at', new Date().toISOString());
+    }
 
     if (authorId) {
       query = query.eq('author_id', authorId);
@@ -81,42 +125,92 @@ export async function getPaginatedPosts(options = {}) {
       query = query.eq('category_id', categoryId);
     }
 
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,content.ilike.%${search}%,excerpt.ilike.%${search}%`);
+    if (tagId) {
+      const { data: tagged } = await supabase
+        .from('post_tags')
+        .select('post_id')
+        .eq('tag_id', tagId);
+
+      if (!tagged || tagged.length === 0) {
+        return empty;
+      }
+
+      query = query.in('id', tagged.map(row => row.post_id));
+    }
+
+    // PostgREST takes a single or= parameter, so alternatives are combined into one
+    const alternatives = [];
+
+    const term = search ? sanitizeSearchTerm(search) : '';
+    if (term) {
+      alternatives.push(`title.ilike.%${term}%,content.ilike.%${term}%,excerpt.ilike.%${term}%`);
+    }
+
+    if (cursor) {
+      const op = ascending ? 'gt' : 'lt';
+      const value = quoteFilterValue(cursor.value);
+      const id = quoteFilterValue(cursor.id);
+      alternatives.push(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${id})`);
+      query = query.limit(pageSize + 1);
+    } else {
+      const from = (page - 1) * pageSize;
+      query = query.range(from, from + pageSize);
     }
 
-    const { data: posts, error, count } = await query;
+    if (alternatives.length === 1) {
+      query = query.or(alternatives[0]);
+    } else if (alternatives.length > 1) {
+      query = query.or(`and(${alternatives.map(filter => `or(${filter})`).join(',')})`);
+    }
+
+    const { data, error, count } = await query;
 
     if (error) {
       console.error('Error fetching paginated posts:', error);
-      return {
-        posts: [],
-        total: 0,
-        page,
-        pageSize,
-        totalPages: 0,
-      };
+      return { ...empty, error: true };
     }
 
+    // One extra row was fetched to learn whether another page follows
+    const hasMore = (data?.length || 0) > pageSize;
+    const posts = (data || []).slice(0, pageSize);
+    const last = posts[posts.length - 1];
+
     return {
-      posts: posts || [],
-      total: count || 0,
+      posts,
+      total: cursor ? null : count || 0,
       page,
       pageSize,
-      totalPages: Math.ceil((count || 0) / pageSize),
+      totalPages: cursor ? null : Math.ceil((count || 0) / pageSize),
+      nextCursor: hasMore && last
+        ? encodeCursor({ sort, value: last[column], id: last.id })
+        : null,
     };
   } catch (error) {
     console.error('Error in getPaginatedPosts:', error);
-    return {
-      posts: [],
-      total: 0,
-      page,
-      pageSize,
-      totalPages: 0,
-    };
+    return { ...empty, error: true };
   }
 }
 
+/**
+ * Whether a post may be shown to anonymous readers
+ * @param {Object} post - Post with status and published_at
+ * @returns {boolean} True once the post is published and its publish time has passed
+ */
+export function isPostPublic(post) {
+  return post.status === 'published'
+    && !!post.published_at
+    && new Date(post.published_at).getTime() <= Date.now();
+}
+
+/**
+ * Entity tag for a post, used as its ETag and compared against If-Match
+ * @param {Object} post - Post with version
+ * @returns {string} Quoted entity tag
+ */
+export function getPostETag(post) {
+  return `"${post.version}"`;
+}
+
 /**
  * Get post by slug with all relations
  * @param {string} slug - Post slug
@@ -135,6 +229,7 @@ export async function getPostBySlug(slug) {
         post_tags(tag:tags(id, name, slug))
       `)
       .eq('slug', slug)
+      .is('deleted_at', null)
       .single();
 
     if (error || !post) {
@@ -235,7 +330,7 @@ export async function getPostComments(postId) {
 }
 
 /**
- * Create a new comment
+ * Create a new comment, sanitizing its content against the comment policy
  * @param {Object} commentData - Comment data
  * @returns {Promise<Object|null>} Created comment or null
  */
@@ -250,7 +345,7 @@ export async function createComment(commentData) {
         {
           post_id,
           user_id,
-          content,
+          content: sanitizeHtml(content, COMMENT_POLICY),
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
         }
@@ -278,16 +373,17 @@ export async function createComment(commentData) {
  * @param {string} commentId - Comment ID
  * @param {string} userId - User ID (for authorization)
  * @param {string} userRole - User role (for authorization)
+ * @param {string|null} [ip] - Client IP address, recorded in the audit log
  * @returns {Promise<boolean>} Success status
  */
-export async function deleteComment(commentId, userId, userRole) {
+export async function deleteComment(commentId, userId, userRole, ip = null) {
   const supabase = createAdminClient();
 
   try {
-    // Get comment to check ownership
+    // Get comment to check ownership (and keep a snapshot for the audit log)
     const { data: comment, error: fetchError } = await supabase
       .from('comments')
-      .select('user_id')
+      .select('*')
       .eq('id', commentId)
       .single();
 
@@ -296,7 +392,8 @@ export async function deleteComment(commentId, userId, userRole) {
     }
 
     // Check authorization
-    if (userRole !== 'admin' && comment.user_id !== userId) {
+    if (!canActOn({ id: userId, role: userRole }, 'comment', 'delete', comment.user_id)
+      && !hasCapability(userRole, 'comment:moderate')) {
       return false;
     }
 
@@ -310,9 +407,88 @@ export async function deleteComment(commentId, userId, userRole) {
       return false;
     }
 
+    await recordAudit({
+      actor: { id: userId },
+      action: 'comment.delete',
+      targetType: 'comment',
+      targetId: commentId,
+      before: comment,
+      metadata: { moderated: comment.user_id !== userId },
+      ip,
+    });
+
     return true;
   } catch (error) {
     console.error('Error in deleteComment:', error);
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Change a user's role and revoke their existing sessions
+ * Tokens carry the role, so old tokens must not outlive a demotion.
+ * @param {string} userId - User ID
+ * @param {string} role - New role
+ * @returns {Promise<Object|null>} Updated user (without password) or null
+ */
+export async function updateUserRole(userId, role) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({
+        role,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', userId)
+      .select('id, email, name, role, bio, avatar_url, created_at, updated_at')
+      .single();
+
+    if (error || !user) {
+      console.error('Error updating user role:', error);
+      return null;
+    }
+
+    await revokeUserSessions(userId);
+
+    return user;
+  } catch (error) {
+    console.error('Error in updateUserRole:', error);
+    return null;
+  }
+}
+
+/**
+ * Update the editable profile fields of a user
+ * @param {string} userId - User ID
+ * @param {Object} profile - Any of { name, bio, avatar_url }
+ * @returns {Promise<Object|null>} Updated user (without password) or null
+ */
+export async function updateUserProfile(userId, profile) {
+  const supabase = createAdminClient();
+  const updateData = { updated_at: new Date().toISOString() };
+
+  if (profile.name !== undefined) updateData.name = profile.name.trim();
+  if (profile.bio !== undefined) updateData.bio = profile.bio?.trim() || null;
+  if (profile.avatar_url !== undefined) updateData.avatar_url = profile.avatar_url || null;
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .update(updateData)
+      .eq('id', userId)
+      .select(SESSION_USER_COLUMNS)
+      .single();
+
+    if (error || !user) {
+      console.error('Error updating user profile:', error);
+      return null;
+    }
+
+    return user;
+  } catch (error) {
+    console.error('Error in updateUserProfile:', error);
+    return null;
+  }
+}
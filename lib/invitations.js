@@ -0,0 +1,168 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { generateSecureToken, hashToken } from '@/lib/crypto';
+
+/**
+ * Create an invitation that grants a role on registration
+ * @param {Object} invitationData - { email, role, invitedBy, expiresInDays }
+ * @returns {Promise<Object|null>} { invitation, token } or null on failure
+ */
+export async function createInvitation(invitationData) {
+  const { email, role, invitedBy, expiresInDays = 7 } = invitationData;
+  const supabase = createAdminClient();
+  const token = generateSecureToken(32);
+
+  try {
+    const { data: invitation, error } = await supabase
+      .from('invitations')
+      .insert([
+        {
+          email: email.toLowerCase(),
+          role,
+          token_hash: hashToken(token),
+          invited_by: invitedBy,
+          expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+          created_at: new Date().toISOString(),
+        }
+      ])
+      .select('id, email, role, invited_by, expires_at, accepted_at, revoked_at, created_at')
+      .single();
+
+    if (error) {
+      console.error('Error creating invitation:', error);
+      return null;
+    }
+
+    return { invitation, token };
+  } catch (error) {
+    console.error('Error in createInvitation:', error);
+    return null;
+  }
+}
+
+/**
+ * Look up a pending invitation by its token
+ * @param {string} token - Invitation token from the invite link
+ * @returns {Promise<Object|null>} Invitation or null if invalid, used, revoked or expired
+ */
+export async function getPendingInvitation(token) {
+  if (!token) {
+    return null;
+  }
+
+  const supabase = createAdminClient();
+
+  try {
+    const { data: invitation, error } = await supabase
+      .from('invitations')
+      .select('id, email, role, expires_at, accepted_at, revoked_at')
+      .eq('token_hash', hashToken(token))
+      .single();
+
+    if (error || !invitation) {
+      return null;
+    }
+
+    if (invitation.accepted_at || invitation.revoked_at) {
+      return null;
+    }
+
+    if (new Date(invitation.expires_at) <= new Date()) {
+      return null;
+    }
+
+    return invitation;
+  } catch (error) {
+    console.error('Error in getPendingInvitation:', error);
+    return null;
+  }
+}
+
+/**
+ * Mark an invitation as accepted so it cannot be used again
+ * @param {string} invitationId - Invitation ID
+ * @param {string} userId - ID of the user who accepted it
+ * @returns {Promise<boolean>} True if this call claimed the invitation
+ */
+export async function acceptInvitation(invitationId, userId) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('invitations')
+      .update({
+        accepted_at: new Date().toISOString(),
+        accepted_by: userId,
+      })
+      .eq('id', invitationId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      console.error('Error accepting invitation:', error);
+      return false;
+    }
+
+    return data && data.length > 0;
+  } catch (error) {
+    console.error('Error in acceptInvitation:', error);
+    return false;
+  }
+}
+
+/**
+ * List invitations, newest first
+ * @returns {Promise<Array>} Invitations
+ */
+export async function listInvitations() {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: invitations, error } = await supabase
+      .from('invitations')
+      .select(`
+        id, email, role, expires_at, accepted_at, revoked_at, created_at,
+        inviter:users!fk_invitations_invited_by(id, name, email)
+      `)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching invitations:', error);
+      return [];
+    }
+
+    return invitations || [];
+  } catch (error) {
+    console.error('Error in listInvitations:', error);
+    return [];
+  }
+}
+
+/**
+ * Revoke a pending invitation
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<boolean>} True if a pending invitation was revoked
+ */
+export async function revokeInvitation(invitationId) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      console.error('Error revoking invitation:', error);
+      return false;
+    }
+
+    return data && data.length > 0;
+  } catch (error) {
+    console.error('Error in revokeInvitation:', error);
+    return false;
+  }
+}
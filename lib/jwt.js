@@ -1,7 +1,10 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import { createRefreshToken, isTokenRevoked } from '@/lib/token-store';
+import { SESSION_COOKIE, getCookie, isCsrfValid } from '@/lib/cookies';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
  * Generate a JWT token for a user
@@ -12,6 +15,7 @@ export function generateToken(payload) {
   try {
     return jwt.sign(payload, JWT_SECRET, {
       expiresIn: JWT_EXPIRES_IN,
+      jwtid: crypto.randomUUID(),
     });
   } catch (error) {
     console.error('Error generating token:', error);
@@ -20,19 +24,84 @@ export function generateToken(payload) {
 }
 
 /**
- * Verify and decode a JWT token
+ * Generate a short-lived access token for a user row
+ * @param {Object} user - User row from the database
+ * @returns {string} JWT token
+ */
+export function generateAccessToken(user) {
+  return generateToken({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    tv: user.token_version || 0,
+  });
+}
+
+/**
+ * Issue a short-lived access token and a rotating refresh token for a user
+ * @param {Object} user - User row from the database
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+export async function generateAuthTokens(user) {
+  const token = generateAccessToken(user);
+  const { token: refreshToken } = await createRefreshToken(user.id);
+
+  return { token, refreshToken };
+}
+
+/**
+ * Verify and decode a JWT token, rejecting revoked tokens
  * @param {string} token - JWT token to verify
- * @returns {Object|null} Decoded token payload or null if invalid
+ * @returns {Promise<Object|null>} Decoded token payload or null if invalid
  */
-export function verifyToken(token) {
+export async function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    if (await isTokenRevoked(decoded)) {
+      return null;
+    }
+
+    return decoded;
   } catch (error) {
     console.error('Error verifying token:', error);
     return null;
   }
 }
 
+/**
+ * Sign a token for a single purpose (password reset, email verification, ...)
+ * Scoped tokens use a purpose-specific key so they can never pass as access tokens.
+ * @param {Object} payload - Data to encode in token
+ * @param {string} purpose - Token purpose
+ * @param {string} expiresIn - Lifetime (any jsonwebtoken duration)
+ * @returns {Object} { token, jti }
+ */
+export function signScopedToken(payload, purpose, expiresIn) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(payload, `${JWT_SECRET}:${purpose}`, {
+    expiresIn,
+    audience: purpose,
+    jwtid: jti,
+  });
+
+  return { token, jti };
+}
+
+/**
+ * Verify a token signed with signScopedToken
+ * @param {string} token - Token to verify
+ * @param {string} purpose - Expected purpose
+ * @returns {Object|null} Decoded payload or null if invalid
+ */
+export function verifyScopedToken(token, purpose) {
+  try {
+    return jwt.verify(token, `${JWT_SECRET}:${purpose}`, { audience: purpose });
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Decode a JWT token without verifying (use with caution)
  * @param {string} token - JWT token to decode
@@ -60,20 +129,32 @@ export function extractTokenFromHeader(authHeader) {
 }
 
 /**
- * Verify token from request headers
+ * Verify token from the Authorization header or the session cookie
+ * Cookie-authenticated mutations must pass the CSRF check.
  * @param {Request} request - Next.js request object
- * @returns {Object|null} Decoded token payload or null if invalid
+ * @returns {Promise<Object|null>} Decoded token payload or null if invalid
  */
-export function verifyTokenFromRequest(request) {
+export async function verifyTokenFromRequest(request) {
   try {
     const authHeader = request.headers.get('authorization');
     const token = extractTokenFromHeader(authHeader);
     
-    if (!token) {
+    if (token) {
+      return await verifyToken(token);
+    }
+
+    const sessionToken = getCookie(request, SESSION_COOKIE);
+
+    if (!sessionToken) {
       return null;
     }
-    
-    return verifyToken(token);
+
+    if (!isCsrfValid(request)) {
+      console.warn(`Rejected cookie-authenticated ${request.method} ${new URL(request.url).pathname} without a valid CSRF token`);
+      return null;
+    }
+
+    return await verifyToken(sessionToken);
   } catch (error) {
     console.error('Error verifying token from request:', error);
     return null;
@@ -0,0 +1,239 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import bcrypt from 'bcryptjs';
+
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_RATE_WINDOW_MINUTES || '15', 10);
+const IP_LIMIT = parseInt(process.env.LOGIN_RATE_LIMIT_PER_IP || '20', 10);
+const ACCOUNT_LIMIT = parseInt(process.env.LOGIN_RATE_LIMIT_PER_ACCOUNT || '5', 10);
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '30', 10);
+
+// Compared against when the account does not exist so that unknown emails
+// take as long as wrong passwords
+let dummyPasswordHash = null;
+
+/**
+ * Compare a password against a hash in constant time, even when there is no hash
+ * @param {string} password - Password from the request
+ * @param {string|null} hash - Stored bcrypt hash, or null if the account does not exist
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, hash) {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = await bcrypt.hash('constant-time-placeholder', 10);
+  }
+
+  const matches = await bcrypt.compare(password, hash || dummyPasswordHash);
+  return matches && !!hash;
+}
+
+/**
+ * Count failed attempts in the sliding window and work out when the next one is allowed
+ * @param {string} column - 'email' or 'ip'
+ * @param {string} value - Value to match
+ * @param {number} limit - Maximum failed attempts per window
+ * @returns {Promise<number>} Seconds until allowed, 0 if allowed now
+ */
+async function getRetryAfter(column, value, limit) {
+  const supabase = createAdminClient();
+  const windowMs = WINDOW_MINUTES * 60 * 1000;
+  const windowStart = new Date(Date.now() - windowMs).toISOString();
+
+  const { data: attempts, error } = await supabase
+    .from('login_attempts')
+    .select('created_at')
+    .eq(column, value)
+    .eq('success', false)
+    .gte('created_at', windowStart)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error reading login attempts:', error);
+    return 0;
+  }
+
+  if (!attempts || attempts.length < limit) {
+    return 0;
+  }
+
+  // Allowed again once the oldest of the last `limit` failures leaves the window
+  const oldest = new Date(attempts[attempts.length - 1].created_at).getTime();
+  return Math.max(1, Math.ceil((oldest + windowMs - Date.now()) / 1000));
+}
+
+/**
+ * Check the per-IP and per-account login rate limits
+ * @param {Object} options - { email, ip }
+ * @returns {Promise<Object>} { allowed: boolean, retryAfter: number }
+ */
+export async function checkLoginRateLimit({ email, ip }) {
+  try {
+    const [ipRetryAfter, accountRetryAfter] = await Promise.all([
+      getRetryAfter('ip', ip, IP_LIMIT),
+      getRetryAfter('email', email, ACCOUNT_LIMIT),
+    ]);
+    const retryAfter = Math.max(ipRetryAfter, accountRetryAfter);
+
+    return { allowed: retryAfter === 0, retryAfter };
+  } catch (error) {
+    console.error('Error in checkLoginRateLimit:', error);
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
+/**
+ * Seconds until a locked account can log in again
+ * @param {Object} user - User row
+ * @returns {number} Seconds remaining, 0 if not locked
+ */
+export function getLockoutRemaining(user) {
+  if (!user?.locked_until) {
+    return 0;
+  }
+  const remaining = new Date(user.locked_until).getTime() - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+/**
+ * Seconds until an email address can log in again, worked out from its recorded attempts
+ * Follows the same rule as the account lockout (every LOCKOUT_THRESHOLD-th consecutive failure
+ * locks for LOCKOUT_MINUTES) but applies to every address, so a locked response does not reveal
+ * that an account exists. Attempts are not recorded while locked, so the latest failure is the
+ * one that started the lock.
+ * @param {string} email - Lowercased email from the request
+ * @returns {Promise<number>} Seconds remaining, 0 if not locked
+ */
+export async function getEmailLockoutRemaining(email) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: lastSuccess } = await supabase
+      .from('login_attempts')
+      .select('created_at')
+      .eq('email', email)
+      .eq('success', true)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    let query = supabase
+      .from('login_attempts')
+      .select('created_at', { count: 'exact' })
+      .eq('email', email)
+      .eq('success', false)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (lastSuccess) {
+      query = query.gt('created_at', lastSuccess.created_at);
+    }
+
+    const { data: failures, count, error } = await query;
+
+    if (error) {
+      console.error('Error reading login attempts:', error);
+      return 0;
+    }
+
+    if (!count || count % LOCKOUT_THRESHOLD !== 0 || !failures?.[0]) {
+      return 0;
+    }
+
+    const lockedUntil = new Date(failures[0].created_at).getTime() + LOCKOUT_MINUTES * 60 * 1000;
+    return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+  } catch (error) {
+    console.error('Error in getEmailLockoutRemaining:', error);
+    return 0;
+  }
+}
+
+/**
+ * Record a failed login and lock the account after too many consecutive failures
+ * @param {Object} options - { email, ip, user } where user is null for unknown emails
+ * @returns {Promise<void>}
+ */
+export async function recordLoginFailure({ email, ip, user }) {
+  const supabase = createAdminClient();
+
+  try {
+    await supabase
+      .from('login_attempts')
+      .insert([{ email, ip, success: false, created_at: new Date().toISOString() }]);
+
+    if (!user) {
+      return;
+    }
+
+    const failedLoginCount = (user.failed_login_count || 0) + 1;
+    const updateData = { failed_login_count: failedLoginCount };
+
+    if (failedLoginCount >= LOCKOUT_THRESHOLD) {
+      updateData.locked_until = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+      updateData.failed_login_count = 0;
+    }
+
+    await supabase
+      .from('users')
+      .update(updateData)
+      .eq('id', user.id);
+  } catch (error) {
+    console.error('Error in recordLoginFailure:', error);
+  }
+}
+
+/**
+ * Record a successful login and reset the failure counter
+ * @param {Object} options - { email, ip, user }
+ * @returns {Promise<void>}
+ */
+export async function recordLoginSuccess({ email, ip, user }) {
+  const supabase = createAdminClient();
+
+  try {
+    await supabase
+      .from('login_attempts')
+      .insert([{ email, ip, success: true, created_at: new Date().toISOString() }]);
+
+    if (user.failed_login_count || user.locked_until) {
+      await supabase
+        .from('users')
+        .update({ failed_login_count: 0, locked_until: null })
+        .eq('id', user.id);
+    }
+  } catch (error) {
+    console.error('Error in recordLoginSuccess:', error);
+  }
+}
+
+/**
+ * Lift a lockout and clear the account's recent failed attempts
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Updated user or null if not found
+ */
+export async function unlockAccount(userId) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ failed_login_count: 0, locked_until: null })
+      .eq('id', userId)
+      .select('id, email, name, role, locked_until, failed_login_count')
+      .single();
+
+    if (error || !user) {
+      return null;
+    }
+
+    await supabase
+      .from('login_attempts')
+      .delete()
+      .eq('email', user.email.toLowerCase())
+      .eq('success', false);
+
+    return user;
+  } catch (error) {
+    console.error('Error in unlockAccount:', error);
+    return null;
+  }
+}
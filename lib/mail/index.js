@@ -0,0 +1,55 @@
+/**
+ * Mail delivery
+ * The transport is selected with MAIL_TRANSPORT:
+ * - outbox (default): writes each message as a JSON file to MAIL_OUTBOX_DIR
+ * - smtp: delivers through the SMTP server configured with SMTP_* variables
+ * - console: logs messages to the server console
+ */
+
+import { outboxTransport } from './transports/outbox';
+import { smtpTransport } from './transports/smtp';
+import { consoleTransport } from './transports/console';
+
+const transports = {
+  outbox: outboxTransport,
+  smtp: smtpTransport,
+  console: consoleTransport,
+};
+
+/**
+ * Get the configured mail transport
+ * @returns {Object} Transport with a send(message) method
+ */
+export function getMailTransport() {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+  }
+
+  return transport;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<boolean>} True if the message was handed to the transport
+ */
+export async function sendMail(message) {
+  const { to, subject, text, html } = message;
+
+  try {
+    await getMailTransport().send({
+      from: process.env.MAIL_FROM || 'Blog <no-reply@localhost>',
+      to,
+      subject,
+      text,
+      html,
+    });
+    return true;
+  } catch (error) {
+    console.error('Error sending mail:', error);
+    return false;
+  }
+}
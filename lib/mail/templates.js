@@ -0,0 +1,116 @@
+/**
+ * Email templates
+ * Each template returns { subject, text, html }.
+ */
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #111827; line-height: 1.5;">
+    <h2 style="color: #2563eb;">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="color: #6b7280; font-size: 12px;">If you did not request this email you can safely ignore it.</p>
+  </body>
+</html>`;
+}
+
+function button(url, label) {
+  return `<p><a href="${escapeHtml(url)}" style="background: #2563eb; color: #ffffff; padding: 10px 16px; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+}
+
+/**
+ * Password reset email
+ * @param {Object} data - { name, url }
+ * @returns {Object} { subject, text, html }
+ */
+export function passwordResetEmail({ name, url }) {
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${name || 'there'},\n\nUse the link below to choose a new password. It expires in 1 hour and can only be used once.\n\n${url}\n`,
+    html: layout('Reset your password', `
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>Use the button below to choose a new password. The link expires in 1 hour and can only be used once.</p>
+      ${button(url, 'Reset password')}
+    `),
+  };
+}
+
+/**
+ * Email verification email
+ * @param {Object} data - { name, url }
+ * @returns {Object} { subject, text, html }
+ */
+export function verificationEmail({ name, url }) {
+  return {
+    subject: 'Confirm your email address',
+    text: `Hi ${name || 'there'},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${url}\n`,
+    html: layout('Confirm your email address', `
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>Please confirm your email address. The link expires in 24 hours.</p>
+      ${button(url, 'Confirm email')}
+    `),
+  };
+}
+
+/**
+ * Confirmation link sent to the new address of an email change
+ * @param {Object} data - { name, newEmail, url }
+ * @returns {Object} { subject, text, html }
+ */
+export function emailChangeEmail({ name, newEmail, url }) {
+  return {
+    subject: 'Confirm your new email address',
+    text: `Hi ${name || 'there'},\n\nOpen the link below to use ${newEmail} for your account. It expires in 1 hour and can only be used once.\n\n${url}\n`,
+    html: layout('Confirm your new email address', `
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>Use the button below to start using <strong>${escapeHtml(newEmail)}</strong> for your account. The link expires in 1 hour and can only be used once.</p>
+      ${button(url, 'Confirm new email')}
+    `),
+  };
+}
+
+/**
+ * Notice sent to the old address after an email change
+ * @param {Object} data - { name, newEmail }
+ * @returns {Object} { subject, text, html }
+ */
+export function emailChangedNotice({ name, newEmail }) {
+  return {
+    subject: 'Your email address was changed',
+    text: `Hi ${name || 'there'},\n\nThe email address of your account was changed to ${newEmail}. If you did not make this change, reset your password and contact an administrator.\n`,
+    html: layout('Your email address was changed', `
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>The email address of your account was changed to <strong>${escapeHtml(newEmail)}</strong>.</p>
+      <p>If you did not make this change, reset your password and contact an administrator.</p>
+    `),
+  };
+}
+
+/**
+ * Confirmation that an account will be deleted after the grace period
+ * @param {Object} data - { name, scheduledFor, url }
+ * @returns {Object} { subject, text, html }
+ */
+export function accountDeletionScheduledEmail({ name, scheduledFor, url }) {
+  const date = new Date(scheduledFor).toUTCString();
+
+  return {
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${name || 'there'},\n\nYour account and data will be deleted on ${date}. If you change your mind, sign in and cancel the deletion before then:\n\n${url}\n`,
+    html: layout('Your account is scheduled for deletion', `
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>Your account and data will be deleted on <strong>${escapeHtml(date)}</strong>.</p>
+      <p>If you change your mind, sign in and cancel the deletion before then.</p>
+      ${button(url, 'Keep my account')}
+    `),
+  };
+}
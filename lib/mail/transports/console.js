@@ -0,0 +1,9 @@
+/**
+ * Console transport
+ * Logs messages instead of delivering them.
+ */
+export const consoleTransport = {
+  async send(message) {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  },
+};
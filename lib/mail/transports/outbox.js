@@ -0,0 +1,23 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Local outbox transport
+ * Writes each message to MAIL_OUTBOX_DIR (default .outbox) instead of sending it,
+ * so emails can be inspected during development and in offline tests.
+ */
+export const outboxTransport = {
+  async send(message) {
+    const outboxDir = path.resolve(process.cwd(), process.env.MAIL_OUTBOX_DIR || '.outbox');
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const createdAt = new Date().toISOString();
+    const id = `${createdAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await fs.writeFile(
+      path.join(outboxDir, `${id}.json`),
+      JSON.stringify({ id, ...message, createdAt }, null, 2)
+    );
+  },
+};
@@ -0,0 +1,28 @@
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+/**
+ * SMTP transport
+ * Works with any SMTP server, including local stand-ins such as MailHog or Mailpit.
+ */
+export const smtpTransport = {
+  async send(message) {
+    if (!transporter) {
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST must be set when MAIL_TRANSPORT=smtp');
+      }
+
+      transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined,
+      });
+    }
+
+    await transporter.sendMail(message);
+  },
+};
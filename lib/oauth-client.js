@@ -0,0 +1,52 @@
+import { createClient } from '@/lib/supabase/client';
+
+/**
+ * OAuth providers enabled in Supabase Auth, from NEXT_PUBLIC_OAUTH_PROVIDERS
+ */
+export const OAUTH_PROVIDERS = (process.env.NEXT_PUBLIC_OAUTH_PROVIDERS || '')
+  .split(',')
+  .map(provider => provider.trim())
+  .filter(Boolean);
+
+const PROVIDER_LABELS = {
+  github: 'GitHub',
+  gitlab: 'GitLab',
+  google: 'Google',
+  azure: 'Microsoft',
+  linkedin_oidc: 'LinkedIn',
+};
+
+/**
+ * Human readable provider name
+ * @param {string} provider - Supabase provider id
+ * @returns {string} Label
+ */
+export function getProviderLabel(provider) {
+  return PROVIDER_LABELS[provider] || provider.charAt(0).toUpperCase() + provider.slice(1);
+}
+
+/**
+ * Redirect the browser to an OAuth provider through Supabase Auth
+ * @param {string} provider - Supabase provider id
+ * @param {Object} options - { link, next } where link connects the provider to the signed-in user
+ * @returns {Promise<string|null>} Error message, or null while redirecting
+ */
+export async function redirectToProvider(provider, { link = false, next } = {}) {
+  const params = new URLSearchParams();
+  if (link) {
+    params.set('link', '1');
+  }
+  if (next) {
+    params.set('next', next);
+  }
+
+  const query = params.toString();
+  const { error } = await createClient().auth.signInWithOAuth({
+    provider,
+    options: {
+      redirectTo: `${window.location.origin}/api/auth/callback${query ? `?${query}` : ''}`,
+    },
+  });
+
+  return error ? error.message : null;
+}
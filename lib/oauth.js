@@ -0,0 +1,280 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { signScopedToken, verifyScopedToken } from '@/lib/jwt';
+
+const IDENTITY_COLUMNS = 'id, provider, email, last_sign_in_at, created_at';
+
+/**
+ * The provider identity the Supabase user just signed in with
+ * Supabase keeps every identity sharing an email on one auth user, so the
+ * most recently used one is the provider of this round trip.
+ * @param {Object} authUser - Supabase Auth user
+ * @returns {Object|null} { provider, providerUserId, email } or null
+ */
+function getSignInIdentity(authUser) {
+  const identities = [...(authUser.identities || [])]
+    .filter(identity => identity.provider !== 'email')
+    .sort((a, b) => new Date(b.last_sign_in_at || 0) - new Date(a.last_sign_in_at || 0));
+
+  const identity = identities[0];
+
+  if (!identity) {
+    return null;
+  }
+
+  return {
+    provider: identity.provider,
+    providerUserId: String(identity.identity_data?.sub || identity.id),
+    email: identity.identity_data?.email || authUser.email || null,
+  };
+}
+
+async function findLinkedIdentity(supabase, { provider, providerUserId }) {
+  const { data } = await supabase
+    .from('user_identities')
+    .select('id, user_id')
+    .eq('provider', provider)
+    .eq('provider_user_id', providerUserId)
+    .maybeSingle();
+
+  return data;
+}
+
+async function insertIdentity(supabase, userId, identity) {
+  const { error } = await supabase
+    .from('user_identities')
+    .insert([
+      {
+        user_id: userId,
+        provider: identity.provider,
+        provider_user_id: identity.providerUserId,
+        email: identity.email,
+        last_sign_in_at: new Date().toISOString(),
+        created_at: new Date().toISOString(),
+      }
+    ]);
+
+  if (error) {
+    console.error('Error linking identity:', error);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find or create the app user for a Supabase OAuth sign-in
+ * Known identities map straight to their user. Otherwise the provider's
+ * verified email is matched against users, creating a reader account if none
+ * exists, and the identity is linked for next time.
+ * @param {Object} authUser - Supabase Auth user from exchangeCodeForSession
+ * @returns {Promise<{ user?: any, error?: string }>} The full users row, or an error code
+ */
+export async function findOrCreateOAuthUser(authUser) {
+  const supabase = createAdminClient();
+  const identity = getSignInIdentity(authUser);
+
+  if (!identity) {
+    return { error: 'missing_identity' };
+  }
+
+  try {
+    const linked = await findLinkedIdentity(supabase, identity);
+
+    if (linked) {
+      await supabase
+        .from('user_identities')
+        .update({ last_sign_in_at: new Date().toISOString() })
+        .eq('id', linked.id);
+
+      const { data: user } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', linked.user_id)
+        .single();
+
+      return user ? { user } : { error: 'server_error' };
+    }
+
+    // Matching by email is only safe when the provider vouches for it
+    const email = authUser.email;
+    if (!email || !authUser.email_confirmed_at) {
+      return { error: 'email_unverified' };
+    }
+
+    let { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .in('email', [...new Set([email, email.toLowerCase()])])
+      .limit(1)
+      .maybeSingle();
+
+    if (!user) {
+      const metadata = authUser.user_metadata || {};
+
+      const { data: newUser, error: insertError } = await supabase
+        .from('users')
+        .insert([
+          {
+            name: metadata.full_name || metadata.name || email.split('@')[0],
+            email: email.toLowerCase(),
+            password: null,
+            role: 'reader',
+            bio: null,
+            avatar_url: metadata.avatar_url || `https://api.dicebear.com/7.x/avataaars/svg?seed=${email}`,
+            email_verified_at: new Date().toISOString(),
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          }
+        ])
+        .select()
+        .single();
+
+      if (insertError) {
+        console.error('Error creating OAuth user:', insertError);
+        return { error: 'server_error' };
+      }
+
+      user = newUser;
+    } else if (!user.email_verified_at) {
+      // The provider just proved ownership of the address
+      await supabase
+        .from('users')
+        .update({ email_verified_at: new Date().toISOString() })
+        .eq('id', user.id);
+    }
+
+    if (!await insertIdentity(supabase, user.id, identity)) {
+      return { error: 'server_error' };
+    }
+
+    return { user };
+  } catch (error) {
+    console.error('Error in findOrCreateOAuthUser:', error);
+    return { error: 'server_error' };
+  }
+}
+
+/**
+ * Link the provider identity of a Supabase OAuth sign-in to an existing user
+ * @param {string} userId - User to link to
+ * @param {Object} authUser - Supabase Auth user from exchangeCodeForSession
+ * @returns {Promise<{ provider?: string, error?: string }>} Linked provider, or an error code
+ */
+export async function linkOAuthIdentity(userId, authUser) {
+  const supabase = createAdminClient();
+  const identity = getSignInIdentity(authUser);
+
+  if (!identity) {
+    return { error: 'missing_identity' };
+  }
+
+  try {
+    const linked = await findLinkedIdentity(supabase, identity);
+
+    if (linked) {
+      return linked.user_id === userId
+        ? { provider: identity.provider }
+        : { error: 'identity_in_use' };
+    }
+
+    if (!await insertIdentity(supabase, userId, identity)) {
+      return { error: 'server_error' };
+    }
+
+    return { provider: identity.provider };
+  } catch (error) {
+    console.error('Error in linkOAuthIdentity:', error);
+    return { error: 'server_error' };
+  }
+}
+
+/**
+ * Token stored in the link cookie before redirecting to the provider
+ * @param {string} userId - Signed-in user starting the link
+ * @returns {string} Link token
+ */
+export function createLinkIntent(userId) {
+  const { token } = signScopedToken({ sub: userId }, 'oauth-link', '10m');
+  return token;
+}
+
+/**
+ * Verify a token created by createLinkIntent
+ * @param {string|null} token - Link token
+ * @returns {string|null} User ID or null if invalid
+ */
+export function verifyLinkIntent(token) {
+  if (!token) {
+    return null;
+  }
+  const decoded = verifyScopedToken(token, 'oauth-link');
+  return decoded ? decoded.sub : null;
+}
+
+/**
+ * List the provider identities linked to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Identities
+ */
+export async function listIdentities(userId) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: identities, error } = await supabase
+      .from('user_identities')
+      .select(IDENTITY_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching identities:', error);
+      return [];
+    }
+
+    return identities || [];
+  } catch (error) {
+    console.error('Error in listIdentities:', error);
+    return [];
+  }
+}
+
+/**
+ * Unlink a provider identity, keeping at least one way to sign in
+ * @param {string} userId - Owner of the identity
+ * @param {string} identityId - Identity ID
+ * @returns {Promise<Object>} { success: true } or { error } with an error code
+ */
+export async function unlinkIdentity(userId, identityId) {
+  const supabase = createAdminClient();
+
+  try {
+    const [{ data: user }, identities] = await Promise.all([
+      supabase.from('users').select('password').eq('id', userId).single(),
+      listIdentities(userId),
+    ]);
+
+    if (!identities.some(identity => identity.id === identityId)) {
+      return { error: 'not_found' };
+    }
+
+    if (!user?.password && identities.length === 1) {
+      return { error: 'last_sign_in_method' };
+    }
+
+    const { error } = await supabase
+      .from('user_identities')
+      .delete()
+      .eq('id', identityId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error unlinking identity:', error);
+      return { error: 'server_error' };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error in unlinkIdentity:', error);
+    return { error: 'server_error' };
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Pagination helpers shared by list endpoints
+ */
+
+/**
+ * Encode a keyset position as an opaque cursor
+ * @param {Object} position - { sort, value, id } of the last item on a page
+ * @returns {string} URL-safe cursor
+ */
+export function encodeCursor({ sort, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the query string
+ * @returns {Object|null} { sort, value, id } or null if malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (typeof s !== 'string' || typeof id !== 'string' || v === undefined) {
+      return null;
+    }
+
+    return { sort: s, value: v, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read page and pageSize from the query string, clamped to sane bounds
+ * @param {URLSearchParams} searchParams - Query string
+ * @param {Object} [options] - { defaultPageSize, maxPageSize }
+ * @returns {Object} { page, pageSize }
+ */
+export function parsePageParams(searchParams, { defaultPageSize = 20, maxPageSize = 100 } = {}) {
+  const page = Math.max(1, parseInt(searchParams.get('page') || '1', 10) || 1);
+  const pageSize = Math.min(
+    maxPageSize,
+    Math.max(1, parseInt(searchParams.get('pageSize') || String(defaultPageSize), 10) || defaultPageSize)
+  );
+
+  return { page, pageSize };
+}
+
+/**
+ * Build an RFC 8288 Link header for a paginated response
+ * @param {string} requestUrl - URL of the current request
+ * @param {Object} pagination - { page, totalPages, nextCursor }; totalPages is null when paging by cursor
+ * @returns {string} Link header value, empty when there is nothing to link
+ */
+export function buildLinkHeader(requestUrl, { page, totalPages, nextCursor }) {
+  const linkTo = (params) => {
+    const url = new URL(requestUrl);
+    url.searchParams.delete('cursor');
+    url.searchParams.delete('page');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, String(value)));
+    return url.toString();
+  };
+
+  const links = [];
+
+  // Page numbers are meaningless once the client is following cursors, and there is no count to derive last from
+  if (totalPages === null || new URL(requestUrl).searchParams.has('cursor')) {
+    if (nextCursor) {
+      links.push(`<${linkTo({ cursor: nextCursor })}>; rel="next"`);
+    }
+    return links.join(', ');
+  }
+
+  if (page < totalPages) {
+    links.push(`<${linkTo({ page: page + 1 })}>; rel="next"`);
+  }
+  if (page > 1) {
+    links.push(`<${linkTo({ page: page - 1 })}>; rel="prev"`);
+  }
+  if (totalPages > 0) {
+    links.push(`<${linkTo({ page: 1 })}>; rel="first"`);
+    links.push(`<${linkTo({ page: totalPages })}>; rel="last"`);
+  }
+
+  return links.join(', ');
+}
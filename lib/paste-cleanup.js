@@ -0,0 +1,76 @@
+/**
+ * Clean up HTML pasted from Word and Google Docs before the rich-text editor parses it
+ * Runs in the browser; the editor schema and the server-side sanitizer drop anything else.
+ */
+
+// Word marks list paragraphs with an mso-list style instead of using <ul>/<ol>
+const WORD_LIST_STYLE = /mso-list:\s*l\d/i;
+
+// Markers such as "1.", "a)" or "iv." mean the Word list was numbered
+const ORDERED_MARKER = /^\s*(\d+|[a-z]|[ivxlc]+)[.)]/i;
+
+/**
+ * Turn runs of Word list paragraphs into real lists, in place
+ * Nesting levels are flattened into a single list.
+ * @param {Document} doc - Parsed clipboard document
+ */
+function convertWordLists(doc) {
+  const isListParagraph = element =>
+    element?.tagName === 'P' && WORD_LIST_STYLE.test(element.getAttribute('style') || '');
+
+  for (const first of Array.from(doc.body.querySelectorAll('p'))) {
+    // Skip paragraphs already moved into a list, and anything but the start of a run
+    if (!first.isConnected || !isListParagraph(first) || isListParagraph(first.previousElementSibling)) {
+      continue;
+    }
+
+    const items = [];
+    for (let item = first; isListParagraph(item); item = item.nextElementSibling) {
+      items.push(item);
+    }
+
+    const firstMarker = first.querySelector('span[style*="mso-list:Ignore"], span[style*="mso-list: Ignore"]');
+    const list = doc.createElement(ORDERED_MARKER.test(firstMarker?.textContent || '') ? 'ol' : 'ul');
+
+    for (const item of items) {
+      item.querySelectorAll('span[style*="mso-list:Ignore"], span[style*="mso-list: Ignore"]')
+        .forEach(marker => marker.remove());
+
+      const listItem = doc.createElement('li');
+      listItem.innerHTML = item.innerHTML;
+      list.append(listItem);
+    }
+
+    first.before(list);
+    items.forEach(item => item.remove());
+  }
+}
+
+/**
+ * Strip Office markup and turn Word's fake lists into real ones
+ * Google Docs needs no special handling: its bold wrapper is font-weight:normal, which
+ * the editor already ignores.
+ * @param {string} html - Clipboard HTML
+ * @returns {string} Cleaned HTML
+ */
+export function cleanPastedHtml(html) {
+  const stripped = html
+    // Word's conditional comments and the clipboard's StartFragment markers
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[(end)?if[^>]*>/gi, '')
+    // Office namespaced elements such as <o:p> and <w:WordDocument>
+    .replace(/<\/?[a-z]+:[^>]*>/gi, '');
+
+  const doc = new DOMParser().parseFromString(stripped, 'text/html');
+  doc.querySelectorAll('style, meta, link, title, script').forEach(element => element.remove());
+  convertWordLists(doc);
+
+  // Word fills empty paragraphs with a lone &nbsp;
+  doc.body.querySelectorAll('p').forEach(paragraph => {
+    if (paragraph.textContent.trim() === '' && !paragraph.querySelector('img')) {
+      paragraph.remove();
+    }
+  });
+
+  return doc.body.innerHTML;
+}
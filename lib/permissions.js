@@ -0,0 +1,74 @@
+/**
+ * Role → capability policy
+ * Routes ask for capabilities rather than role names, so adding or reshaping a
+ * role only means editing this map. Safe to import from client components.
+ */
+
+const READER_CAPABILITIES = [
+  'comment:create',
+  'comment:delete:own',
+];
+
+const AUTHOR_CAPABILITIES = [
+  ...READER_CAPABILITIES,
+  'post:create',
+  'post:publish',
+  'post:read:own',
+  'post:edit:own',
+  'post:delete:own',
+];
+
+const EDITOR_CAPABILITIES = [
+  ...AUTHOR_CAPABILITIES,
+  'post:read:any',
+  'post:edit:any',
+  'post:delete:any',
+  'comment:moderate',
+];
+
+const ADMIN_CAPABILITIES = [
+  ...EDITOR_CAPABILITIES,
+  'user:manage',
+  'invitation:manage',
+  'post:purge',
+  'audit:read',
+];
+
+export const ROLE_CAPABILITIES = {
+  admin: ADMIN_CAPABILITIES,
+  editor: EDITOR_CAPABILITIES,
+  author: AUTHOR_CAPABILITIES,
+  reader: READER_CAPABILITIES,
+};
+
+/**
+ * Check whether a role grants a capability
+ * @param {string} role - User role
+ * @param {string} capability - Capability such as 'post:publish'
+ * @returns {boolean} True if granted
+ */
+export function hasCapability(role, capability) {
+  return Boolean(ROLE_CAPABILITIES[role]?.includes(capability));
+}
+
+/**
+ * Check an ownership-scoped action against a resource
+ * Grants '<resource>:<action>:any' outright, and '<resource>:<action>:own'
+ * when the user owns the resource.
+ * @param {Object} user - Principal or decoded token with id and role
+ * @param {string} resource - Resource name such as 'post'
+ * @param {string} action - Action such as 'edit' or 'delete'
+ * @param {string} ownerId - ID of the resource owner
+ * @returns {boolean} True if allowed
+ */
+export function canActOn(user, resource, action, ownerId) {
+  if (!user) {
+    return false;
+  }
+
+  if (hasCapability(user.role, `${resource}:${action}:any`)) {
+    return true;
+  }
+
+  return ownerId === user.id && hasCapability(user.role, `${resource}:${action}:own`);
+}
@@ -0,0 +1,303 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { canActOn, hasCapability } from '@/lib/permissions';
+import { ensureBaselineRevision, recordRevision } from '@/lib/post-revisions';
+import { trashPost } from '@/lib/post-trash';
+import { recordAudit } from '@/lib/audit';
+
+/**
+ * Apply one action to many posts, with the same per-post rules as the single-post routes
+ *
+ * Each post is checked and changed on its own and gets its own result, revision and audit
+ * entry. There is no transaction around the batch: a post that fails, for example because
+ * someone else edited it meanwhile, leaves the others changed.
+ */
+
+/**
+ * Why the principal may not apply an action to a post
+ * @param {Object} principal - Authenticated principal
+ * @param {string} action - One of BULK_POST_ACTIONS
+ * @param {Object} post - Post as currently stored
+ * @returns {string|null} Error message, or null if allowed
+ */
+function getDenialReason(principal, action, post) {
+  if (action === 'delete') {
+    return canActOn(principal, 'post', 'delete', post.author_id)
+      ? null
+      : 'You are not allowed to delete this post';
+  }
+
+  if (!canActOn(principal, 'post', 'edit', post.author_id)) {
+    return 'You are not allowed to edit this post';
+  }
+
+  if (action === 'publish' && post.status !== 'published' && !hasCapability(principal.role, 'post:publish')) {
+    return 'You are not allowed to publish posts';
+  }
+
+  return null;
+}
+
+/**
+ * Column changes an action makes to a post
+ * @param {string} action - One of BULK_POST_ACTIONS
+ * @param {Object} post - Post as currently stored, with post_tags
+ * @param {Object} options - { categoryId, tagIds, authorId }
+ * @returns {Object|null} Changed columns, {} for a tag-only change, or null if there is nothing to do
+ */
+function getChanges(action, post, { categoryId, tagIds, authorId }) {
+  const currentTagIds = (post.post_tags || []).map(postTag => postTag.tag_id);
+
+  switch (action) {
+    case 'publish':
+      return post.status === 'published'
+        ? null
+        : { status: 'published', published_at: new Date().toISOString() };
+    case 'unpublish':
+      if (post.status === 'draft') {
+        return null;
+      }
+      // Cancelling a schedule clears the publish time; unpublishing keeps the original date
+      return post.status === 'scheduled' ? { status: 'draft', published_at: null } : { status: 'draft' };
+    case 'set_category':
+      return post.category_id === categoryId ? null : { category_id: categoryId };
+    case 'add_tags':
+      return tagIds.every(tagId => currentTagIds.includes(tagId)) ? null : {};
+    case 'remove_tags':
+      return tagIds.some(tagId => currentTagIds.includes(tagId)) ? {} : null;
+    case 'reassign_author':
+      return post.author_id === authorId ? null : { author_id: authorId };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check that the category, tags or author named in a bulk request exist
+ * @param {Object} supabase - Admin client
+ * @param {string} action - One of BULK_POST_ACTIONS
+ * @param {Object} options - { categoryId, tagIds, authorId }
+ * @returns {Promise<string|null>} Error message, or null if everything exists
+ */
+async function findMissingReference(supabase, action, { categoryId, tagIds, authorId }) {
+  if (action === 'set_category' && categoryId) {
+    const { data: category } = await supabase
+      .from('categories')
+      .select('id')
+      .eq('id', categoryId)
+      .maybeSingle();
+
+    return category ? null : 'Category not found';
+  }
+
+  if (action === 'add_tags' || action === 'remove_tags') {
+    const { data: tags } = await supabase
+      .from('tags')
+      .select('id')
+      .in('id', tagIds);
+
+    return (tags || []).length === new Set(tagIds).size ? null : 'One or more tags were not found';
+  }
+
+  if (action === 'reassign_author') {
+    const { data: author } = await supabase
+      .from('users')
+      .select('id, role, suspended_at')
+      .eq('id', authorId)
+      .maybeSingle();
+
+    if (!author) {
+      return 'Author not found';
+    }
+
+    if (!hasCapability(author.role, 'post:create') || author.suspended_at) {
+      return 'That user cannot author posts';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Change one post's tags for add_tags or remove_tags
+ * @param {Object} supabase - Admin client
+ * @param {string} action - 'add_tags' or 'remove_tags'
+ * @param {Object} post - Post with post_tags
+ * @param {string[]} tagIds - Tags to add or remove
+ * @returns {Promise<string[]|null>} Tag IDs the post now has, or null on failure
+ */
+async function updateTags(supabase, action, post, tagIds) {
+  const currentTagIds = (post.post_tags || []).map(postTag => postTag.tag_id);
+
+  if (action === 'add_tags') {
+    const added = [...new Set(tagIds)].filter(tagId => !currentTagIds.includes(tagId));
+    const { error } = await supabase
+      .from('post_tags')
+      .insert(added.map(tagId => ({
+        post_id: post.id,
+        tag_id: tagId,
+        created_at: new Date().toISOString(),
+      })));
+
+    if (error) {
+      console.error('Error adding post tags:', error);
+      return null;
+    }
+
+    return [...currentTagIds, ...added];
+  }
+
+  const { error } = await supabase
+    .from('post_tags')
+    .delete()
+    .eq('post_id', post.id)
+    .in('tag_id', tagIds);
+
+  if (error) {
+    console.error('Error removing post tags:', error);
+    return null;
+  }
+
+  return currentTagIds.filter(tagId => !tagIds.includes(tagId));
+}
+
+/**
+ * Apply an action to one post that has already passed its checks
+ * @param {Object} supabase - Admin client
+ * @param {Object} principal - Authenticated principal
+ * @param {string} action - One of BULK_POST_ACTIONS
+ * @param {Object} post - Post with post_tags
+ * @param {Object} options - { categoryId, tagIds, authorId, ip }
+ * @returns {Promise<Object>} Per-item result
+ */
+async function applyToPost(supabase, principal, action, post, options) {
+  const { post_tags: postTags, ...storedPost } = post;
+  const changes = getChanges(action, post, options);
+
+  if (!changes) {
+    return { id: post.id, success: true, unchanged: true };
+  }
+
+  const audit = {
+    actor: principal,
+    targetType: 'post',
+    targetId: post.id,
+    before: storedPost,
+    metadata: { authMethod: principal.authMethod, bulk: action },
+    ip: options.ip,
+  };
+
+  if (action === 'delete') {
+    const trashedPost = await trashPost(storedPost, principal.id);
+    if (!trashedPost) {
+      return { id: post.id, success: false, error: 'Failed to delete post' };
+    }
+
+    await recordAudit({ ...audit, action: 'post.trash', after: trashedPost });
+    return { id: post.id, success: true };
+  }
+
+  await ensureBaselineRevision(storedPost);
+
+  // Claim the post first, so a concurrent edit is reported instead of silently mixed in
+  const { data: updatedPost, error: updateError } = await supabase
+    .from('posts')
+    .update({
+      ...changes,
+      updated_at: new Date().toISOString(),
+      version: post.version + 1,
+    })
+    .eq('id', post.id)
+    .eq('version', post.version)
+    .is('deleted_at', null)
+    .select()
+    .maybeSingle();
+
+  if (updateError) {
+    console.error('Error updating post in bulk:', updateError);
+    return { id: post.id, success: false, error: 'Failed to update post' };
+  }
+
+  if (!updatedPost) {
+    return { id: post.id, success: false, error: 'This post was changed by someone else' };
+  }
+
+  let after = updatedPost;
+
+  if (action === 'add_tags' || action === 'remove_tags') {
+    const tags = await updateTags(supabase, action, post, options.tagIds);
+    if (!tags) {
+      // The claim changed nothing but the version, so hand it back and leave the post as it was
+      await supabase
+        .from('posts')
+        .update({ updated_at: post.updated_at, version: post.version })
+        .eq('id', post.id)
+        .eq('version', updatedPost.version);
+
+      return { id: post.id, success: false, error: 'Failed to update tags' };
+    }
+    after = { ...updatedPost, tags };
+    audit.before = { ...storedPost, tags: postTags.map(postTag => postTag.tag_id) };
+  }
+
+  await recordRevision(post.id, { editorId: principal.id });
+  await recordAudit({ ...audit, action: 'post.update', after });
+
+  return { id: post.id, success: true };
+}
+
+/**
+ * Run a bulk action
+ * @param {Object} principal - Authenticated principal
+ * @param {Object} request - Validated request
+ * @param {string[]} request.ids - Post IDs
+ * @param {string} request.action - One of BULK_POST_ACTIONS
+ * @param {string|null} [request.categoryId] - Category for set_category; null clears it
+ * @param {string[]} [request.tagIds] - Tags for add_tags and remove_tags
+ * @param {string} [request.authorId] - New author for reassign_author
+ * @param {string|null} [request.ip] - Client IP address, recorded in the audit log
+ * @returns {Promise<Object>} { results, succeeded, failed } or { error, status }
+ */
+export async function runBulkAction(principal, { ids, action, categoryId = null, tagIds = [], authorId = null, ip = null }) {
+  const supabase = createAdminClient();
+  const uniqueIds = [...new Set(ids)];
+  const options = { categoryId, tagIds, authorId, ip };
+
+  const missing = await findMissingReference(supabase, action, options);
+  if (missing) {
+    return { error: missing, status: 400 };
+  }
+
+  const { data: posts, error } = await supabase
+    .from('posts')
+    .select('*, post_tags(tag_id)')
+    .in('id', uniqueIds)
+    .is('deleted_at', null);
+
+  if (error) {
+    console.error('Error loading posts for bulk action:', error);
+    return { error: 'Failed to load posts', status: 500 };
+  }
+
+  const postsById = new Map((posts || []).map(post => [post.id, post]));
+
+  const results = [];
+
+  for (const id of uniqueIds) {
+    const post = postsById.get(id);
+    const reason = post ? getDenialReason(principal, action, post) : 'Post not found';
+
+    if (reason) {
+      results.push({ id, success: false, error: reason });
+    } else {
+      results.push(await applyToPost(supabase, principal, action, post, options));
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+
+  return {
+    results,
+    succeeded,
+    failed: results.length - succeeded,
+  };
+}
@@ -0,0 +1,137 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { signScopedToken, verifyScopedToken } from '@/lib/jwt';
+
+const PREVIEW_PURPOSE = 'post-preview';
+
+/**
+ * Lifetimes, in days, an author can pick for a preview link
+ */
+export const PREVIEW_TTL_DAYS = [1, 7, 30];
+
+const PREVIEW_COLUMNS = `
+  jti,
+  expires_at,
+  revoked_at,
+  created_at,
+  creator:users!fk_post_preview_tokens_created_by(id, name, email)
+`;
+
+/**
+ * Create a signed preview token for a post
+ * @param {string} postId - Post ID
+ * @param {string} userId - User creating the link
+ * @param {number} expiresInDays - One of PREVIEW_TTL_DAYS
+ * @returns {Promise<Object|null>} { preview, token } where token is shown once, or null
+ */
+export async function createPreviewToken(postId, userId, expiresInDays) {
+  const supabase = createAdminClient();
+  const { token, jti } = signScopedToken({ sub: postId }, PREVIEW_PURPOSE, `${expiresInDays}d`);
+
+  const { data: preview, error } = await supabase
+    .from('post_preview_tokens')
+    .insert([
+      {
+        jti,
+        post_id: postId,
+        created_by: userId,
+        expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+        created_at: new Date().toISOString(),
+      }
+    ])
+    .select(PREVIEW_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Error creating preview token:', error);
+    return null;
+  }
+
+  return { preview, token };
+}
+
+/**
+ * List the preview links of a post that are still usable
+ * @param {string} postId - Post ID
+ * @returns {Promise<Array>} Active preview tokens, newest first (never includes the token itself)
+ */
+export async function listPreviewTokens(postId) {
+  const supabase = createAdminClient();
+
+  const { data: previews, error } = await supabase
+    .from('post_preview_tokens')
+    .select(PREVIEW_COLUMNS)
+    .eq('post_id', postId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching preview tokens:', error);
+    return [];
+  }
+
+  return previews || [];
+}
+
+/**
+ * Revoke a preview link
+ * @param {string} postId - Post ID
+ * @param {string} jti - Token ID
+ * @returns {Promise<boolean>} True if an active link was revoked
+ */
+export async function revokePreviewToken(postId, jti) {
+  const supabase = createAdminClient();
+
+  const { data, error } = await supabase
+    .from('post_preview_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('jti', jti)
+    .eq('post_id', postId)
+    .is('revoked_at', null)
+    .select('jti');
+
+  if (error) {
+    console.error('Error revoking preview token:', error);
+    return false;
+  }
+
+  return data && data.length > 0;
+}
+
+/**
+ * Check a preview token from a shared link
+ * @param {string} token - Token from the preview query parameter
+ * @param {string} postId - Post the link is being used for
+ * @returns {Promise<Object|null>} { expiresAt } if the token is valid for this post, otherwise null
+ */
+export async function verifyPreviewToken(token, postId) {
+  if (!token) {
+    return null;
+  }
+
+  const decoded = verifyScopedToken(token, PREVIEW_PURPOSE);
+  if (!decoded || decoded.sub !== postId) {
+    return null;
+  }
+
+  try {
+    const supabase = createAdminClient();
+
+    const { data: preview, error } = await supabase
+      .from('post_preview_tokens')
+      .select('expires_at')
+      .eq('jti', decoded.jti)
+      .eq('post_id', postId)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (error || !preview) {
+      return null;
+    }
+
+    return { expiresAt: preview.expires_at };
+  } catch (error) {
+    console.error('Error verifying preview token:', error);
+    return null;
+  }
+}
@@ -0,0 +1,311 @@
+import { diffLines, diffWordsWithSpace } from 'diff';
+import { createAdminClient } from '@/lib/supabase/server';
+import { renderContent } from '@/lib/content';
+
+/**
+ * Granularities a revision diff can be computed at
+ */
+export const DIFF_MODES = ['line', 'word'];
+
+// Text fields compared field by field in a diff
+const TEXT_FIELDS = ['title', 'excerpt', 'content'];
+
+// Columns restored onto the post; status and publish time are left alone
+const RESTORABLE_FIELDS = ['title', 'content', 'content_format', 'excerpt', 'featured_image', 'category_id'];
+
+const REVISION_SUMMARY_COLUMNS = `
+  id,
+  revision_number,
+  title,
+  status,
+  restored_from,
+  autosave,
+  created_at,
+  editor:users!fk_post_revisions_editor_id(id, name, email)
+`;
+
+/**
+ * Snapshot the current state of a post, including category and tags, as its next revision
+ * Failures are logged and return null so a missing revision never fails the save itself.
+ * An autosave following another autosave by the same editor overwrites that revision instead.
+ * @param {string} postId - Post ID
+ * @param {Object} [options]
+ * @param {string|null} [options.editorId] - User who made the change
+ * @param {number|null} [options.restoredFrom] - Revision number this save restored
+ * @param {string} [options.createdAt] - Override the timestamp, for baselines of older posts
+ * @param {boolean} [options.autosave] - Whether the save was an editor autosave
+ * @returns {Promise<Object|null>} Created or updated revision or null
+ */
+export async function recordRevision(postId, { editorId = null, restoredFrom = null, createdAt, autosave = false } = {}) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: post, error: postError } = await supabase
+      .from('posts')
+      .select(`
+        *,
+        category:categories!posts_category_id_fkey(id, name, slug),
+        post_tags(tag:tags(id, name, slug))
+      `)
+      .eq('id', postId)
+      .single();
+
+    if (postError || !post) {
+      console.error('Error loading post for revision:', postError);
+      return null;
+    }
+
+    const snapshot = {
+      post_id: post.id,
+      editor_id: editorId,
+      title: post.title,
+      slug: post.slug,
+      content: post.content,
+      content_format: post.content_format,
+      excerpt: post.excerpt,
+      featured_image: post.featured_image,
+      category_id: post.category_id,
+      category: post.category || null,
+      tags: (post.post_tags || []).map(postTag => postTag.tag).filter(Boolean),
+      status: post.status,
+      published_at: post.published_at,
+      restored_from: restoredFrom,
+      autosave,
+      created_at: createdAt || new Date().toISOString(),
+    };
+
+    // Two saves racing for the same number collide on the unique index; the loser retries once
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const { data: latest } = await supabase
+        .from('post_revisions')
+        .select('id, revision_number, editor_id, autosave')
+        .eq('post_id', post.id)
+        .order('revision_number', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (autosave && latest?.autosave && latest.editor_id === editorId) {
+        const { data: revision, error } = await supabase
+          .from('post_revisions')
+          .update(snapshot)
+          .eq('id', latest.id)
+          .select()
+          .single();
+
+        if (error) {
+          console.error('Error updating autosave revision:', error);
+          return null;
+        }
+
+        return revision;
+      }
+
+      const { data: revision, error } = await supabase
+        .from('post_revisions')
+        .insert([{ ...snapshot, revision_number: (latest?.revision_number || 0) + 1 }])
+        .select()
+        .single();
+
+      if (!error) {
+        return revision;
+      }
+
+      if (error.code !== '23505') {
+        console.error('Error recording post revision:', error);
+        return null;
+      }
+    }
+
+    console.error(`Gave up recording a revision for post ${post.id} after a numbering conflict`);
+    return null;
+  } catch (error) {
+    console.error('Error in recordRevision:', error);
+    return null;
+  }
+}
+
+/**
+ * Record the state of a post that predates revision history before it is first changed
+ * Without this the first edit of an older post would lose the original version.
+ * @param {Object} post - Post as currently stored
+ * @returns {Promise<void>}
+ */
+export async function ensureBaselineRevision(post) {
+  const supabase = createAdminClient();
+
+  const { count, error } = await supabase
+    .from('post_revisions')
+    .select('id', { count: 'exact', head: true })
+    .eq('post_id', post.id);
+
+  if (error) {
+    console.error('Error checking post revisions:', error);
+    return;
+  }
+
+  if (!count) {
+    await recordRevision(post.id, { editorId: post.author_id, createdAt: post.updated_at });
+  }
+}
+
+/**
+ * Title of a post as of its last explicit save
+ * Autosaves store a new title without re-slugging, so this is the title the slug was
+ * derived from.
+ * @param {string} postId - Post ID
+ * @returns {Promise<string|null>} Title, or null if the post has no saved revision
+ */
+export async function getLastSavedTitle(postId) {
+  const supabase = createAdminClient();
+
+  const { data: revision, error } = await supabase
+    .from('post_revisions')
+    .select('title')
+    .eq('post_id', postId)
+    .eq('autosave', false)
+    .order('revision_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching last saved post title:', error);
+    return null;
+  }
+
+  return revision?.title ?? null;
+}
+
+/**
+ * List the revisions of a post, newest first, without their content
+ * @param {string} postId - Post ID
+ * @returns {Promise<Array|null>} Revisions or null on failure
+ */
+export async function listRevisions(postId) {
+  const supabase = createAdminClient();
+
+  const { data: revisions, error } = await supabase
+    .from('post_revisions')
+    .select(REVISION_SUMMARY_COLUMNS)
+    .eq('post_id', postId)
+    .order('revision_number', { ascending: false });
+
+  if (error) {
+    console.error('Error listing post revisions:', error);
+    return null;
+  }
+
+  return revisions || [];
+}
+
+/**
+ * Get one full revision of a post
+ * @param {string} postId - Post ID
+ * @param {number} revisionNumber - Revision number
+ * @returns {Promise<Object|null>} Revision or null if not found
+ */
+export async function getRevision(postId, revisionNumber) {
+  const supabase = createAdminClient();
+
+  const { data: revision, error } = await supabase
+    .from('post_revisions')
+    .select('*, editor:users!fk_post_revisions_editor_id(id, name, email)')
+    .eq('post_id', postId)
+    .eq('revision_number', revisionNumber)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching post revision:', error);
+    return null;
+  }
+
+  return revision;
+}
+
+/**
+ * Compare two revisions field by field
+ * Text fields become jsdiff change lists; category, image and tags are reported as before/after.
+ * @param {Object} from - Older revision
+ * @param {Object} to - Newer revision
+ * @param {string} [mode='line'] - One of DIFF_MODES
+ * @returns {Object} { from, to, mode, fields, category, featuredImage, tags }
+ */
+export function diffRevisions(from, to, mode = 'line') {
+  const diffText = mode === 'word' ? diffWordsWithSpace : diffLines;
+
+  const fields = {};
+  for (const field of TEXT_FIELDS) {
+    const before = from[field] || '';
+    const after = to[field] || '';
+
+    fields[field] = {
+      changed: before !== after,
+      changes: diffText(before, after).map(({ value, added, removed }) => ({ value, added, removed })),
+    };
+  }
+
+  const fromTagIds = new Set((from.tags || []).map(tag => tag.id));
+  const toTagIds = new Set((to.tags || []).map(tag => tag.id));
+
+  return {
+    from: from.revision_number,
+    to: to.revision_number,
+    mode,
+    fields,
+    category: {
+      changed: (from.category_id || null) !== (to.category_id || null),
+      before: from.category,
+      after: to.category,
+    },
+    featuredImage: {
+      changed: (from.featured_image || null) !== (to.featured_image || null),
+      before: from.featured_image,
+      after: to.featured_image,
+    },
+    tags: {
+      added: (to.tags || []).filter(tag => !fromTagIds.has(tag.id)),
+      removed: (from.tags || []).filter(tag => !toTagIds.has(tag.id)),
+    },
+  };
+}
+
+/**
+ * Build the post update that brings a post back to a revision
+ * Categories and tags deleted since the revision was taken are dropped, and the content is re-rendered.
+ * @param {Object} revision - Revision to restore
+ * @returns {Promise<Object>} { updateData, tagIds }
+ */
+export async function buildRestoreData(revision) {
+  const supabase = createAdminClient();
+
+  const updateData = {};
+  for (const field of RESTORABLE_FIELDS) {
+    updateData[field] = revision[field];
+  }
+  updateData.content_html = await renderContent(revision.content, revision.content_format);
+
+  if (revision.category_id) {
+    const { data: category } = await supabase
+      .from('categories')
+      .select('id')
+      .eq('id', revision.category_id)
+      .maybeSingle();
+
+    if (!category) {
+      updateData.category_id = null;
+    }
+  }
+
+  let tagIds = [];
+  const revisionTagIds = (revision.tags || []).map(tag => tag.id);
+
+  if (revisionTagIds.length > 0) {
+    const { data: tags } = await supabase
+      .from('tags')
+      .select('id')
+      .in('id', revisionTagIds);
+
+    tagIds = (tags || []).map(tag => tag.id);
+  }
+
+  return { updateData, tagIds };
+}
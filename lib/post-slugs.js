@@ -0,0 +1,105 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { generateSlug } from '@/lib/db';
+
+/**
+ * Decide the slug a post should have after an update
+ * A new custom slug pins the post; unpinning or a title change re-derives the slug from
+ * the title, unless the post is pinned or the caller asked to keep the current slug.
+ * @param {Object} post - Post as currently stored
+ * @param {Object} changes - { title, slug, slug_pinned, keep_slug } from the request
+ * @param {Object} [options]
+ * @param {string} [options.previousTitle] - Title the current slug was derived from, if autosaves changed it since
+ * @returns {Promise<Object>} { slug, slugPinned, error? }; error is set if the custom slug is taken
+ */
+export async function resolvePostSlug(post, { title, slug, slug_pinned: slugPinned, keep_slug: keepSlug = false }, { previousTitle = post.title } = {}) {
+  if (slug) {
+    if (slug !== post.slug && !await isSlugAvailable(slug, post.id)) {
+      return { slug: post.slug, slugPinned: post.slug_pinned, error: 'Slug is already used by another post' };
+    }
+    return { slug, slugPinned: true };
+  }
+
+  const pinned = slugPinned ?? post.slug_pinned;
+  const nextTitle = title || post.title;
+  const followTitle = !pinned && !keepSlug && (nextTitle !== previousTitle || post.slug_pinned);
+
+  return {
+    slug: followTitle ? await generateSlug(nextTitle, 'posts', post.id) : post.slug,
+    slugPinned: pinned,
+  };
+}
+
+/**
+ * Whether no other post currently uses a slug
+ * @param {string} slug - Slug to check
+ * @param {string|null} [excludeId] - Post the slug is for
+ * @returns {Promise<boolean>}
+ */
+export async function isSlugAvailable(slug, excludeId = null) {
+  const supabase = createAdminClient();
+
+  let query = supabase
+    .from('posts')
+    .select('id')
+    .eq('slug', slug);
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data } = await query.maybeSingle();
+  return !data;
+}
+
+/**
+ * Remember a post's previous slug so links to it keep working
+ * The new slug is dropped from the history, whichever post it used to point at:
+ * a live slug always wins over an old one.
+ * @param {string} postId - Post ID
+ * @param {string} oldSlug - Slug the post had
+ * @param {string} newSlug - Slug the post has now
+ * @returns {Promise<void>}
+ */
+export async function recordSlugChange(postId, oldSlug, newSlug) {
+  if (oldSlug === newSlug) {
+    return;
+  }
+
+  const supabase = createAdminClient();
+
+  const { error: deleteError } = await supabase
+    .from('post_slug_history')
+    .delete()
+    .eq('slug', newSlug);
+
+  const { error } = await supabase
+    .from('post_slug_history')
+    .upsert({ slug: oldSlug, post_id: postId, created_at: new Date().toISOString() }, { onConflict: 'slug' });
+
+  if (deleteError || error) {
+    console.error('Error recording post slug history:', deleteError || error);
+  }
+}
+
+/**
+ * Find the post that used to be published under a slug
+ * @param {string} slug - Old slug
+ * @returns {Promise<Object|null>} { id, slug, status, published_at, author_id } or null if the slug was never used or the post is in the trash
+ */
+export async function findRenamedPost(slug) {
+  const supabase = createAdminClient();
+
+  const { data, error } = await supabase
+    .from('post_slug_history')
+    .select('post:posts!fk_post_slug_history_post_id(id, slug, status, published_at, author_id, deleted_at)')
+    .eq('slug', slug)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error looking up post slug history:', error);
+    return null;
+  }
+
+  // Trashed posts are hidden, so their old slugs lead nowhere
+  return data?.post && !data.post.deleted_at ? data.post : null;
+}
@@ -0,0 +1,207 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { recordAudit } from '@/lib/audit';
+
+const RETENTION_DAYS = parseInt(process.env.POST_TRASH_RETENTION_DAYS || '30', 10);
+
+const TRASHED_POST_COLUMNS = `
+  id,
+  title,
+  slug,
+  status,
+  author_id,
+  deleted_at,
+  author:users!posts_author_id_fkey(id, name, email),
+  deleted_by_user:users!fk_posts_deleted_by(id, name, email)
+`;
+
+/**
+ * When a trashed post will be purged
+ * @param {string} deletedAt - When the post was moved to the trash
+ * @returns {string} ISO timestamp
+ */
+export function getPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Move a post to the trash
+ * The row stays in place, so its slug cannot be taken while it waits for restore or purge.
+ * @param {Object} post - Post as currently stored
+ * @param {string} userId - User trashing the post
+ * @returns {Promise<Object|null>} Trashed post or null
+ */
+export async function trashPost(post, userId) {
+  const supabase = createAdminClient();
+
+  const { data: trashed, error } = await supabase
+    .from('posts')
+    .update({
+      deleted_at: new Date().toISOString(),
+      deleted_by: userId,
+      version: post.version + 1,
+    })
+    .eq('id', post.id)
+    .is('deleted_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error moving post to trash:', error);
+    return null;
+  }
+
+  return trashed;
+}
+
+/**
+ * Take a post back out of the trash, with the status it had
+ * @param {Object} post - Trashed post
+ * @returns {Promise<Object|null>} Restored post or null
+ */
+export async function restorePost(post) {
+  const supabase = createAdminClient();
+
+  const { data: restored, error } = await supabase
+    .from('posts')
+    .update({
+      deleted_at: null,
+      deleted_by: null,
+      version: post.version + 1,
+    })
+    .eq('id', post.id)
+    .not('deleted_at', 'is', null)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error restoring post from trash:', error);
+    return null;
+  }
+
+  return restored;
+}
+
+/**
+ * List trashed posts, most recently deleted first
+ * @param {Object} [options]
+ * @param {string|null} [options.authorId] - Only posts by this author
+ * @returns {Promise<Array|null>} Posts with purge_at, or null on failure
+ */
+export async function listTrashedPosts({ authorId = null } = {}) {
+  const supabase = createAdminClient();
+
+  let query = supabase
+    .from('posts')
+    .select(TRASHED_POST_COLUMNS)
+    .not('deleted_at', 'is', null)
+    .order('deleted_at', { ascending: false });
+
+  if (authorId) {
+    query = query.eq('author_id', authorId);
+  }
+
+  const { data: posts, error } = await query;
+
+  if (error) {
+    console.error('Error listing trashed posts:', error);
+    return null;
+  }
+
+  return (posts || []).map(post => ({ ...post, purge_at: getPurgeDate(post.deleted_at) }));
+}
+
+/**
+ * Permanently delete trashed posts
+ * Tags, comments, revisions, preview links and slug history go with them through ON DELETE
+ * CASCADE, in the same statement, so a failed purge leaves every post whole.
+ * @param {Object} [options]
+ * @param {string} [options.before] - Only posts trashed before this time; all trashed posts when omitted
+ * @param {string|null} [options.authorId] - Only posts by this author
+ * @param {Object|null} [options.actor] - User emptying the trash, null for the scheduled purge
+ * @param {string|null} [options.ip] - Client IP address, recorded in the audit log
+ * @param {string} [options.reason] - Why the posts were purged, recorded in the audit log
+ * @returns {Promise<Object>} { purged, error? }
+ */
+export async function purgeTrashedPosts({
+  before,
+  authorId = null,
+  actor = null,
+  ip = null,
+  reason = actor ? 'empty_trash' : 'retention_expired',
+} = {}) {
+  const supabase = createAdminClient();
+
+  let query = supabase
+    .from('posts')
+    .select('*')
+    .not('deleted_at', 'is', null);
+
+  if (before) {
+    query = query.lt('deleted_at', before);
+  }
+
+  if (authorId) {
+    query = query.eq('author_id', authorId);
+  }
+
+  const { data: posts, error } = await query;
+
+  if (error) {
+    console.error('Error finding trashed posts to purge:', error);
+    return { purged: 0, error: 'Failed to purge trash' };
+  }
+
+  if (!posts || posts.length === 0) {
+    return { purged: 0 };
+  }
+
+  const postIds = posts.map(post => post.id);
+
+  // Snapshot what is about to be wiped so the audit log can show it
+  const [{ data: postTags }, { data: comments }] = await Promise.all([
+    supabase.from('post_tags').select('post_id, tag_id').in('post_id', postIds),
+    supabase.from('comments').select('*').in('post_id', postIds),
+  ]);
+
+  // Posts restored since they were loaded are skipped by the deleted_at condition
+  const { data: purged, error: deleteError } = await supabase
+    .from('posts')
+    .delete()
+    .in('id', postIds)
+    .not('deleted_at', 'is', null)
+    .select('id');
+
+  if (deleteError) {
+    console.error('Error purging trashed posts:', deleteError);
+    return { purged: 0, error: 'Failed to purge trash' };
+  }
+
+  const purgedIds = new Set((purged || []).map(post => post.id));
+
+  for (const post of posts.filter(post => purgedIds.has(post.id))) {
+    await recordAudit({
+      actor,
+      action: 'post.delete',
+      targetType: 'post',
+      targetId: post.id,
+      before: {
+        ...post,
+        tags: (postTags || []).filter(postTag => postTag.post_id === post.id).map(postTag => postTag.tag_id),
+        comments: (comments || []).filter(comment => comment.post_id === post.id),
+      },
+      metadata: { reason },
+      ip,
+    });
+  }
+
+  return { purged: purgedIds.size };
+}
+
+/**
+ * Purge posts that have been in the trash longer than the retention period
+ * @returns {Promise<Object>} { purged, error? }
+ */
+export async function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  return purgeTrashedPosts({ before: cutoff });
+}
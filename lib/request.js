@@ -0,0 +1,92 @@
+/**
+ * Request helpers shared by route handlers
+ */
+
+/**
+ * The public base URL of the app as configured in NEXT_PUBLIC_APP_URL
+ * Links that carry secrets must use this rather than the request, whose Host header the
+ * client controls.
+ * @returns {string|null} Base URL without trailing slash, or null if not configured
+ */
+export function getConfiguredAppUrl() {
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL;
+  return appUrl ? appUrl.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Resolve the public base URL of the app, used when building links for emails
+ * @param {Request} request - Incoming request
+ * @returns {string} Base URL without trailing slash
+ */
+export function getAppUrl(request) {
+  return getConfiguredAppUrl() || new URL(request.url).origin;
+}
+
+// Proxies in front of the app that append to X-Forwarded-For, e.g. 1 for a single load balancer
+const TRUSTED_PROXY_HOPS = parseInt(process.env.TRUSTED_PROXY_HOPS || '1', 10);
+
+/**
+ * Client IP address as seen by the outermost trusted proxy
+ * Entries left of that proxy's are written by the client and can be forged, so the
+ * address is counted from the right of X-Forwarded-For.
+ * @param {Request} request - Incoming request
+ * @returns {string} IP address or 'unknown'
+ */
+export function getClientIp(request) {
+  const forwardedFor = request.headers.get('x-forwarded-for');
+  if (forwardedFor && TRUSTED_PROXY_HOPS > 0) {
+    const hops = forwardedFor.split(',').map(hop => hop.trim()).filter(Boolean);
+    const clientHop = hops[Math.max(0, hops.length - TRUSTED_PROXY_HOPS)];
+    if (clientHop) {
+      return clientHop;
+    }
+  }
+  return request.headers.get('x-real-ip') || 'unknown';
+}
+
+/**
+ * Whether a conditional request may proceed, per the If-Match header
+ * Requests without the header always proceed; weak tags never match.
+ * @param {Request} request - Incoming request
+ * @param {string} etag - Current quoted entity tag of the resource
+ * @returns {boolean} False if the client is working from a stale copy
+ */
+export function ifMatchSatisfied(request, etag) {
+  const ifMatch = request.headers.get('if-match');
+  if (!ifMatch) {
+    return true;
+  }
+
+  const tags = ifMatch.split(',').map(tag => tag.trim());
+  return tags.includes('*') || tags.includes(etag);
+}
+
+/**
+ * Whether a request was started by the app's own pages or typed in by the user
+ * Uses Sec-Fetch-Site, falling back to Origin for browsers that do not send it.
+ * Top-level navigations from older browsers carry neither and are allowed.
+ * @param {Request} request - Incoming request
+ * @returns {boolean} False for requests started by another site
+ */
+export function isSameOriginRequest(request) {
+  const fetchSite = request.headers.get('sec-fetch-site');
+  if (fetchSite) {
+    return fetchSite === 'same-origin' || fetchSite === 'none';
+  }
+
+  const origin = request.headers.get('origin');
+  return !origin || origin === new URL(request.url).origin;
+}
+
+/**
+ * Validate a return path taken from a query string, so it cannot redirect off-site
+ * @param {string|null} value - Requested path, e.g. '/dashboard?page=2'
+ * @param {string} [fallback='/'] - Path used when the value is missing or unsafe
+ * @returns {string} Same-origin path
+ */
+export function getSafeReturnPath(value, fallback = '/') {
+  if (!value || !value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) {
+    return fallback;
+  }
+  return value;
+}
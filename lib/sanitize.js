@@ -0,0 +1,247 @@
+import { unified } from 'unified';
+import rehypeParse from 'rehype-parse';
+import rehypeStringify from 'rehype-stringify';
+import { sanitize } from 'hast-util-sanitize';
+
+/**
+ * Allow-list HTML sanitization for user-written content
+ *
+ * Anything not named in a policy is removed: unknown elements are unwrapped to their
+ * text, unknown attributes are dropped and URLs must use an allowed scheme. Policies use
+ * hast property names (className, not class).
+ *
+ * Tags, attributes and URL schemes are configured by editing POST_POLICY and COMMENT_POLICY
+ * below; only the embed hosts can be set from the environment (ALLOWED_EMBED_HOSTS).
+ */
+
+// Prefix given to ids and names so user content cannot shadow globals or page elements
+const CLOBBER_PREFIX = 'user-content-';
+
+const DEFAULT_EMBED_HOSTS = ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'];
+
+// Embedded players may run their own scripts, but never with access to this page
+const EMBED_SANDBOX = ['allow-scripts', 'allow-same-origin', 'allow-popups', 'allow-presentation'];
+
+/**
+ * Hosts iframes may be embedded from, from ALLOWED_EMBED_HOSTS or the defaults
+ * @returns {string[]} Lower-cased host names; empty disables embeds
+ */
+function getEmbedHosts() {
+  const configured = process.env.ALLOWED_EMBED_HOSTS;
+
+  if (configured === undefined) {
+    return DEFAULT_EMBED_HOSTS;
+  }
+
+  return configured
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Policy for post content, written by authors and shown on the blog
+ */
+export const POST_POLICY = {
+  tagNames: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'div', 'span',
+    'a', 'b', 'strong', 'i', 'em', 'u', 's', 'del', 'ins', 'mark', 'sub', 'sup', 'small', 'abbr', 'kbd',
+    'code', 'pre', 'blockquote', 'q', 'cite',
+    'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'input',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption',
+    'img', 'figure', 'figcaption', 'picture', 'source',
+    'details', 'summary', 'section', 'iframe',
+  ],
+  attributes: {
+    '*': ['id', 'title', 'lang', 'dir', 'ariaHidden', 'ariaLabel', 'ariaDescribedBy', 'ariaLabelledBy'],
+    a: ['href', 'name', 'dataFootnoteRef', 'dataFootnoteBackref'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    source: ['srcSet', 'media', 'type'],
+    iframe: ['src', 'width', 'height', 'allow', 'allowFullScreen', 'loading'],
+    code: [['className', /^language-[\w-]+$/]],
+    h2: [['className', 'sr-only']],
+    ul: [['className', 'contains-task-list']],
+    ol: ['start', 'reversed', ['className', 'contains-task-list']],
+    li: [['className', 'task-list-item']],
+    input: [['type', 'checkbox'], ['disabled', true], 'checked'],
+    section: ['dataFootnotes', ['className', 'footnotes']],
+    th: ['align', 'colSpan', 'rowSpan', 'scope'],
+    td: ['align', 'colSpan', 'rowSpan'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    del: ['cite', 'dateTime'],
+    ins: ['cite', 'dateTime'],
+    details: ['open'],
+  },
+  protocols: {
+    href: ['http', 'https', 'mailto'],
+    src: ['http', 'https'],
+    cite: ['http', 'https'],
+  },
+  embedHosts: getEmbedHosts(),
+};
+
+/**
+ * Policy for comments: inline formatting and links only
+ */
+export const COMMENT_POLICY = {
+  tagNames: ['p', 'br', 'a', 'b', 'strong', 'i', 'em', 's', 'del', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li'],
+  attributes: {
+    a: ['href'],
+  },
+  protocols: {
+    href: ['http', 'https', 'mailto'],
+  },
+  embedHosts: [],
+};
+
+/**
+ * Translate a policy into a hast-util-sanitize schema
+ * @param {Object} policy - { tagNames, attributes, protocols, embedHosts }
+ * @returns {Object} Schema
+ */
+function buildSchema(policy) {
+  const tagNames = policy.embedHosts.length > 0
+    ? policy.tagNames
+    : policy.tagNames.filter(tagName => tagName !== 'iframe');
+
+  return {
+    tagNames,
+    attributes: policy.attributes,
+    protocols: policy.protocols,
+    required: {
+      input: { type: 'checkbox', disabled: true },
+    },
+    // Clobbering is handled by prefixClobberables so it can be applied more than once
+    clobber: [],
+    strip: ['script', 'style', 'template', 'noscript'],
+    ancestors: {
+      li: ['ol', 'ul'],
+      tbody: ['table'],
+      thead: ['table'],
+      tfoot: ['table'],
+      tr: ['table'],
+      th: ['table'],
+      td: ['table'],
+      source: ['picture'],
+    },
+  };
+}
+
+/**
+ * Check that an iframe points at an approved host over https
+ * @param {*} src - src property of the iframe
+ * @param {string[]} embedHosts - Approved hosts
+ * @returns {boolean}
+ */
+function isAllowedEmbed(src, embedHosts) {
+  if (typeof src !== 'string') {
+    return false;
+  }
+
+  try {
+    const url = new URL(src);
+    return url.protocol === 'https:' && embedHosts.includes(url.hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Drop iframes from unapproved hosts and sandbox the rest, in place
+ * @param {Object} node - hast node
+ * @param {string[]} embedHosts - Approved hosts
+ */
+function restrictEmbeds(node, embedHosts) {
+  if (!node.children) {
+    return;
+  }
+
+  node.children = node.children.filter(child => {
+    if (child.type !== 'element' || child.tagName !== 'iframe') {
+      return true;
+    }
+    return isAllowedEmbed(child.properties.src, embedHosts);
+  });
+
+  for (const child of node.children) {
+    if (child.type === 'element' && child.tagName === 'iframe') {
+      child.properties.sandbox = EMBED_SANDBOX;
+      child.properties.referrerPolicy = 'strict-origin-when-cross-origin';
+      child.children = [];
+    } else {
+      restrictEmbeds(child, embedHosts);
+    }
+  }
+}
+
+/**
+ * Prefix ids, names and the in-page links and aria references that point at them, in place
+ * Values that already carry the prefix are left alone, so stored HTML can be sanitized again.
+ * @param {Object} node - hast node
+ */
+function prefixClobberables(node) {
+  const prefix = value => (String(value).startsWith(CLOBBER_PREFIX) ? String(value) : CLOBBER_PREFIX + value);
+
+  if (node.type === 'element') {
+    const { properties } = node;
+
+    for (const key of ['id', 'name']) {
+      if (properties[key] !== undefined && properties[key] !== null) {
+        properties[key] = prefix(properties[key]);
+      }
+    }
+
+    for (const key of ['ariaDescribedBy', 'ariaLabelledBy']) {
+      if (Array.isArray(properties[key])) {
+        properties[key] = properties[key].map(prefix);
+      }
+    }
+
+    if (typeof properties.href === 'string' && properties.href.startsWith('#') && properties.href.length > 1) {
+      properties.href = `#${prefix(properties.href.slice(1))}`;
+    }
+  }
+
+  for (const child of node.children || []) {
+    prefixClobberables(child);
+  }
+}
+
+/**
+ * unified plugin that sanitizes a hast tree against a policy
+ * @param {Object} [policy=POST_POLICY] - Sanitization policy
+ */
+export function rehypeSanitizePolicy(policy = POST_POLICY) {
+  const schema = buildSchema(policy);
+
+  return (tree) => {
+    const clean = sanitize(tree, schema);
+    restrictEmbeds(clean, policy.embedHosts);
+    prefixClobberables(clean);
+    return clean;
+  };
+}
+
+const processors = new Map();
+
+/**
+ * Sanitize an HTML fragment against a policy
+ * @param {string} html - Untrusted HTML
+ * @param {Object} [policy=POST_POLICY] - Sanitization policy
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml(html, policy = POST_POLICY) {
+  if (!html) {
+    return '';
+  }
+
+  if (!processors.has(policy)) {
+    processors.set(policy, unified()
+      .use(rehypeParse, { fragment: true })
+      .use(rehypeSanitizePolicy, policy)
+      .use(rehypeStringify));
+  }
+
+  return String(processors.get(policy).processSync(html));
+}
@@ -0,0 +1,63 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { recordAudit } from '@/lib/audit';
+
+/**
+ * Publish every scheduled post whose publish time has passed
+ * Each post is flipped by a conditional update on its status and version, so overlapping runs
+ * never publish a post twice, and editors holding the old version get a conflict instead of
+ * saving it back as scheduled.
+ * @returns {Promise<Object>} { published, error? }
+ */
+export async function publishDuePosts() {
+  const supabase = createAdminClient();
+  const now = new Date().toISOString();
+
+  const { data: duePosts, error } = await supabase
+    .from('posts')
+    .select('id, version')
+    .eq('status', 'scheduled')
+    .lte('published_at', now)
+    .is('deleted_at', null);
+
+  if (error) {
+    console.error('Error loading scheduled posts:', error);
+    return { published: 0, error: 'Failed to publish scheduled posts' };
+  }
+
+  let published = 0;
+
+  for (const duePost of duePosts || []) {
+    const { data: post, error: updateError } = await supabase
+      .from('posts')
+      .update({ status: 'published', updated_at: now, version: duePost.version + 1 })
+      .eq('id', duePost.id)
+      .eq('version', duePost.version)
+      .eq('status', 'scheduled')
+      .is('deleted_at', null)
+      .select('id, slug, author_id, published_at')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('Error publishing scheduled post:', updateError);
+      continue;
+    }
+
+    // Another run published it, or it was edited since it was loaded and the next run retries
+    if (!post) {
+      continue;
+    }
+
+    published += 1;
+
+    await recordAudit({
+      action: 'post.publish_scheduled',
+      targetType: 'post',
+      targetId: post.id,
+      before: { status: 'scheduled' },
+      after: { status: 'published', published_at: post.published_at },
+      metadata: { slug: post.slug, authorId: post.author_id },
+    });
+  }
+
+  return { published };
+}
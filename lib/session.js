@@ -0,0 +1,180 @@
+import { cache } from 'react';
+import { cookies } from 'next/headers';
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { verifyToken, decodeToken, generateAuthTokens, generateAccessToken } from '@/lib/jwt';
+import { rotateRefreshToken } from '@/lib/token-store';
+import { generateSecureToken } from '@/lib/crypto';
+import { SESSION_COOKIE, REFRESH_COOKIE, CSRF_COOKIE } from '@/lib/cookies';
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30', 10);
+
+/**
+ * Columns of the users table that are safe to expose to the session owner
+ */
+export const SESSION_USER_COLUMNS = 'id, email, name, role, bio, avatar_url, email_verified_at, totp_enabled_at, two_factor_required, created_at, updated_at';
+
+/**
+ * Strip secrets and internal state from a full users row
+ * @param {Object} user - User row
+ * @returns {Object} User with only SESSION_USER_COLUMNS
+ */
+export function toSessionUser(user) {
+  return Object.fromEntries(
+    SESSION_USER_COLUMNS.split(',').map(column => column.trim()).map(column => [column, user[column] ?? null])
+  );
+}
+
+function baseCookieOptions() {
+  return {
+    path: '/',
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+  };
+}
+
+/**
+ * Attach the session cookies to a response
+ * The access and refresh tokens are httpOnly; the CSRF token is readable by
+ * the app's own scripts so they can echo it in the X-CSRF-Token header.
+ * @param {NextResponse} response - Response to attach cookies to
+ * @param {Object} tokens - { token, refreshToken }
+ * @returns {NextResponse} The same response
+ */
+export function setSessionCookies(response, { token, refreshToken }) {
+  const { exp } = decodeToken(token);
+  const refreshMaxAge = REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60;
+
+  response.cookies.set(SESSION_COOKIE, token, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    maxAge: Math.max(0, exp - Math.floor(Date.now() / 1000)),
+  });
+
+  response.cookies.set(REFRESH_COOKIE, refreshToken, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    maxAge: refreshMaxAge,
+  });
+
+  response.cookies.set(CSRF_COOKIE, generateSecureToken(24), {
+    ...baseCookieOptions(),
+    httpOnly: false,
+    maxAge: refreshMaxAge,
+  });
+
+  return response;
+}
+
+/**
+ * Start a session for a user who passed every login step
+ * The tokens only travel in the httpOnly cookies, never in the body, so page scripts
+ * cannot read them.
+ * @param {Object} user - User row
+ * @param {Object} options - { message, status, extra } where extra holds additional response fields
+ * @returns {Promise<NextResponse>} Response with the session cookies
+ */
+export async function createSessionResponse(user, { message, status = 200, extra = {} }) {
+  const { token, refreshToken } = await generateAuthTokens(user);
+
+  const response = NextResponse.json(
+    {
+      success: true,
+      user: toSessionUser(user),
+      ...extra,
+      message,
+    },
+    { status }
+  );
+
+  return setSessionCookies(response, { token, refreshToken });
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * The user is reloaded so role changes and suspensions take effect on renewal.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {Promise<Object|null>} { token, refreshToken } or null if the session cannot be renewed
+ */
+export async function renewSession(refreshToken) {
+  const rotated = await rotateRefreshToken(refreshToken);
+
+  if (!rotated) {
+    return null;
+  }
+
+  const supabase = createAdminClient();
+
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, role, token_version, suspended_at')
+    .eq('id', rotated.userId)
+    .single();
+
+  if (error || !user || user.suspended_at) {
+    return null;
+  }
+
+  return { token: generateAccessToken(user), refreshToken: rotated.token };
+}
+
+/**
+ * Remove the session cookies from the browser
+ * @param {NextResponse} response - Response to attach cookies to
+ * @returns {NextResponse} The same response
+ */
+export function clearSessionCookies(response) {
+  for (const name of [SESSION_COOKIE, REFRESH_COOKIE, CSRF_COOKIE]) {
+    response.cookies.set(name, '', { ...baseCookieOptions(), maxAge: 0 });
+  }
+  return response;
+}
+
+/**
+ * Get the user of the current browser session
+ * Usable in Server Components, Server Actions and Route Handlers. Cached per
+ * server render, so layouts, pages and the header share one lookup.
+ * @returns {Promise<Object|null>} User (without password) or null if not logged in
+ */
+export const getCurrentUser = cache(async () => {
+  try {
+    const cookieStore = await cookies();
+    const token = cookieStore.get(SESSION_COOKIE)?.value;
+
+    if (!token) {
+      return null;
+    }
+
+    const decoded = await verifyToken(token);
+
+    if (!decoded) {
+      return null;
+    }
+
+    const supabase = createAdminClient();
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select(SESSION_USER_COLUMNS)
+      .eq('id', decoded.id)
+      .single();
+
+    if (error || !user) {
+      return null;
+    }
+
+    return user;
+  } catch (error) {
+    console.error('Error in getCurrentUser:', error);
+    return null;
+  }
+});
+
+/**
+ * Whether the browser holds a refresh token that could renew an expired session
+ * @returns {Promise<boolean>} True if a refresh cookie is present
+ */
+export async function hasRefreshCookie() {
+  const cookieStore = await cookies();
+  return !!cookieStore.get(REFRESH_COOKIE)?.value;
+}
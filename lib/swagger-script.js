@@ -1,6 +1,6 @@
-const swaggerJsdoc = require('swagger-jsdoc');
-const fs = require('fs');
-const path = require('path');
+import swaggerJsdoc from 'swagger-jsdoc';
+import fs from 'fs';
+import path from 'path';
 
 const options = {
   definition: {
@@ -31,6 +31,12 @@ const options = {
           in: 'header',
           name: 'X-API-Key',
         },
+        cookieAuth: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: 'session',
+          description: 'Browser session cookie. Non-GET requests must also send the csrf_token cookie value in the X-CSRF-Token header.',
+        },
       },
     },
     security: [],
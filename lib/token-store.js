@@ -0,0 +1,332 @@
+import crypto from 'crypto';
+import { createAdminClient } from '@/lib/supabase/server';
+import { generateSecureToken, hashToken, encryptSecret, decryptSecret } from '@/lib/crypto';
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30', 10);
+
+// How long after a rotation the old token still resolves to its successor. Tabs and parallel
+// requests that refresh at the same moment present the same token within this window.
+const ROTATION_GRACE_MS = 10 * 1000;
+
+// Successors followed when several rotations happened inside the grace window
+const MAX_SUCCESSOR_HOPS = 5;
+
+/**
+ * Issue a new refresh token for a user
+ * @param {string} userId - User ID
+ * @param {string} familyId - Rotation family (omit to start a new session)
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+export async function createRefreshToken(userId, familyId = null) {
+  const supabase = createAdminClient();
+  const token = generateSecureToken(48);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('refresh_tokens')
+    .insert([
+      {
+        user_id: userId,
+        family_id: familyId || crypto.randomUUID(),
+        token_hash: hashToken(token),
+        expires_at: expiresAt.toISOString(),
+        created_at: new Date().toISOString(),
+      }
+    ])
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('Error creating refresh token:', error);
+    throw new Error('Failed to create refresh token');
+  }
+
+  return { id: data.id, token, expiresAt };
+}
+
+/**
+ * Resolve a token rotated moments ago to the live token that replaced it
+ * @param {Object} stored - Revoked refresh_tokens row
+ * @returns {Promise<Object|null>} { userId, token, expiresAt }, or null if the rotation is not recent
+ */
+async function findRecentSuccessor(stored) {
+  const supabase = createAdminClient();
+  let current = stored;
+
+  for (let hop = 0; hop < MAX_SUCCESSOR_HOPS; hop += 1) {
+    const rotatedRecently = current.revoked_at
+      && Date.now() - new Date(current.revoked_at).getTime() <= ROTATION_GRACE_MS;
+
+    if (!rotatedRecently || !current.replaced_by || !current.replaced_by_token) {
+      return null;
+    }
+
+    const token = decryptSecret(current.replaced_by_token);
+    const { data: successor } = await supabase
+      .from('refresh_tokens')
+      .select('*')
+      .eq('id', current.replaced_by)
+      .maybeSingle();
+
+    if (!token || !successor || successor.token_hash !== hashToken(token)) {
+      return null;
+    }
+
+    if (!successor.revoked_at) {
+      return new Date(successor.expires_at) > new Date()
+        ? { userId: successor.user_id, token, expiresAt: new Date(successor.expires_at) }
+        : null;
+    }
+
+    current = successor;
+  }
+
+  return null;
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * Presenting a token rotated within the last few seconds is a race between the client's own
+ * requests and returns the same successor. Presenting one rotated earlier is treated as theft
+ * and revokes the whole family, logging out both the attacker and the legitimate client.
+ * @param {string} token - Refresh token presented by the client
+ * @returns {Promise<Object|null>} { userId, token, expiresAt } or null if invalid
+ */
+export async function rotateRefreshToken(token) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: stored, error } = await supabase
+      .from('refresh_tokens')
+      .select('*')
+      .eq('token_hash', hashToken(token))
+      .single();
+
+    if (error || !stored) {
+      return null;
+    }
+
+    if (stored.revoked_at) {
+      return await resolveReuse(stored);
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      return null;
+    }
+
+    const next = await createRefreshToken(stored.user_id, stored.family_id);
+
+    // Only the first request to rotate this token wins
+    const { data: rotated } = await supabase
+      .from('refresh_tokens')
+      .update({
+        revoked_at: new Date().toISOString(),
+        replaced_by: next.id,
+        replaced_by_token: encryptSecret(next.token),
+      })
+      .eq('id', stored.id)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (!rotated || rotated.length === 0) {
+      // Another request rotated it first; drop our unused token and share theirs
+      await supabase.from('refresh_tokens').delete().eq('id', next.id);
+
+      const { data: winner } = await supabase
+        .from('refresh_tokens')
+        .select('*')
+        .eq('id', stored.id)
+        .single();
+
+      return winner ? await resolveReuse(winner) : null;
+    }
+
+    return { userId: stored.user_id, token: next.token, expiresAt: next.expiresAt };
+  } catch (error) {
+    console.error('Error rotating refresh token:', error);
+    return null;
+  }
+}
+
+/**
+ * Handle a refresh token that has already been rotated or revoked
+ * @param {Object} stored - refresh_tokens row with revoked_at set
+ * @returns {Promise<Object|null>} The live successor for a benign race, otherwise null
+ */
+async function resolveReuse(stored) {
+  const successor = await findRecentSuccessor(stored);
+  if (successor) {
+    return successor;
+  }
+
+  // Logged-out tokens have no successor; only a rotated token presented again is suspicious
+  if (stored.replaced_by) {
+    console.warn(`Refresh token reuse detected for user ${stored.user_id}, revoking family`);
+    await revokeRefreshTokenFamily(stored.family_id);
+  }
+  return null;
+}
+
+/**
+ * Revoke a refresh token and every token rotated from the same login
+ * @param {string} token - Refresh token
+ * @returns {Promise<boolean>} Success status
+ */
+export async function revokeRefreshToken(token) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: stored, error } = await supabase
+      .from('refresh_tokens')
+      .select('family_id')
+      .eq('token_hash', hashToken(token))
+      .single();
+
+    if (error || !stored) {
+      return false;
+    }
+
+    return await revokeRefreshTokenFamily(stored.family_id);
+  } catch (error) {
+    console.error('Error revoking refresh token:', error);
+    return false;
+  }
+}
+
+/**
+ * Revoke all active refresh tokens in a rotation family
+ * @param {string} familyId - Family ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function revokeRefreshTokenFamily(familyId) {
+  const supabase = createAdminClient();
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString(), replaced_by_token: null })
+    .eq('family_id', familyId)
+    .is('revoked_at', null);
+
+  if (error) {
+    console.error('Error revoking refresh token family:', error);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Add a single access token to the revocation list until it expires
+ * @param {Object} decoded - Decoded access token payload
+ * @returns {Promise<boolean>} Success status
+ */
+export async function revokeAccessToken(decoded) {
+  if (!decoded?.jti) {
+    return false;
+  }
+
+  const supabase = createAdminClient();
+
+  const { error } = await supabase
+    .from('revoked_tokens')
+    .upsert([
+      {
+        jti: decoded.jti,
+        user_id: decoded.id || null,
+        expires_at: new Date(decoded.exp * 1000).toISOString(),
+        revoked_at: new Date().toISOString(),
+      }
+    ]);
+
+  if (error) {
+    console.error('Error revoking access token:', error);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Invalidate every access and refresh token a user currently holds
+ * Use after a role change, password change or when an account is compromised.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function revokeUserSessions(userId) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: user, error: fetchError } = await supabase
+      .from('users')
+      .select('token_version')
+      .eq('id', userId)
+      .single();
+
+    if (fetchError || !user) {
+      return false;
+    }
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        token_version: (user.token_version || 0) + 1,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', userId);
+
+    if (updateError) {
+      console.error('Error bumping token version:', updateError);
+      return false;
+    }
+
+    await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    return true;
+  } catch (error) {
+    console.error('Error in revokeUserSessions:', error);
+    return false;
+  }
+}
+
+/**
+ * Check a verified access token against the revocation store
+ * Tokens of suspended users are rejected too.
+ * @param {Object} decoded - Decoded access token payload
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
+export async function isTokenRevoked(decoded) {
+  const supabase = createAdminClient();
+
+  try {
+    if (decoded.jti) {
+      const { data: revoked } = await supabase
+        .from('revoked_tokens')
+        .select('jti')
+        .eq('jti', decoded.jti)
+        .maybeSingle();
+
+      if (revoked) {
+        return true;
+      }
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('token_version, suspended_at')
+      .eq('id', decoded.id)
+      .single();
+
+    if (error || !user || user.suspended_at) {
+      return true;
+    }
+
+    return (decoded.tv || 0) !== (user.token_version || 0);
+  } catch (error) {
+    console.error('Error checking token revocation:', error);
+    return true;
+  }
+}
@@ -0,0 +1,292 @@
+import QRCode from 'qrcode';
+import { createAdminClient } from '@/lib/supabase/server';
+import { encryptSecret, decryptSecret, hashToken } from '@/lib/crypto';
+import { signScopedToken, verifyScopedToken, verifyTokenFromRequest } from '@/lib/jwt';
+import { TWO_FACTOR_CHALLENGE_COOKIE, getCookie } from '@/lib/cookies';
+import { buildOtpAuthUrl, generateRecoveryCodes, generateTotpSecret, verifyTotp } from '@/lib/totp';
+
+const ISSUER = process.env.NEXT_PUBLIC_APP_NAME || 'Blog';
+
+// Lifetimes of challenge tokens by purpose, in seconds
+const CHALLENGE_TTL = { '2fa-login': 5 * 60, '2fa-enroll': 15 * 60 };
+
+// The challenge cookie is only sent to the endpoints that complete the second step
+const CHALLENGE_COOKIE_PATH = '/api/auth/2fa';
+
+/**
+ * Short-lived token proving the password step of a login succeeded
+ * purpose '2fa-login' completes a login with a code; '2fa-enroll' lets a user
+ * whose admin requires 2FA enroll before receiving a session.
+ * @param {string} userId - User ID
+ * @param {string} purpose - '2fa-login' or '2fa-enroll'
+ * @returns {string} Challenge token
+ */
+export function createTwoFactorChallenge(userId, purpose) {
+  const { token } = signScopedToken({ sub: userId }, purpose, CHALLENGE_TTL[purpose]);
+  return token;
+}
+
+/**
+ * Hand a challenge to the browser in an httpOnly cookie instead of the response body or URL
+ * @param {NextResponse} response - Response to attach the cookie to
+ * @param {string} token - Challenge token
+ * @param {string} purpose - '2fa-login' or '2fa-enroll'
+ * @returns {NextResponse} The same response
+ */
+export function setChallengeCookie(response, token, purpose) {
+  response.cookies.set(TWO_FACTOR_CHALLENGE_COOKIE, token, {
+    path: CHALLENGE_COOKIE_PATH,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    httpOnly: true,
+    maxAge: CHALLENGE_TTL[purpose],
+  });
+  return response;
+}
+
+/**
+ * Remove the challenge cookie once the second step is done
+ * @param {NextResponse} response - Response to attach the cookie to
+ * @returns {NextResponse} The same response
+ */
+export function clearChallengeCookie(response) {
+  response.cookies.set(TWO_FACTOR_CHALLENGE_COOKIE, '', { path: CHALLENGE_COOKIE_PATH, maxAge: 0 });
+  return response;
+}
+
+/**
+ * Challenge token of a request: the one in the body, else the one in the challenge cookie
+ * @param {Request} request - Incoming request
+ * @param {string|undefined} challengeToken - Token from the request body
+ * @returns {string|null} Challenge token
+ */
+export function getChallengeToken(request, challengeToken) {
+  return challengeToken || getCookie(request, TWO_FACTOR_CHALLENGE_COOKIE);
+}
+
+/**
+ * Verify a challenge token issued by createTwoFactorChallenge
+ * @param {string} token - Challenge token
+ * @param {string} purpose - Expected purpose
+ * @returns {string|null} User ID or null if invalid
+ */
+export function verifyTwoFactorChallenge(token, purpose) {
+  if (!token) {
+    return null;
+  }
+  const decoded = verifyScopedToken(token, purpose);
+  return decoded ? decoded.sub : null;
+}
+
+/**
+ * Identify the user setting up 2FA
+ * Signed-in users enroll from their session; users stopped at login because
+ * 2FA is required enroll with the '2fa-enroll' challenge instead, from the body
+ * or, after an OAuth sign-in, from the challenge cookie.
+ * @param {Request} request - Request object
+ * @param {string} challengeToken - Enrollment challenge from the body, if any
+ * @returns {Promise<Object|null>} { userId, viaChallenge } or null if unauthenticated
+ */
+export async function getEnrollingUser(request, challengeToken) {
+  if (challengeToken) {
+    const userId = verifyTwoFactorChallenge(challengeToken, '2fa-enroll');
+    return userId ? { userId, viaChallenge: true } : null;
+  }
+
+  // A leftover cookie from an abandoned login does not stop a signed-in user from enrolling
+  const cookieUserId = verifyTwoFactorChallenge(getChallengeToken(request), '2fa-enroll');
+  if (cookieUserId) {
+    return { userId: cookieUserId, viaChallenge: true };
+  }
+
+  const decoded = await verifyTokenFromRequest(request);
+  return decoded ? { userId: decoded.id, viaChallenge: false } : null;
+}
+
+/**
+ * Whether login must go through the enrollment step first
+ * @param {Object} user - User row
+ * @returns {boolean} True if 2FA is required but not yet enabled
+ */
+export function isTwoFactorSetupRequired(user) {
+  return !!user.two_factor_required && !user.totp_enabled_at;
+}
+
+/**
+ * Start enrollment by generating a pending secret
+ * @param {Object} user - User row (id, email)
+ * @returns {Promise<Object|null>} { secret, otpauthUrl, qrCodeDataUrl } or null
+ */
+export async function beginTwoFactorEnrollment(user) {
+  const supabase = createAdminClient();
+  const secret = generateTotpSecret();
+
+  try {
+    const { error } = await supabase
+      .from('users')
+      .update({ totp_pending_secret: encryptSecret(secret) })
+      .eq('id', user.id);
+
+    if (error) {
+      console.error('Error starting 2FA enrollment:', error);
+      return null;
+    }
+
+    const otpauthUrl = buildOtpAuthUrl({ secret, accountName: user.email, issuer: ISSUER });
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCodeDataUrl };
+  } catch (error) {
+    console.error('Error in beginTwoFactorEnrollment:', error);
+    return null;
+  }
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Array<string>|null>} Recovery codes (shown once) or null if the code is wrong
+ */
+export async function confirmTwoFactorEnrollment(userId, code) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('totp_pending_secret')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user?.totp_pending_secret) {
+      return null;
+    }
+
+    const secret = decryptSecret(user.totp_pending_secret);
+    const step = secret ? verifyTotp(secret, code) : null;
+
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        totp_secret: user.totp_pending_secret,
+        totp_pending_secret: null,
+        totp_enabled_at: new Date().toISOString(),
+        totp_last_used_step: step,
+        totp_recovery_codes: recoveryCodes.map(hashToken),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', userId);
+
+    if (updateError) {
+      console.error('Error enabling 2FA:', updateError);
+      return null;
+    }
+
+    return recoveryCodes;
+  } catch (error) {
+    console.error('Error in confirmTwoFactorEnrollment:', error);
+    return null;
+  }
+}
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled
+ * Accepted codes cannot be replayed and recovery codes are removed once used.
+ * @param {Object} user - User row including the totp_* columns
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {Promise<boolean>} True if the second factor is valid
+ */
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+  const supabase = createAdminClient();
+
+  try {
+    if (recoveryCode) {
+      const hashed = hashToken(String(recoveryCode).trim().toLowerCase());
+      const remaining = (user.totp_recovery_codes || []).filter(stored => stored !== hashed);
+
+      if (remaining.length === (user.totp_recovery_codes || []).length) {
+        return false;
+      }
+
+      const { error } = await supabase
+        .from('users')
+        .update({ totp_recovery_codes: remaining })
+        .eq('id', user.id);
+
+      return !error;
+    }
+
+    const secret = user.totp_secret ? decryptSecret(user.totp_secret) : null;
+    const step = secret ? verifyTotp(secret, code, user.totp_last_used_step ?? null) : null;
+
+    if (step === null) {
+      return false;
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ totp_last_used_step: step })
+      .eq('id', user.id);
+
+    return !error;
+  } catch (error) {
+    console.error('Error in verifySecondFactor:', error);
+    return false;
+  }
+}
+
+/**
+ * Replace a user's recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>|null>} New recovery codes or null
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const supabase = createAdminClient();
+  const recoveryCodes = generateRecoveryCodes();
+
+  const { error } = await supabase
+    .from('users')
+    .update({ totp_recovery_codes: recoveryCodes.map(hashToken) })
+    .eq('id', userId);
+
+  if (error) {
+    console.error('Error regenerating recovery codes:', error);
+    return null;
+  }
+
+  return recoveryCodes;
+}
+
+/**
+ * Turn off 2FA for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function disableTwoFactor(userId) {
+  const supabase = createAdminClient();
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_enabled_at: null,
+      totp_last_used_step: null,
+      totp_recovery_codes: [],
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', userId);
+
+  if (error) {
+    console.error('Error disabling 2FA:', error);
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,266 @@
+import { createAdminClient } from '@/lib/supabase/server';
+import { revokeUserSessions } from '@/lib/token-store';
+import { sanitizeSearchTerm } from '@/lib/validation';
+import { ROLE_CAPABILITIES } from '@/lib/permissions';
+import { trashPost, purgeTrashedPosts } from '@/lib/post-trash';
+
+// Passes over a user's posts before giving up on reassigning posts that keep being edited
+const REASSIGN_ATTEMPTS = 3;
+
+/**
+ * Columns admins see when managing users
+ */
+export const ADMIN_USER_COLUMNS = 'id, email, name, role, avatar_url, email_verified_at, totp_enabled_at, two_factor_required, locked_until, suspended_at, suspended_reason, created_at, updated_at';
+
+/**
+ * List users for the admin screen
+ * @param {Object} options - { page, pageSize, search, role }
+ * @returns {Promise<Object>} { users, total, page, pageSize, totalPages }
+ */
+export async function listUsers(options = {}) {
+  const {
+    page = 1,
+    pageSize = 20,
+    search = null,
+    role = null,
+  } = options;
+
+  const supabase = createAdminClient();
+  const from = (page - 1) * pageSize;
+  const to = from + pageSize - 1;
+
+  try {
+    let query = supabase
+      .from('users')
+      .select(ADMIN_USER_COLUMNS, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    if (role) {
+      query = query.eq('role', role);
+    }
+
+    const term = search ? sanitizeSearchTerm(search) : '';
+    if (term) {
+      query = query.or(`name.ilike.%${term}%,email.ilike.%${term}%`);
+    }
+
+    const { data: users, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching users:', error);
+      return { users: [], total: 0, page, pageSize, totalPages: 0 };
+    }
+
+    return {
+      users: users || [],
+      total: count || 0,
+      page,
+      pageSize,
+      totalPages: Math.ceil((count || 0) / pageSize),
+    };
+  } catch (error) {
+    console.error('Error in listUsers:', error);
+    return { users: [], total: 0, page, pageSize, totalPages: 0 };
+  }
+}
+
+/**
+ * Get one user for the admin screen
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User or null
+ */
+export async function getUserForAdmin(userId) {
+  const supabase = createAdminClient();
+
+  const { data: user, error } = await supabase
+    .from('users')
+    .select(ADMIN_USER_COLUMNS)
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching user:', error);
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * Users who can write posts, for picking a post's author
+ * @returns {Promise<Array>} Active users with id, name, email and role, by name
+ */
+export async function listAuthors() {
+  const supabase = createAdminClient();
+  const authorRoles = Object.keys(ROLE_CAPABILITIES)
+    .filter(role => ROLE_CAPABILITIES[role].includes('post:create'));
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('id, name, email, role')
+    .in('role', authorRoles)
+    .is('suspended_at', null)
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching authors:', error);
+    return [];
+  }
+
+  return users || [];
+}
+
+/**
+ * Suspend or reinstate a user
+ * Suspending signs the user out everywhere.
+ * @param {string} userId - User ID
+ * @param {boolean} suspended - New suspension state
+ * @param {string|null} reason - Reason shown to admins
+ * @returns {Promise<Object|null>} Updated user or null
+ */
+export async function setUserSuspension(userId, suspended, reason = null) {
+  const supabase = createAdminClient();
+
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({
+        suspended_at: suspended ? new Date().toISOString() : null,
+        suspended_reason: suspended ? reason?.trim() || null : null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', userId)
+      .select(ADMIN_USER_COLUMNS)
+      .single();
+
+    if (error || !user) {
+      console.error('Error updating suspension:', error);
+      return null;
+    }
+
+    if (suspended) {
+      await revokeUserSessions(userId);
+    }
+
+    return user;
+  } catch (error) {
+    console.error('Error in setUserSuspension:', error);
+    return null;
+  }
+}
+
+/**
+ * Hand every post of a user, including trashed ones, to another author
+ * Each post gets a version bump, so editors still holding the old author see a conflict.
+ * @param {Object} supabase - Admin client
+ * @param {string} userId - Current author
+ * @param {string} reassignTo - New author
+ * @returns {Promise<number|null>} Posts reassigned, or null if some could not be
+ */
+async function reassignPosts(supabase, userId, reassignTo) {
+  let reassigned = 0;
+
+  // Posts edited between the read and the update are picked up on the next pass
+  for (let attempt = 0; attempt < REASSIGN_ATTEMPTS; attempt += 1) {
+    const { data: posts, error } = await supabase
+      .from('posts')
+      .select('id, version')
+      .eq('author_id', userId);
+
+    if (error) {
+      console.error('Error loading posts to reassign:', error);
+      return null;
+    }
+
+    if (!posts || posts.length === 0) {
+      return reassigned;
+    }
+
+    for (const post of posts) {
+      const { data: updated, error: updateError } = await supabase
+        .from('posts')
+        .update({ author_id: reassignTo, updated_at: new Date().toISOString(), version: post.version + 1 })
+        .eq('id', post.id)
+        .eq('author_id', userId)
+        .eq('version', post.version)
+        .select('id');
+
+      if (updateError) {
+        console.error('Error reassigning post:', updateError);
+        return null;
+      }
+
+      reassigned += updated?.length || 0;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Delete a user, optionally handing their posts to another author first
+ * Without reassignTo the posts go through the trash and are purged, so the audit log keeps a
+ * snapshot of each one. The account is only deleted once none of its posts are left, since the
+ * database would otherwise delete them along with it.
+ * @param {string} userId - User to delete
+ * @param {string|null} reassignTo - User who receives the posts
+ * @param {Object} [options] - { actor, ip } of the admin deleting the user, for the audit log
+ * @returns {Promise<Object>} { success, reassignedPosts, deletedPosts } or { error }
+ */
+export async function deleteUser(userId, reassignTo = null, { actor = null, ip = null } = {}) {
+  const supabase = createAdminClient();
+
+  try {
+    let reassignedPosts = 0;
+    let deletedPosts = 0;
+
+    if (reassignTo) {
+      reassignedPosts = await reassignPosts(supabase, userId, reassignTo);
+
+      if (reassignedPosts === null) {
+        return { error: 'Failed to reassign posts' };
+      }
+    } else {
+      const { data: livePosts, error: postsError } = await supabase
+        .from('posts')
+        .select('*')
+        .eq('author_id', userId)
+        .is('deleted_at', null);
+
+      if (postsError) {
+        console.error('Error loading posts of deleted user:', postsError);
+        return { error: 'Failed to delete posts' };
+      }
+
+      for (const post of livePosts || []) {
+        if (!await trashPost(post, actor?.id || null)) {
+          return { error: 'Failed to delete posts' };
+        }
+      }
+
+      const purge = await purgeTrashedPosts({ authorId: userId, actor, ip, reason: 'user_deleted' });
+
+      if (purge.error) {
+        return { error: 'Failed to delete posts' };
+      }
+
+      deletedPosts = purge.purged;
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .delete()
+      .eq('id', userId);
+
+    if (error) {
+      console.error('Error deleting user:', error);
+      return { error: 'Failed to delete user' };
+    }
+
+    return { success: true, reassignedPosts, deletedPosts };
+  } catch (error) {
+    console.error('Error in deleteUser:', error);
+    return { error: 'Failed to delete user' };
+  }
+}
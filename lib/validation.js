@@ -2,6 +2,47 @@
  * Validation utilities for user input
  */
 
+import { ROLE_CAPABILITIES } from '@/lib/permissions';
+
+/**
+ * Roles a user account can hold
+ */
+export const USER_ROLES = Object.keys(ROLE_CAPABILITIES);
+
+/**
+ * Lifecycle states of a post
+ * Scheduled posts are published by the cron job once published_at passes.
+ */
+export const POST_STATUSES = ['draft', 'scheduled', 'published'];
+
+/**
+ * Formats post content can be written in
+ */
+export const CONTENT_FORMATS = ['html', 'markdown'];
+
+/**
+ * Slugs no post may take, because a static /api/posts route answers at that path
+ */
+export const RESERVED_POST_SLUGS = ['bulk'];
+
+/**
+ * Actions POST /api/posts/bulk can apply to many posts at once
+ */
+export const BULK_POST_ACTIONS = ['publish', 'unpublish', 'delete', 'set_category', 'add_tags', 'remove_tags', 'reassign_author'];
+
+// Most posts a single bulk request may touch
+const MAX_BULK_POSTS = 100;
+
+// Same shape generateSlug produces from a title
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Row IDs are UUIDs; anything else would fail in the database instead of as a bad request
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -33,7 +74,7 @@ export function isValidPassword(password) {
  * @returns {Object} { valid: boolean, error?: string }
  */
 export function validateRegistration(data) {
-  const { name, email, password, role } = data;
+  const { name, email, password } = data;
 
   if (!name || name.trim().length === 0) {
     return { valid: false, error: 'Name is required' };
@@ -52,9 +93,63 @@ export function validateRegistration(data) {
     return passwordValidation;
   }
 
-  const validRoles = ['admin', 'author', 'reader'];
-  if (role && !validRoles.includes(role)) {
-    return { valid: false, error: 'Invalid role specified' };
+  return { valid: true };
+}
+
+/**
+ * Validate profile updates (only the fields present are checked)
+ * @param {Object} data - Profile data
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+export function validateProfile(data) {
+  const { name, bio, avatar_url } = data;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return { valid: false, error: 'Name is required' };
+    }
+
+    if (name.length > 100) {
+      return { valid: false, error: 'Name must be less than 100 characters' };
+    }
+  }
+
+  if (bio !== undefined && bio !== null) {
+    if (typeof bio !== 'string' || bio.length > 500) {
+      return { valid: false, error: 'Bio must be less than 500 characters' };
+    }
+  }
+
+  if (avatar_url !== undefined && avatar_url !== null && avatar_url !== '') {
+    if (typeof avatar_url !== 'string' || avatar_url.length > 500 || !/^https?:\/\/\S+$/i.test(avatar_url)) {
+      return { valid: false, error: 'Avatar must be an http(s) URL' };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate invitation data
+ * @param {Object} data - Invitation data
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+export function validateInvitation(data) {
+  const { email, role, expiresInDays } = data;
+
+  if (!email || !isValidEmail(email)) {
+    return { valid: false, error: 'Valid email is required' };
+  }
+
+  if (!role || !USER_ROLES.includes(role)) {
+    return { valid: false, error: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}` };
+  }
+
+  if (expiresInDays !== undefined) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > 30) {
+      return { valid: false, error: 'Expiry must be between 1 and 30 days' };
+    }
   }
 
   return { valid: true };
@@ -82,30 +177,114 @@ export function validateLogin(data) {
 /**
  * Validate post data
  * @param {Object} data - Post data
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only check the fields present, for updates
  * @returns {Object} { valid: boolean, error?: string }
  */
-export function validatePost(data) {
-  const { title, content, excerpt, status } = data;
+export function validatePost(data, { partial = false } = {}) {
+  const { title, slug, slug_pinned, keep_slug, content, content_format, excerpt, status, published_at } = data;
+
+  if (!partial || title !== undefined) {
+    if (!title || title.trim().length === 0) {
+      return { valid: false, error: 'Title is required' };
+    }
+
+    if (title.length > 200) {
+      return { valid: false, error: 'Title must be less than 200 characters' };
+    }
+  }
 
-  if (!title || title.trim().length === 0) {
-    return { valid: false, error: 'Title is required' };
+  if (slug !== undefined && slug !== null) {
+    if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+      return { valid: false, error: 'Slug may only contain lowercase letters, numbers and single hyphens' };
+    }
+
+    if (slug.length > 200) {
+      return { valid: false, error: 'Slug must be less than 200 characters' };
+    }
+
+    if (RESERVED_POST_SLUGS.includes(slug)) {
+      return { valid: false, error: `The slug "${slug}" is reserved` };
+    }
   }
 
-  if (title.length > 200) {
-    return { valid: false, error: 'Title must be less than 200 characters' };
+  if (slug_pinned !== undefined && typeof slug_pinned !== 'boolean') {
+    return { valid: false, error: 'slug_pinned must be a boolean' };
   }
 
-  if (!content || content.trim().length === 0) {
-    return { valid: false, error: 'Content is required' };
+  if (keep_slug !== undefined && typeof keep_slug !== 'boolean') {
+    return { valid: false, error: 'keep_slug must be a boolean' };
+  }
+
+  if (!partial || content !== undefined) {
+    if (!content || content.trim().length === 0) {
+      return { valid: false, error: 'Content is required' };
+    }
+  }
+
+  if (content_format !== undefined && !CONTENT_FORMATS.includes(content_format)) {
+    return { valid: false, error: `Invalid content_format. Must be one of: ${CONTENT_FORMATS.join(', ')}` };
   }
 
   if (excerpt && excerpt.length > 300) {
     return { valid: false, error: 'Excerpt must be less than 300 characters' };
   }
 
-  const validStatuses = ['draft', 'published'];
-  if (status && !validStatuses.includes(status)) {
-    return { valid: false, error: 'Invalid status. Must be "draft" or "published"' };
+  if (status && !POST_STATUSES.includes(status)) {
+    return { valid: false, error: `Invalid status. Must be one of: ${POST_STATUSES.join(', ')}` };
+  }
+
+  if (status === 'scheduled') {
+    const publishAt = published_at ? new Date(published_at) : null;
+
+    if (!publishAt || Number.isNaN(publishAt.getTime())) {
+      return { valid: false, error: 'Scheduled posts need a valid published_at date' };
+    }
+
+    if (publishAt.getTime() <= Date.now()) {
+      return { valid: false, error: 'published_at must be in the future for scheduled posts' };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate a bulk post request
+ * @param {Object} data - { ids, action, category_id, tag_ids, author_id }
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+export function validateBulkPostAction(data) {
+  const { ids, action, category_id, tag_ids, author_id } = data;
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { valid: false, error: 'ids must be a non-empty array of post IDs' };
+  }
+
+  if (ids.length > MAX_BULK_POSTS) {
+    return { valid: false, error: `At most ${MAX_BULK_POSTS} posts can be changed at once` };
+  }
+
+  if (!ids.every(isUuid)) {
+    return { valid: false, error: 'ids must be a non-empty array of post IDs' };
+  }
+
+  if (!BULK_POST_ACTIONS.includes(action)) {
+    return { valid: false, error: `Invalid action. Must be one of: ${BULK_POST_ACTIONS.join(', ')}` };
+  }
+
+  // null moves the posts out of any category
+  if (action === 'set_category' && category_id !== null && !isUuid(category_id)) {
+    return { valid: false, error: 'category_id is required for set_category' };
+  }
+
+  if ((action === 'add_tags' || action === 'remove_tags')
+    && (!Array.isArray(tag_ids) || tag_ids.length === 0 || !tag_ids.every(isUuid))) {
+    return { valid: false, error: `tag_ids must be a non-empty array of tag IDs for ${action}` };
+  }
+
+  if (action === 'reassign_author' && !isUuid(author_id)) {
+    return { valid: false, error: 'author_id is required for reassign_author' };
   }
 
   return { valid: true };
@@ -173,18 +352,48 @@ export function validateComment(data) {
 }
 
 /**
- * Sanitize HTML content to prevent XSS
- * @param {string} html - HTML content to sanitize
- * @returns {string} Sanitized HTML
+ * Validate API key data
+ * @param {Object} data - API key data
+ * @param {Array<string>} allowedScopes - Scopes that can be granted
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+export function validateApiKey(data, allowedScopes) {
+  const { name, scopes, expiresInDays } = data;
+
+  if (!name || name.trim().length === 0) {
+    return { valid: false, error: 'Key name is required' };
+  }
+
+  if (name.length > 100) {
+    return { valid: false, error: 'Key name must be less than 100 characters' };
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { valid: false, error: 'At least one scope is required' };
+  }
+
+  const invalidScope = scopes.find(scope => !allowedScopes.includes(scope));
+  if (invalidScope) {
+    return { valid: false, error: `Invalid scope "${invalidScope}". Must be one of: ${allowedScopes.join(', ')}` };
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return { valid: false, error: 'Expiry must be between 1 and 365 days' };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Strip characters that would break a PostgREST or() filter or act as wildcards
+ * @param {string} search - Raw search text
+ * @returns {string} Search text safe to embed in an ilike pattern
  */
-export function sanitizeHtml(html) {
-  if (!html) return '';
-  
-  // Basic sanitization - remove script tags and dangerous attributes
-  return html
-    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-    .replace(/on\w+\s*=\s*["'][^"']*["']/gi, '')
-    .replace(/javascript:/gi, '');
+export function sanitizeSearchTerm(search) {
+  return search.replace(/[,()%*\\]/g, ' ').trim();
 }
 
 /**
@@ -1,12 +1,56 @@
-import { type NextRequest } from 'next/server'
+import { NextResponse, type NextRequest } from 'next/server'
 import { updateSession } from '@/lib/supabase/middleware'
+import { SESSION_COOKIE, REFRESH_COOKIE } from '@/lib/cookie-names'
+import { isSameOriginRequest } from '@/lib/request'
+
+// Server-rendered pages that need the signed-in user, plus the login page so a
+// returning user is recognised instead of being asked to sign in again
+const SESSION_PAGES = ['/dashboard', '/admin', '/settings', '/login']
+
+function needsSession(pathname: string) {
+  return SESSION_PAGES.some(page => pathname === page || pathname.startsWith(`${page}/`))
+}
+
+// Prefetches and client-side (RSC) navigations are fetches, not page loads: renewing on them
+// rotates the refresh token behind the user's back. HeaderNav renews those from the browser.
+function isDocumentRequest(request: NextRequest) {
+  const { headers } = request
+  return !headers.has('rsc')
+    && !headers.has('next-router-prefetch')
+    && headers.get('purpose') !== 'prefetch'
+    && headers.get('x-purpose') !== 'prefetch'
+}
 
 /**
  * Middleware runs on every request
  * This updates the Supabase session for authenticated users
  */
 export async function middleware(request: NextRequest) {
-  return await updateSession(request)
+  // The access cookie expires with the access token; renew it from the refresh cookie
+  // before the page renders, rather than sending the user to the login page. Links from
+  // other sites are left to HeaderNav too, as /api/auth/session refuses them.
+  if (
+    request.method === 'GET'
+    && needsSession(request.nextUrl.pathname)
+    && isDocumentRequest(request)
+    && isSameOriginRequest(request)
+    && !request.cookies.get(SESSION_COOKIE)?.value
+    && request.cookies.get(REFRESH_COOKIE)?.value
+  ) {
+    const renewUrl = new URL('/api/auth/session', request.url)
+    renewUrl.searchParams.set('next', `${request.nextUrl.pathname}${request.nextUrl.search}`)
+    return NextResponse.redirect(renewUrl)
+  }
+
+  const response = await updateSession(request)
+
+  // Shared preview links of unpublished posts must not be indexed or leak the token to other sites
+  if (request.nextUrl.searchParams.has('preview')) {
+    response.headers.set('X-Robots-Tag', 'noindex, nofollow')
+    response.headers.set('Referrer-Policy', 'no-referrer')
+  }
+
+  return response
 }
 
 export const config = {
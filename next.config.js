@@ -54,7 +54,7 @@ const nextConfig = {
           },
           {
             key: 'Access-Control-Allow-Headers',
-            value: 'Content-Type, Authorization, X-Requested-With',
+            value: 'Content-Type, Authorization, X-Requested-With, X-API-Key, X-CSRF-Token',
           },
           {
             key: 'Access-Control-Allow-Credentials',
@@ -66,5 +66,5 @@ const nextConfig = {
   },
 };
 
-module.exports = nextConfig;
+export default nextConfig;
 
@@ -0,0 +1,31 @@
+-- Track a per-user token version so every access token issued before a
+-- revocation (logout everywhere, role change, password reset) is rejected
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version integer DEFAULT 0 NOT NULL;
+
+-- Create table: refresh_tokens
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY NOT NULL,
+    user_id uuid NOT NULL,
+    family_id uuid NOT NULL,
+    token_hash text UNIQUE NOT NULL,
+    expires_at timestamp with time zone NOT NULL,
+    revoked_at timestamp with time zone,
+    replaced_by uuid,
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refresh_tokens_token_hash ON refresh_tokens (token_hash);
+CREATE  INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens (user_id);
+CREATE  INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens (family_id);
+ALTER TABLE refresh_tokens ADD CONSTRAINT fk_refresh_tokens_user_id FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE refresh_tokens DISABLE ROW LEVEL SECURITY;
+
+-- Create table: revoked_tokens
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti text PRIMARY KEY NOT NULL,
+    user_id uuid,
+    expires_at timestamp with time zone NOT NULL,
+    revoked_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE  INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens (expires_at);
+ALTER TABLE revoked_tokens ADD CONSTRAINT fk_revoked_tokens_user_id FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE revoked_tokens DISABLE ROW LEVEL SECURITY;
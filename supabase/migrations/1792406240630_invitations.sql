@@ -0,0 +1,18 @@
+-- Create table: invitations
+CREATE TABLE IF NOT EXISTS invitations (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY NOT NULL,
+    email text NOT NULL,
+    role text NOT NULL,
+    token_hash text UNIQUE NOT NULL,
+    invited_by uuid,
+    expires_at timestamp with time zone NOT NULL,
+    accepted_at timestamp with time zone,
+    accepted_by uuid,
+    revoked_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitations_token_hash ON invitations (token_hash);
+CREATE  INDEX IF NOT EXISTS idx_invitations_email ON invitations (email);
+ALTER TABLE invitations ADD CONSTRAINT fk_invitations_invited_by FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE invitations ADD CONSTRAINT fk_invitations_accepted_by FOREIGN KEY (accepted_by) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE invitations DISABLE ROW LEVEL SECURITY;
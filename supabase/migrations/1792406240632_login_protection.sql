@@ -0,0 +1,16 @@
+-- Account lockout state
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count integer DEFAULT 0 NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until timestamp with time zone;
+
+-- Create table: login_attempts
+-- Sliding-window log used for per-IP and per-account login rate limits
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY NOT NULL,
+    email text NOT NULL,
+    ip text NOT NULL,
+    success boolean DEFAULT false NOT NULL,
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE  INDEX IF NOT EXISTS idx_login_attempts_email_created_at ON login_attempts (email, created_at);
+CREATE  INDEX IF NOT EXISTS idx_login_attempts_ip_created_at ON login_attempts (ip, created_at);
+ALTER TABLE login_attempts DISABLE ROW LEVEL SECURITY;
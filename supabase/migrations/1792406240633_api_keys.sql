@@ -0,0 +1,18 @@
+-- Create table: api_keys
+-- Keys are shown once on creation; only a SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY NOT NULL,
+    user_id uuid NOT NULL,
+    name text NOT NULL,
+    prefix text NOT NULL,
+    key_hash text UNIQUE NOT NULL,
+    scopes text[] DEFAULT '{}' NOT NULL,
+    last_used_at timestamp with time zone,
+    expires_at timestamp with time zone,
+    revoked_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_key_hash ON api_keys (key_hash);
+CREATE  INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys (user_id);
+ALTER TABLE api_keys ADD CONSTRAINT fk_api_keys_user_id FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE api_keys DISABLE ROW LEVEL SECURITY;
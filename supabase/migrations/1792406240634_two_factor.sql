@@ -0,0 +1,8 @@
+-- TOTP two-factor authentication
+-- Secrets are stored encrypted and recovery codes as SHA-256 hashes
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at timestamp with time zone;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step bigint;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_recovery_codes text[] DEFAULT '{}' NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_required boolean DEFAULT false NOT NULL;
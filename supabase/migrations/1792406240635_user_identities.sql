@@ -0,0 +1,18 @@
+-- Create table: user_identities
+-- OAuth provider accounts (via Supabase Auth) linked to rows in users
+CREATE TABLE IF NOT EXISTS user_identities (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY NOT NULL,
+    user_id uuid NOT NULL,
+    provider text NOT NULL,
+    provider_user_id text NOT NULL,
+    email text,
+    last_sign_in_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_identities_provider_user ON user_identities (provider, provider_user_id);
+CREATE  INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities (user_id);
+ALTER TABLE user_identities ADD CONSTRAINT fk_user_identities_user_id FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE user_identities DISABLE ROW LEVEL SECURITY;
+
+-- Accounts created through OAuth have no password until they set one
+ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
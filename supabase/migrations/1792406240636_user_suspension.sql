@@ -0,0 +1,5 @@
+-- Account suspension
+-- Suspended users cannot sign in and their existing tokens are rejected
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at timestamp with time zone;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_reason text;
+CREATE  INDEX IF NOT EXISTS idx_users_role ON users (role);
@@ -0,0 +1,37 @@
+-- Create table: audit_logs
+-- Append-only record of security-relevant and content-changing actions.
+-- No foreign keys so entries outlive the users and posts they describe.
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY NOT NULL,
+    actor_id uuid,
+    actor_email text,
+    action text NOT NULL,
+    target_type text,
+    target_id text,
+    before jsonb,
+    after jsonb,
+    metadata jsonb,
+    ip text,
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE  INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs (created_at);
+CREATE  INDEX IF NOT EXISTS idx_audit_logs_actor_id ON audit_logs (actor_id);
+CREATE  INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs (action);
+CREATE  INDEX IF NOT EXISTS idx_audit_logs_target ON audit_logs (target_type, target_id);
+ALTER TABLE audit_logs DISABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+CREATE TRIGGER audit_logs_append_only
+    BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs;
+CREATE TRIGGER audit_logs_no_truncate
+    BEFORE TRUNCATE ON audit_logs
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
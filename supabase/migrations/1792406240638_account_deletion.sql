@@ -0,0 +1,21 @@
+-- Create table: account_deletion_requests
+-- Self-service deletions wait out a grace period before the account is purged
+CREATE TABLE IF NOT EXISTS account_deletion_requests (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY NOT NULL,
+    user_id uuid UNIQUE NOT NULL,
+    comments_action text NOT NULL CHECK (comments_action IN ('anonymize', 'delete')),
+    posts_action text NOT NULL CHECK (posts_action IN ('transfer', 'unpublish', 'delete')),
+    transfer_to uuid,
+    scheduled_for timestamp with time zone NOT NULL,
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE  INDEX IF NOT EXISTS idx_account_deletion_requests_scheduled_for ON account_deletion_requests (scheduled_for);
+ALTER TABLE account_deletion_requests ADD CONSTRAINT fk_account_deletion_requests_user_id FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE account_deletion_requests ADD CONSTRAINT fk_account_deletion_requests_transfer_to FOREIGN KEY (transfer_to) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE account_deletion_requests DISABLE ROW LEVEL SECURITY;
+
+-- Anonymized comments outlive their author
+ALTER TABLE comments ALTER COLUMN user_id DROP NOT NULL;
+
+-- Unpublished posts of a deleted account are kept without an author until an admin reassigns them
+ALTER TABLE posts ALTER COLUMN author_id DROP NOT NULL;
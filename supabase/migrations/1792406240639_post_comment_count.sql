@@ -0,0 +1,27 @@
+-- Denormalized comment count so posts can be sorted by it
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS comment_count integer DEFAULT 0 NOT NULL;
+
+UPDATE posts SET comment_count = counts.total
+FROM (SELECT post_id, count(*) AS total FROM comments GROUP BY post_id) AS counts
+WHERE posts.id = counts.post_id;
+
+CREATE OR REPLACE FUNCTION update_post_comment_count() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE posts SET comment_count = comment_count + 1 WHERE id = NEW.post_id;
+    ELSIF TG_OP = 'DELETE' THEN
+        UPDATE posts SET comment_count = GREATEST(comment_count - 1, 0) WHERE id = OLD.post_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS comments_update_post_comment_count ON comments;
+CREATE TRIGGER comments_update_post_comment_count
+    AFTER INSERT OR DELETE ON comments
+    FOR EACH ROW EXECUTE FUNCTION update_post_comment_count();
+
+-- Keyset pagination indexes for the public sort orders
+CREATE  INDEX IF NOT EXISTS idx_posts_status_published_at_id ON posts (status, published_at, id);
+CREATE  INDEX IF NOT EXISTS idx_posts_status_comment_count_id ON posts (status, comment_count, id);
+CREATE  INDEX IF NOT EXISTS idx_posts_status_title_id ON posts (status, title, id);
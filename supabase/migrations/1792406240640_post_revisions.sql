@@ -0,0 +1,25 @@
+-- Create table: post_revisions
+-- Full snapshot of a post after every save, so earlier versions can be compared and restored
+CREATE TABLE IF NOT EXISTS post_revisions (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY NOT NULL,
+    post_id uuid NOT NULL,
+    revision_number integer NOT NULL,
+    editor_id uuid,
+    title text NOT NULL,
+    slug text NOT NULL,
+    content text NOT NULL,
+    excerpt text,
+    featured_image text,
+    category_id uuid,
+    category jsonb,
+    tags jsonb DEFAULT '[]'::jsonb NOT NULL,
+    status text NOT NULL,
+    published_at timestamp with time zone,
+    restored_from integer,
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_post_revisions_post_revision ON post_revisions (post_id, revision_number);
+CREATE  INDEX IF NOT EXISTS idx_post_revisions_editor_id ON post_revisions (editor_id);
+ALTER TABLE post_revisions ADD CONSTRAINT fk_post_revisions_post_id FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE;
+ALTER TABLE post_revisions ADD CONSTRAINT fk_post_revisions_editor_id FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE post_revisions DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,15 @@
+-- Create table: post_preview_tokens
+-- Shareable links that show an unpublished post to reviewers without an account.
+-- The token is a signed JWT; this table records its ID so it can be listed and revoked.
+CREATE TABLE IF NOT EXISTS post_preview_tokens (
+    jti text PRIMARY KEY NOT NULL,
+    post_id uuid NOT NULL,
+    created_by uuid,
+    expires_at timestamp with time zone NOT NULL,
+    revoked_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE  INDEX IF NOT EXISTS idx_post_preview_tokens_post_id ON post_preview_tokens (post_id);
+ALTER TABLE post_preview_tokens ADD CONSTRAINT fk_post_preview_tokens_post_id FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE;
+ALTER TABLE post_preview_tokens ADD CONSTRAINT fk_post_preview_tokens_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE post_preview_tokens DISABLE ROW LEVEL SECURITY;
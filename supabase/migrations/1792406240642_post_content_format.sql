@@ -0,0 +1,9 @@
+-- Posts can be written in Markdown; the rendered HTML is cached next to the source
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS content_format text DEFAULT 'html' NOT NULL CHECK (content_format IN ('html', 'markdown'));
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS content_html text;
+
+-- Existing posts are HTML, which renders to itself
+UPDATE posts SET content_html = content WHERE content_html IS NULL;
+
+-- Revisions keep the format so a restore renders the source the same way
+ALTER TABLE post_revisions ADD COLUMN IF NOT EXISTS content_format text DEFAULT 'html' NOT NULL;
@@ -0,0 +1,5 @@
+-- Every write bumps the version, which PUT /api/posts/[slug] exposes as the ETag and checks against If-Match
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS version integer DEFAULT 1 NOT NULL;
+
+-- Consecutive autosaves by the same editor update one revision instead of adding a new one each time
+ALTER TABLE post_revisions ADD COLUMN IF NOT EXISTS autosave boolean DEFAULT false NOT NULL;
@@ -0,0 +1,13 @@
+-- Create table: post_slug_history
+-- Slugs a post used to have, so links to them can redirect to the current slug.
+CREATE TABLE IF NOT EXISTS post_slug_history (
+    slug text PRIMARY KEY NOT NULL,
+    post_id uuid NOT NULL,
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+CREATE  INDEX IF NOT EXISTS idx_post_slug_history_post_id ON post_slug_history (post_id);
+ALTER TABLE post_slug_history ADD CONSTRAINT fk_post_slug_history_post_id FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE;
+ALTER TABLE post_slug_history DISABLE ROW LEVEL SECURITY;
+
+-- A pinned slug was chosen by hand and no longer follows the title
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS slug_pinned boolean DEFAULT false NOT NULL;
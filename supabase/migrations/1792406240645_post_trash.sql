@@ -0,0 +1,5 @@
+-- Deleted posts go to a trash first: hidden everywhere, slug still reserved, purged after the retention period
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS deleted_by uuid;
+ALTER TABLE posts ADD CONSTRAINT fk_posts_deleted_by FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL;
+CREATE  INDEX IF NOT EXISTS idx_posts_deleted_at ON posts (deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,2 @@
+-- The encrypted successor of a rotated refresh token, handed to requests that raced the rotation instead of revoking the family
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS replaced_by_token text;